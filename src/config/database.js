@@ -63,4 +63,21 @@ const closeDB = async () => {
   }
 };
 
-module.exports = { connectDB, closeDB };
\ No newline at end of file
+// Las transacciones solo existen en replica sets y clústeres sharded (no en un mongod standalone)
+let transactionsSupported = null;
+
+const supportsTransactions = async () => {
+  if (transactionsSupported !== null) return transactionsSupported;
+
+  try {
+    const info = await mongoose.connection.db.admin().command({ isMaster: 1 });
+    transactionsSupported = Boolean(info.setName || info.msg === 'isdbgrid');
+  } catch (error) {
+    console.error('⚠️ No se pudo comprobar el soporte de transacciones:', error.message);
+    return false;
+  }
+
+  return transactionsSupported;
+};
+
+module.exports = { connectDB, closeDB, supportsTransactions };
\ No newline at end of file
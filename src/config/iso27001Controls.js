@@ -0,0 +1,142 @@
+// Catálogo de controles del Anexo A de ISO/IEC 27001:2022 (93 controles en 4 temas)
+// Los atributos siguen la clasificación de ISO/IEC 27002:2022:
+//   tipo de control: P = Preventive, D = Detective, C = Corrective
+//   propiedades: C = Confidentiality, I = Integrity, A = Availability
+//   conceptos de ciberseguridad: Id = Identify, Pr = Protect, De = Detect, Re = Respond, Rc = Recover
+
+const ISO27001_STANDARD = 'ISO/IEC 27001:2022';
+
+const ISO27001_THEMES = {
+  5: 'Organizational',
+  6: 'People',
+  7: 'Physical',
+  8: 'Technological'
+};
+
+const CONTROL_TYPES = { P: 'Preventive', D: 'Detective', C: 'Corrective' };
+const SECURITY_PROPERTIES = { C: 'Confidentiality', I: 'Integrity', A: 'Availability' };
+const CYBERSECURITY_CONCEPTS = { Id: 'Identify', Pr: 'Protect', De: 'Detect', Re: 'Respond', Rc: 'Recover' };
+
+const CATALOGUE = [
+  ['5.1', 'Policies for information security', 'P', 'CIA', 'Id'],
+  ['5.2', 'Information security roles and responsibilities', 'P', 'CIA', 'Id'],
+  ['5.3', 'Segregation of duties', 'P', 'CIA', 'Pr'],
+  ['5.4', 'Management responsibilities', 'P', 'CIA', 'Id'],
+  ['5.5', 'Contact with authorities', 'PC', 'CIA', 'Id Pr Re Rc'],
+  ['5.6', 'Contact with special interest groups', 'PC', 'CIA', 'Pr Re Rc'],
+  ['5.7', 'Threat intelligence', 'PDC', 'CIA', 'Id De Re'],
+  ['5.8', 'Information security in project management', 'P', 'CIA', 'Id Pr'],
+  ['5.9', 'Inventory of information and other associated assets', 'P', 'CIA', 'Id'],
+  ['5.10', 'Acceptable use of information and other associated assets', 'P', 'CIA', 'Pr'],
+  ['5.11', 'Return of assets', 'P', 'CIA', 'Pr'],
+  ['5.12', 'Classification of information', 'P', 'CIA', 'Id'],
+  ['5.13', 'Labelling of information', 'P', 'CIA', 'Pr'],
+  ['5.14', 'Information transfer', 'P', 'CIA', 'Pr'],
+  ['5.15', 'Access control', 'P', 'CIA', 'Pr'],
+  ['5.16', 'Identity management', 'P', 'CIA', 'Pr'],
+  ['5.17', 'Authentication information', 'P', 'CIA', 'Pr'],
+  ['5.18', 'Access rights', 'P', 'CIA', 'Pr'],
+  ['5.19', 'Information security in supplier relationships', 'P', 'CIA', 'Id'],
+  ['5.20', 'Addressing information security within supplier agreements', 'P', 'CIA', 'Id'],
+  ['5.21', 'Managing information security in the ICT supply chain', 'P', 'CIA', 'Id'],
+  ['5.22', 'Monitoring, review and change management of supplier services', 'P', 'CIA', 'Id'],
+  ['5.23', 'Information security for use of cloud services', 'P', 'CIA', 'Pr'],
+  ['5.24', 'Information security incident management planning and preparation', 'C', 'CIA', 'Re Rc'],
+  ['5.25', 'Assessment and decision on information security events', 'D', 'CIA', 'De Re'],
+  ['5.26', 'Response to information security incidents', 'C', 'CIA', 'Re Rc'],
+  ['5.27', 'Learning from information security incidents', 'P', 'CIA', 'Id Pr'],
+  ['5.28', 'Collection of evidence', 'C', 'CIA', 'De Re'],
+  ['5.29', 'Information security during disruption', 'PC', 'CIA', 'Pr Re'],
+  ['5.30', 'ICT readiness for business continuity', 'C', 'A', 'Re'],
+  ['5.31', 'Legal, statutory, regulatory and contractual requirements', 'P', 'CIA', 'Id'],
+  ['5.32', 'Intellectual property rights', 'P', 'CIA', 'Id'],
+  ['5.33', 'Protection of records', 'P', 'CIA', 'Id Pr'],
+  ['5.34', 'Privacy and protection of PII', 'P', 'CIA', 'Id Pr'],
+  ['5.35', 'Independent review of information security', 'PC', 'CIA', 'Id Pr'],
+  ['5.36', 'Compliance with policies, rules and standards for information security', 'P', 'CIA', 'Id Pr'],
+  ['5.37', 'Documented operating procedures', 'PC', 'CIA', 'Pr Rc'],
+
+  ['6.1', 'Screening', 'P', 'CIA', 'Pr'],
+  ['6.2', 'Terms and conditions of employment', 'P', 'CIA', 'Pr'],
+  ['6.3', 'Information security awareness, education and training', 'P', 'CIA', 'Pr'],
+  ['6.4', 'Disciplinary process', 'PC', 'CIA', 'Pr Re'],
+  ['6.5', 'Responsibilities after termination or change of employment', 'P', 'CIA', 'Pr'],
+  ['6.6', 'Confidentiality or non-disclosure agreements', 'P', 'C', 'Pr'],
+  ['6.7', 'Remote working', 'P', 'CIA', 'Pr'],
+  ['6.8', 'Information security event reporting', 'D', 'CIA', 'De'],
+
+  ['7.1', 'Physical security perimeters', 'P', 'CIA', 'Pr'],
+  ['7.2', 'Physical entry', 'P', 'CIA', 'Pr'],
+  ['7.3', 'Securing offices, rooms and facilities', 'P', 'CIA', 'Pr'],
+  ['7.4', 'Physical security monitoring', 'PD', 'CIA', 'Pr De'],
+  ['7.5', 'Protecting against physical and environmental threats', 'P', 'CIA', 'Pr'],
+  ['7.6', 'Working in secure areas', 'P', 'CIA', 'Pr'],
+  ['7.7', 'Clear desk and clear screen', 'P', 'C', 'Pr'],
+  ['7.8', 'Equipment siting and protection', 'P', 'CIA', 'Pr'],
+  ['7.9', 'Security of assets off-premises', 'P', 'CIA', 'Pr'],
+  ['7.10', 'Storage media', 'P', 'CIA', 'Pr'],
+  ['7.11', 'Supporting utilities', 'PD', 'IA', 'Pr De'],
+  ['7.12', 'Cabling security', 'P', 'CA', 'Pr'],
+  ['7.13', 'Equipment maintenance', 'P', 'CIA', 'Pr'],
+  ['7.14', 'Secure disposal or re-use of equipment', 'P', 'C', 'Pr'],
+
+  ['8.1', 'User endpoint devices', 'P', 'CIA', 'Pr'],
+  ['8.2', 'Privileged access rights', 'P', 'CIA', 'Pr'],
+  ['8.3', 'Information access restriction', 'P', 'CIA', 'Pr'],
+  ['8.4', 'Access to source code', 'P', 'CIA', 'Pr'],
+  ['8.5', 'Secure authentication', 'P', 'CIA', 'Pr'],
+  ['8.6', 'Capacity management', 'PD', 'IA', 'Id Pr De'],
+  ['8.7', 'Protection against malware', 'PDC', 'CIA', 'Pr De'],
+  ['8.8', 'Management of technical vulnerabilities', 'P', 'CIA', 'Id Pr'],
+  ['8.9', 'Configuration management', 'P', 'CIA', 'Pr'],
+  ['8.10', 'Information deletion', 'P', 'C', 'Pr'],
+  ['8.11', 'Data masking', 'P', 'C', 'Pr'],
+  ['8.12', 'Data leakage prevention', 'PD', 'C', 'Pr De'],
+  ['8.13', 'Information backup', 'C', 'IA', 'Rc'],
+  ['8.14', 'Redundancy of information processing facilities', 'P', 'A', 'Pr'],
+  ['8.15', 'Logging', 'D', 'CIA', 'De'],
+  ['8.16', 'Monitoring activities', 'DC', 'CIA', 'De Re'],
+  ['8.17', 'Clock synchronization', 'D', 'I', 'Pr De'],
+  ['8.18', 'Use of privileged utility programs', 'P', 'CIA', 'Pr'],
+  ['8.19', 'Installation of software on operational systems', 'P', 'CIA', 'Pr'],
+  ['8.20', 'Networks security', 'PD', 'CIA', 'Pr De'],
+  ['8.21', 'Security of network services', 'P', 'CIA', 'Pr'],
+  ['8.22', 'Segregation of networks', 'P', 'CIA', 'Pr'],
+  ['8.23', 'Web filtering', 'P', 'CIA', 'Pr'],
+  ['8.24', 'Use of cryptography', 'P', 'CIA', 'Pr'],
+  ['8.25', 'Secure development life cycle', 'P', 'CIA', 'Pr'],
+  ['8.26', 'Application security requirements', 'P', 'CIA', 'Pr'],
+  ['8.27', 'Secure system architecture and engineering principles', 'P', 'CIA', 'Pr'],
+  ['8.28', 'Secure coding', 'P', 'CIA', 'Pr'],
+  ['8.29', 'Security testing in development and acceptance', 'P', 'CIA', 'Id'],
+  ['8.30', 'Outsourced development', 'PD', 'CIA', 'Id Pr De'],
+  ['8.31', 'Separation of development, test and production environments', 'P', 'CIA', 'Pr'],
+  ['8.32', 'Change management', 'P', 'CIA', 'Pr'],
+  ['8.33', 'Test information', 'P', 'CI', 'Pr'],
+  ['8.34', 'Protection of information systems during audit testing', 'P', 'CIA', 'Pr']
+];
+
+const ISO27001_CONTROLS = CATALOGUE.map(([number, name, types, properties, concepts]) => {
+  const [clause, index] = number.split('.').map(Number);
+
+  return {
+    controlId: `A.${number}`,
+    name,
+    theme: ISO27001_THEMES[clause],
+    order: clause * 100 + index,
+    attributes: {
+      controlTypes: types.split('').map(code => CONTROL_TYPES[code]),
+      securityProperties: properties.split('').map(code => SECURITY_PROPERTIES[code]),
+      cybersecurityConcepts: concepts.split(' ').map(code => CYBERSECURITY_CONCEPTS[code])
+    }
+  };
+});
+
+module.exports = {
+  ISO27001_STANDARD,
+  ISO27001_THEMES: Object.values(ISO27001_THEMES),
+  CONTROL_TYPES: Object.values(CONTROL_TYPES),
+  SECURITY_PROPERTIES: Object.values(SECURITY_PROPERTIES),
+  CYBERSECURITY_CONCEPTS: Object.values(CYBERSECURITY_CONCEPTS),
+  ISO27001_CONTROLS
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+// Matriz de evaluación de riesgos: probabilidad × impacto
+// Se puede sustituir con un archivo JSON indicado en RISK_MATRIX con el mismo formato:
+// {
+//   "likelihood": [{ "value": 1, "label": "Rara" }, ...],
+//   "impact": [{ "value": 1, "label": "Insignificante" }, ...],
+//   "levels": [{ "level": "Low", "maxScore": 4 }, ...],
+//   "cells": [["Low", "Low", ...], ...]
+// }
+// "levels" asigna el nivel según la puntuación (probabilidad × impacto); "cells" es opcional y
+// fija el nivel de cada celda (una fila por probabilidad, una columna por impacto).
+
+const RISK_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// Decisiones de tratamiento del riesgo
+const RISK_TREATMENTS = ['accept', 'mitigate', 'transfer', 'avoid'];
+
+const DEFAULT_RISK_MATRIX = {
+  likelihood: [
+    { value: 1, label: 'Rara' },
+    { value: 2, label: 'Improbable' },
+    { value: 3, label: 'Posible' },
+    { value: 4, label: 'Probable' },
+    { value: 5, label: 'Casi segura' }
+  ],
+  impact: [
+    { value: 1, label: 'Insignificante' },
+    { value: 2, label: 'Menor' },
+    { value: 3, label: 'Moderado' },
+    { value: 4, label: 'Mayor' },
+    { value: 5, label: 'Catastrófico' }
+  ],
+  levels: [
+    { level: 'Low', maxScore: 4 },
+    { level: 'Medium', maxScore: 9 },
+    { level: 'High', maxScore: 16 },
+    { level: 'Critical', maxScore: 25 }
+  ]
+};
+
+// Comprobar que una matriz personalizada es coherente; devuelve la lista de errores
+const validateRiskMatrix = (matrix) => {
+  const errors = [];
+
+  ['likelihood', 'impact'].forEach(axis => {
+    if (!Array.isArray(matrix[axis]) || matrix[axis].length === 0) {
+      errors.push(`"${axis}" debe ser una lista de valores`);
+    } else if (matrix[axis].some((item, index) => item.value !== index + 1)) {
+      errors.push(`Los valores de "${axis}" deben ser consecutivos empezando en 1`);
+    }
+  });
+
+  if (!Array.isArray(matrix.levels) || matrix.levels.length === 0) {
+    errors.push('"levels" debe ser una lista de umbrales');
+  } else if (matrix.levels.some(item => !RISK_LEVELS.includes(item.level) || typeof item.maxScore !== 'number')) {
+    errors.push(`Cada umbral necesita un nivel (${RISK_LEVELS.join(', ')}) y una puntuación máxima`);
+  }
+
+  if (matrix.cells) {
+    const rows = (matrix.likelihood || []).length;
+    const columns = (matrix.impact || []).length;
+    if (!Array.isArray(matrix.cells) || matrix.cells.length !== rows ||
+      matrix.cells.some(row => !Array.isArray(row) || row.length !== columns || row.some(level => !RISK_LEVELS.includes(level)))) {
+      errors.push(`"cells" debe tener ${rows} filas de ${columns} niveles válidos`);
+    }
+  }
+
+  return errors;
+};
+
+// Cargar la matriz personalizada una sola vez
+let riskMatrix = null;
+
+const getRiskMatrix = () => {
+  if (riskMatrix) return riskMatrix;
+
+  riskMatrix = DEFAULT_RISK_MATRIX;
+  const file = process.env.RISK_MATRIX;
+
+  if (file) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+      const errors = validateRiskMatrix(custom);
+
+      if (errors.length > 0) {
+        console.error(`⚠️ RISK_MATRIX (${file}) no es válida, se usa la matriz por defecto:`, errors.join('; '));
+      } else {
+        riskMatrix = custom;
+      }
+    } catch (error) {
+      console.error(`⚠️ No se pudo cargar RISK_MATRIX (${file}):`, error.message);
+    }
+  }
+
+  return riskMatrix;
+};
+
+// Calcular puntuación y nivel de una combinación de probabilidad e impacto
+const evaluateRisk = (likelihood, impact, matrix = getRiskMatrix()) => {
+  const score = likelihood * impact;
+
+  if (matrix.cells) {
+    return { score, level: matrix.cells[likelihood - 1][impact - 1] };
+  }
+
+  const threshold = [...matrix.levels]
+    .sort((a, b) => a.maxScore - b.maxScore)
+    .find(item => score <= item.maxScore);
+
+  return { score, level: threshold ? threshold.level : RISK_LEVELS[RISK_LEVELS.length - 1] };
+};
+
+module.exports = {
+  RISK_LEVELS,
+  RISK_TREATMENTS,
+  DEFAULT_RISK_MATRIX,
+  validateRiskMatrix,
+  getRiskMatrix,
+  evaluateRisk
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// Backends de conversión de reglas Sigma y mapeos de campos por defecto
+// Los mapeos se pueden sobrescribir con un archivo JSON indicado en SIGMA_FIELD_MAPPINGS:
+// { "splunk": { "Image": "process_path" }, "kql": { ... }, "*": { ... } }
+// La clave "*" se aplica a todos los backends antes que la específica de cada uno.
+
+// Campos de Sysmon/Windows a Elastic Common Schema (ECS)
+const ECS_FIELDS = {
+  Image: 'process.executable',
+  OriginalFileName: 'process.pe.original_file_name',
+  CommandLine: 'process.command_line',
+  CurrentDirectory: 'process.working_directory',
+  ProcessId: 'process.pid',
+  ParentImage: 'process.parent.executable',
+  ParentCommandLine: 'process.parent.command_line',
+  ParentProcessId: 'process.parent.pid',
+  User: 'user.name',
+  Hashes: 'process.hash.sha256',
+  TargetFilename: 'file.path',
+  TargetObject: 'registry.path',
+  Details: 'registry.data.strings',
+  DestinationIp: 'destination.ip',
+  DestinationPort: 'destination.port',
+  DestinationHostname: 'destination.domain',
+  SourceIp: 'source.ip',
+  SourcePort: 'source.port',
+  QueryName: 'dns.question.name',
+  EventID: 'event.code',
+  ImageLoaded: 'dll.path',
+  ComputerName: 'host.name'
+};
+
+const BACKENDS = {
+  splunk: {
+    label: 'SPL',
+    platform: 'Splunk',
+    fields: {}
+  },
+  kql: {
+    label: 'KQL',
+    platform: 'Elastic (KQL)',
+    fields: ECS_FIELDS
+  },
+  lucene: {
+    label: 'Lucene',
+    platform: 'Elastic (Lucene)',
+    fields: ECS_FIELDS
+  },
+  eql: {
+    label: 'EQL',
+    platform: 'Elastic (EQL)',
+    fields: ECS_FIELDS
+  }
+};
+
+// Cargar los mapeos personalizados una sola vez
+let customMappings = null;
+
+const loadCustomMappings = () => {
+  if (customMappings) return customMappings;
+
+  customMappings = {};
+  const file = process.env.SIGMA_FIELD_MAPPINGS;
+
+  if (file) {
+    try {
+      customMappings = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+      console.error(`⚠️ No se pudo cargar SIGMA_FIELD_MAPPINGS (${file}):`, error.message);
+    }
+  }
+
+  return customMappings;
+};
+
+// Obtener el mapeo de campos efectivo de un backend
+const getFieldMapping = (backend) => {
+  const custom = loadCustomMappings();
+
+  return {
+    ...(BACKENDS[backend] ? BACKENDS[backend].fields : {}),
+    ...(custom['*'] || {}),
+    ...(custom[backend] || {})
+  };
+};
+
+module.exports = {
+  BACKENDS,
+  getFieldMapping
+};
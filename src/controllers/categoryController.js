@@ -313,9 +313,16 @@ const deleteCategory = async (req, res) => {
       });
     }
     
-    // Verificar dependencias antes de eliminar
-    const subcategories = await Category.countDocuments({ parentCategory: id });
-    const techniques = await Technique.countDocuments({ category: id });
+    if (category.deletedAt) {
+      return res.status(400).json({
+        error: 'Categoría ya eliminada',
+        message: 'La categoría ya se encuentra en la papelera'
+      });
+    }
+    
+    // Verificar dependencias fuera de la papelera antes de eliminar
+    const subcategories = await Category.countDocuments({ parentCategory: id, deletedAt: null });
+    const techniques = await Technique.countDocuments({ category: id, deletedAt: null });
     
     if (subcategories > 0) {
       return res.status(400).json({
@@ -333,13 +340,16 @@ const deleteCategory = async (req, res) => {
       });
     }
     
-    await Category.findByIdAndDelete(id);
+    // Mover a la papelera
+    category.moveToTrash(req.user._id);
+    await category.save();
     
     res.json({
-      message: 'Categoría eliminada exitosamente',
+      message: 'Categoría movida a la papelera',
       deletedCategory: {
         id: category._id,
-        name: category.name
+        name: category.name,
+        deletedAt: category.deletedAt
       }
     });
     
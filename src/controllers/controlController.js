@@ -0,0 +1,385 @@
+const Control = require('../models/Control');
+const Technique = require('../models/Technique');
+const { ISO27001_STANDARD, ISO27001_THEMES } = require('../config/iso27001Controls');
+
+// Verificar que todas las técnicas indicadas existen y están activas
+const findExistingTechniques = async (techniqueIds) => {
+  const ids = Array.isArray(techniqueIds) ? techniqueIds : [techniqueIds];
+  const techniques = await Technique.find({ _id: { $in: ids }, isActive: true }).select('_id');
+  const found = new Set(techniques.map(t => t._id.toString()));
+
+  return {
+    valid: techniques.map(t => t._id),
+    missing: ids.filter(id => !found.has(String(id)))
+  };
+};
+
+// Referencias al Anexo A dentro de Technique.iso27001Reference ("A.8.16", "A.5.7, A.8.15" o "8.16");
+// se ignoran los identificadores de tres niveles de la edición 2013 (A.12.4.1)
+const ISO27001_REFERENCE_PATTERN = /(?:\bA\.|(?<![\d.]))(\d{1,2}\.\d{1,2})(?![.\d])/gi;
+
+const parseIso27001References = (reference) =>
+  [...new Set([...String(reference || '').matchAll(ISO27001_REFERENCE_PATTERN)].map(match => `A.${match[1]}`))];
+
+// Vincular a cada control las técnicas activas que lo citan en iso27001Reference (solo añade vínculos)
+const linkTechniquesFromReferences = async () => {
+  const techniques = await Technique.find({
+    isActive: true,
+    iso27001Reference: { $nin: [null, ''] }
+  }).select('iso27001Reference');
+
+  const techniquesByControl = new Map();
+  techniques.forEach(technique => {
+    parseIso27001References(technique.iso27001Reference).forEach(controlId => {
+      if (!techniquesByControl.has(controlId)) techniquesByControl.set(controlId, []);
+      techniquesByControl.get(controlId).push(technique._id);
+    });
+  });
+
+  if (techniquesByControl.size === 0) return 0;
+
+  const result = await Control.bulkWrite([...techniquesByControl.entries()].map(([controlId, techniqueIds]) => ({
+    updateOne: {
+      filter: { controlId },
+      update: { $addToSet: { techniques: { $each: techniqueIds } } }
+    }
+  })));
+
+  return result.modifiedCount;
+};
+
+// Crear o actualizar el catálogo del Anexo A y completar los vínculos desde iso27001Reference
+// (se ejecuta al arrancar el servidor)
+const seedControlCatalogue = async () => {
+  const result = await Control.syncCatalogue();
+  const linkedControls = await linkTechniquesFromReferences();
+
+  return { ...result, linkedControls };
+};
+
+// Obtener el catálogo de controles con las técnicas que abordan
+const getAllControls = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 100,
+      search,
+      theme,
+      controlType,
+      securityProperty,
+      cybersecurityConcept,
+      mapped
+    } = req.query;
+
+    const filters = { isActive: true };
+
+    if (search) {
+      filters.$or = [
+        { controlId: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (theme) filters.theme = theme;
+    if (controlType) filters['attributes.controlTypes'] = controlType;
+    if (securityProperty) filters['attributes.securityProperties'] = securityProperty;
+    if (cybersecurityConcept) filters['attributes.cybersecurityConcepts'] = cybersecurityConcept;
+
+    // Controles con o sin técnicas vinculadas
+    if (mapped === 'true') filters['techniques.0'] = { $exists: true };
+    if (mapped === 'false') filters['techniques.0'] = { $exists: false };
+
+    const skip = (page - 1) * limit;
+
+    const query = Control.find(filters)
+      .populate({
+        path: 'techniques',
+        select: 'name mitreid riskLevel status',
+        match: { isActive: true }
+      })
+      .sort({ order: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Las decisiones de aplicabilidad solo se muestran a usuarios autenticados, igual que en /api/soa
+    if (!req.user || !req.user.hasPermission('viewer')) {
+      query.select('-applicability');
+    }
+
+    const controls = await query;
+
+    const totalControls = await Control.countDocuments(filters);
+
+    res.json({
+      standard: ISO27001_STANDARD,
+      themes: ISO27001_THEMES,
+      controls,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalControls / limit),
+        totalItems: totalControls,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < Math.ceil(totalControls / limit),
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener controles:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener los controles'
+    });
+  }
+};
+
+// Obtener control por ID o identificador del Anexo A
+const getControlById = async (req, res) => {
+  try {
+    const query = Control.findByIdentifier(req.params.id)
+      .populate({
+        path: 'techniques',
+        select: 'name mitreid riskLevel status',
+        match: { isActive: true }
+      })
+      .populate('lastModifiedBy', 'username');
+
+    // Las evidencias y la aplicabilidad solo se muestran a usuarios autenticados, igual que en /api/evidence y /api/soa
+    if (req.user && req.user.hasPermission('viewer')) {
+      query.populate('evidence', 'title collectedAt validFrom validUntil reviewStatus');
+    } else {
+      query.select('-applicability');
+    }
+
+    const control = await query;
+
+    if (!control) {
+      return res.status(404).json({
+        error: 'Control no encontrado',
+        message: 'El control solicitado no existe'
+      });
+    }
+
+    res.json({
+      control
+    });
+
+  } catch (error) {
+    console.error('Error al obtener control:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener el control'
+    });
+  }
+};
+
+// Obtener las técnicas que aborda un control
+const getControlTechniques = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const control = await Control.findByIdentifier(req.params.id).select('controlId name theme techniques');
+
+    if (!control) {
+      return res.status(404).json({
+        error: 'Control no encontrado',
+        message: 'El control solicitado no existe'
+      });
+    }
+
+    const filters = { _id: { $in: control.techniques }, isActive: true };
+    const skip = (page - 1) * limit;
+
+    const techniques = await Technique.find(filters)
+      .populate('category', 'name color')
+      .sort({ mitreid: 1, name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalTechniques = await Technique.countDocuments(filters);
+
+    res.json({
+      control: {
+        id: control._id,
+        controlId: control.controlId,
+        name: control.name,
+        theme: control.theme
+      },
+      techniques,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalTechniques / limit),
+        totalItems: totalTechniques,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener técnicas del control:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las técnicas del control'
+    });
+  }
+};
+
+// Obtener los controles que abordan una técnica
+const getTechniqueControls = async (req, res) => {
+  try {
+    const technique = await Technique.findById(req.params.id).select('name mitreid');
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    const controls = await Control.find({ techniques: technique._id, isActive: true })
+      .select('controlId name theme attributes')
+      .sort({ order: 1 });
+
+    res.json({
+      technique: {
+        id: technique._id,
+        name: technique.name,
+        mitreid: technique.mitreid
+      },
+      controls,
+      totalItems: controls.length
+    });
+
+  } catch (error) {
+    console.error('Error al obtener controles de la técnica:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de técnica proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener los controles de la técnica'
+    });
+  }
+};
+
+// Vincular técnicas a un control
+const linkControlTechniques = async (req, res) => {
+  try {
+    const { techniques } = req.body;
+
+    if (!techniques || techniques.length === 0) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Debes indicar al menos una técnica'
+      });
+    }
+
+    const control = await Control.findByIdentifier(req.params.id);
+
+    if (!control) {
+      return res.status(404).json({
+        error: 'Control no encontrado',
+        message: 'El control solicitado no existe'
+      });
+    }
+
+    const { valid, missing } = await findExistingTechniques(techniques);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Técnicas no encontradas',
+        message: 'Algunas técnicas especificadas no existen',
+        missing
+      });
+    }
+
+    const added = control.linkTechniques(valid);
+    control.lastModifiedBy = req.user._id;
+    await control.save();
+
+    res.json({
+      message: `${added.length} técnicas vinculadas al control`,
+      added,
+      techniquesCount: control.techniques.length
+    });
+
+  } catch (error) {
+    console.error('Error al vincular técnicas al control:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al vincular las técnicas'
+    });
+  }
+};
+
+// Desvincular una técnica de un control
+const unlinkControlTechnique = async (req, res) => {
+  try {
+    const { techniqueId } = req.params;
+
+    const control = await Control.findByIdentifier(req.params.id);
+
+    if (!control) {
+      return res.status(404).json({
+        error: 'Control no encontrado',
+        message: 'El control solicitado no existe'
+      });
+    }
+
+    if (!control.unlinkTechnique(techniqueId)) {
+      return res.status(404).json({
+        error: 'Vínculo no encontrado',
+        message: 'La técnica no está vinculada a este control'
+      });
+    }
+
+    control.lastModifiedBy = req.user._id;
+    await control.save();
+
+    res.json({
+      message: 'Técnica desvinculada del control',
+      techniquesCount: control.techniques.length
+    });
+
+  } catch (error) {
+    console.error('Error al desvincular técnica del control:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al desvincular la técnica'
+    });
+  }
+};
+
+// Volver a sembrar el catálogo del Anexo A
+const syncControlCatalogue = async (req, res) => {
+  try {
+    const result = await seedControlCatalogue();
+
+    res.json({
+      message: 'Catálogo de controles sincronizado exitosamente',
+      standard: ISO27001_STANDARD,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error al sincronizar controles:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al sincronizar el catálogo de controles'
+    });
+  }
+};
+
+module.exports = {
+  seedControlCatalogue,
+  getAllControls,
+  getControlById,
+  getControlTechniques,
+  getTechniqueControls,
+  linkControlTechniques,
+  unlinkControlTechnique,
+  syncControlCatalogue
+};
@@ -0,0 +1,494 @@
+const DataSource = require('../models/DataSource');
+const Technique = require('../models/Technique');
+
+// Contar técnicas activas que referencian una fuente (y opcionalmente un componente)
+const countReferencingTechniques = (dataSourceId, componentId) => Technique.countDocuments({
+  dataComponents: {
+    $elemMatch: componentId
+      ? { dataSource: dataSourceId, component: componentId }
+      : { dataSource: dataSourceId }
+  }
+});
+
+// Obtener todas las fuentes de datos
+const getAllDataSources = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search, platforms } = req.query;
+
+    const filters = { isActive: true };
+
+    if (search) {
+      filters.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { 'components.name': { $regex: search, $options: 'i' } },
+        { mitreid: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (platforms) {
+      const platformArray = Array.isArray(platforms) ? platforms : [platforms];
+      filters.platforms = { $in: platformArray };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const dataSources = await DataSource.find(filters)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalItems = await DataSource.countDocuments(filters);
+
+    res.json({
+      dataSources,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < Math.ceil(totalItems / limit),
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener fuentes de datos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las fuentes de datos'
+    });
+  }
+};
+
+// Obtener fuente de datos por ID
+const getDataSourceById = async (req, res) => {
+  try {
+    const dataSource = await DataSource.findById(req.params.id)
+      .populate('createdBy', 'username')
+      .populate('lastModifiedBy', 'username');
+
+    if (!dataSource) {
+      return res.status(404).json({
+        error: 'Fuente de datos no encontrada',
+        message: 'La fuente de datos solicitada no existe'
+      });
+    }
+
+    res.json({
+      dataSource
+    });
+
+  } catch (error) {
+    console.error('Error al obtener fuente de datos:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de fuente de datos proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la fuente de datos'
+    });
+  }
+};
+
+// Cobertura de detección por fuente de datos para priorizar la recolección de logs
+const getDataSourceCoverage = async (req, res) => {
+  try {
+    const { platforms } = req.query;
+
+    const match = { isActive: true };
+    if (platforms) {
+      const platformArray = Array.isArray(platforms) ? platforms : [platforms];
+      match.platforms = { $in: platformArray };
+    }
+
+    const [usage, dataSources, totalTechniques, withoutDataComponents] = await Promise.all([
+      Technique.aggregate([
+        { $match: match },
+        { $unwind: '$dataComponents' },
+        {
+          $group: {
+            _id: { dataSource: '$dataComponents.dataSource', component: '$dataComponents.component' },
+            techniques: { $addToSet: { id: '$_id', riskLevel: '$riskLevel' } }
+          }
+        }
+      ]),
+      DataSource.find({ isActive: true }).select('name mitreid components platforms'),
+      Technique.countDocuments(match),
+      Technique.countDocuments({ ...match, 'dataComponents.0': { $exists: false } })
+    ]);
+
+    const usageBySource = usage.reduce((acc, item) => {
+      const key = item._id.dataSource.toString();
+      if (!acc[key]) acc[key] = {};
+      acc[key][item._id.component.toString()] = item.techniques;
+      return acc;
+    }, {});
+
+    const coverage = dataSources.map(dataSource => {
+      const componentsUsage = usageBySource[dataSource._id.toString()] || {};
+
+      // Una técnica detectable por varios componentes cuenta una sola vez para la fuente
+      const techniques = new Map();
+      Object.values(componentsUsage).forEach(list => {
+        list.forEach(technique => techniques.set(technique.id.toString(), technique.riskLevel));
+      });
+
+      const byRiskLevel = {};
+      techniques.forEach(riskLevel => {
+        byRiskLevel[riskLevel] = (byRiskLevel[riskLevel] || 0) + 1;
+      });
+
+      return {
+        id: dataSource._id,
+        name: dataSource.name,
+        mitreid: dataSource.mitreid,
+        techniquesCount: techniques.size,
+        byRiskLevel,
+        components: dataSource.components
+          .map(component => ({
+            id: component._id,
+            name: component.name,
+            techniquesCount: (componentsUsage[component._id.toString()] || []).length
+          }))
+          .sort((a, b) => b.techniquesCount - a.techniquesCount)
+      };
+    }).sort((a, b) => b.techniquesCount - a.techniquesCount || a.name.localeCompare(b.name));
+
+    res.json({
+      summary: {
+        totalTechniques,
+        withDataComponents: totalTechniques - withoutDataComponents,
+        withoutDataComponents,
+        dataSources: dataSources.length
+      },
+      coverage
+    });
+
+  } catch (error) {
+    console.error('Error al obtener cobertura de fuentes de datos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al calcular la cobertura de fuentes de datos'
+    });
+  }
+};
+
+// Crear fuente de datos
+const createDataSource = async (req, res) => {
+  try {
+    const { name, mitreid, description, platforms, collectionLayers, components } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'El nombre es requerido'
+      });
+    }
+
+    const existing = await DataSource.findOne({ key: DataSource.normalizeKey(name) });
+    if (existing) {
+      return res.status(400).json({
+        error: 'Fuente de datos duplicada',
+        message: `Ya existe la fuente de datos "${existing.name}"`
+      });
+    }
+
+    const dataSource = new DataSource({
+      name,
+      mitreid,
+      description,
+      platforms: platforms || [],
+      collectionLayers: collectionLayers || [],
+      components: components || [],
+      createdBy: req.user._id
+    });
+
+    await dataSource.save();
+
+    res.status(201).json({
+      message: 'Fuente de datos creada exitosamente',
+      dataSource
+    });
+
+  } catch (error) {
+    console.error('Error al crear fuente de datos:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al crear la fuente de datos'
+    });
+  }
+};
+
+// Actualizar fuente de datos (los componentes se gestionan en su propio endpoint)
+const updateDataSource = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, mitreid, description, platforms, collectionLayers } = req.body;
+
+    const dataSource = await DataSource.findById(id);
+
+    if (!dataSource) {
+      return res.status(404).json({
+        error: 'Fuente de datos no encontrada',
+        message: 'La fuente de datos solicitada no existe'
+      });
+    }
+
+    if (name && DataSource.normalizeKey(name) !== dataSource.key) {
+      const existing = await DataSource.findOne({ key: DataSource.normalizeKey(name), _id: { $ne: id } });
+      if (existing) {
+        return res.status(400).json({
+          error: 'Fuente de datos duplicada',
+          message: `Ya existe la fuente de datos "${existing.name}"`
+        });
+      }
+    }
+
+    const updates = { name, mitreid, description, platforms, collectionLayers };
+    Object.keys(updates).forEach(field => {
+      if (updates[field] !== undefined) dataSource[field] = updates[field];
+    });
+    dataSource.lastModifiedBy = req.user._id;
+
+    await dataSource.save();
+
+    res.json({
+      message: 'Fuente de datos actualizada exitosamente',
+      dataSource
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar fuente de datos:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar la fuente de datos'
+    });
+  }
+};
+
+// Añadir componente de datos a una fuente
+const addDataComponent = async (req, res) => {
+  try {
+    const { name, description = '' } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'El nombre del componente es requerido'
+      });
+    }
+
+    const dataSource = await DataSource.findById(req.params.id);
+
+    if (!dataSource) {
+      return res.status(404).json({
+        error: 'Fuente de datos no encontrada',
+        message: 'La fuente de datos solicitada no existe'
+      });
+    }
+
+    const existing = dataSource.findComponent(name);
+    if (existing) {
+      return res.status(400).json({
+        error: 'Componente duplicado',
+        message: `La fuente ya tiene el componente "${existing.name}"`
+      });
+    }
+
+    const component = dataSource.addComponent(name, description);
+    dataSource.lastModifiedBy = req.user._id;
+    await dataSource.save();
+
+    res.status(201).json({
+      message: 'Componente añadido exitosamente',
+      component,
+      dataSource
+    });
+
+  } catch (error) {
+    console.error('Error al añadir componente de datos:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al añadir el componente de datos'
+    });
+  }
+};
+
+// Eliminar componente de datos si ninguna técnica lo referencia
+const removeDataComponent = async (req, res) => {
+  try {
+    const { id, componentId } = req.params;
+
+    const dataSource = await DataSource.findById(id);
+    const component = dataSource && dataSource.components.id(componentId);
+
+    if (!component) {
+      return res.status(404).json({
+        error: 'Componente no encontrado',
+        message: 'La fuente de datos o el componente no existen'
+      });
+    }
+
+    const techniquesCount = await countReferencingTechniques(dataSource._id, component._id);
+    if (techniquesCount > 0) {
+      return res.status(400).json({
+        error: 'Componente en uso',
+        message: `No se puede eliminar. ${techniquesCount} técnica(s) referencian este componente`,
+        techniquesCount
+      });
+    }
+
+    component.remove();
+    dataSource.lastModifiedBy = req.user._id;
+    await dataSource.save();
+
+    res.json({
+      message: 'Componente eliminado exitosamente',
+      dataSource
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar componente de datos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar el componente de datos'
+    });
+  }
+};
+
+// Eliminar fuente de datos si ninguna técnica la referencia
+const deleteDataSource = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const dataSource = await DataSource.findById(id);
+
+    if (!dataSource) {
+      return res.status(404).json({
+        error: 'Fuente de datos no encontrada',
+        message: 'La fuente de datos solicitada no existe'
+      });
+    }
+
+    const techniquesCount = await countReferencingTechniques(dataSource._id);
+    if (techniquesCount > 0) {
+      return res.status(400).json({
+        error: 'Fuente de datos en uso',
+        message: `No se puede eliminar. ${techniquesCount} técnica(s) referencian esta fuente de datos`,
+        techniquesCount
+      });
+    }
+
+    await DataSource.findByIdAndDelete(id);
+
+    res.json({
+      message: 'Fuente de datos eliminada exitosamente',
+      deleted: {
+        id: dataSource._id,
+        name: dataSource.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar fuente de datos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar la fuente de datos'
+    });
+  }
+};
+
+// Construir el catálogo a partir del texto libre de técnicas.datasources y vincular los componentes
+const syncDataSourcesFromTechniques = async (req, res) => {
+  try {
+    const { overwrite = false } = req.body;
+
+    const techniques = await Technique.find({ 'datasources.0': { $exists: true } });
+    const result = { processed: 0, linked: 0, skipped: 0 };
+    const sourcesBefore = await DataSource.countDocuments();
+
+    for (const technique of techniques) {
+      result.processed++;
+
+      if (technique.dataComponents.length > 0 && !overwrite) {
+        result.skipped++;
+        continue;
+      }
+
+      const { resolved } = await DataSource.resolveComponents(
+        technique.datasources.map(source => source.name),
+        { create: true, userId: req.user._id }
+      );
+
+      if (resolved.length === 0) {
+        result.skipped++;
+        continue;
+      }
+
+      technique.dataComponents = resolved;
+      technique.lastModifiedBy = req.user._id;
+      technique.addRevision('Componentes de datos vinculados desde el catálogo', req.user._id, { action: 'update' });
+      await technique.save();
+      result.linked++;
+    }
+
+    res.json({
+      message: 'Catálogo de fuentes de datos sincronizado',
+      result: {
+        ...result,
+        dataSourcesCreated: (await DataSource.countDocuments()) - sourcesBefore
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al sincronizar fuentes de datos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al sincronizar el catálogo de fuentes de datos'
+    });
+  }
+};
+
+module.exports = {
+  getAllDataSources,
+  getDataSourceById,
+  getDataSourceCoverage,
+  createDataSource,
+  updateDataSource,
+  addDataComponent,
+  removeDataComponent,
+  deleteDataSource,
+  syncDataSourcesFromTechniques
+};
@@ -0,0 +1,774 @@
+const archiver = require('archiver');
+const DetectionRule = require('../models/DetectionRule');
+const Technique = require('../models/Technique');
+const Category = require('../models/Category');
+const { parseSigmaRule, extractAttackIds, toRuleFilename } = require('../utils/sigma');
+const { SUPPORTED_BACKENDS, convertRule } = require('../utils/sigmaConverter');
+const { BACKENDS, getFieldMapping } = require('../config/sigmaBackends');
+
+// Verificar que todas las técnicas indicadas existen y están activas
+const findExistingTechniques = async (techniqueIds) => {
+  const ids = Array.isArray(techniqueIds) ? techniqueIds : [techniqueIds];
+  const techniques = await Technique.find({ _id: { $in: ids }, isActive: true }).select('_id');
+  const found = new Set(techniques.map(t => t._id.toString()));
+
+  return {
+    valid: techniques.map(t => t._id),
+    missing: ids.filter(id => !found.has(String(id)))
+  };
+};
+
+// Vincular técnicas a partir de las etiquetas attack.tXXXX de la regla
+const findTechniquesFromTags = async (content) => {
+  const { rule } = parseSigmaRule(content);
+  const mitreIds = extractAttackIds(rule);
+  if (mitreIds.length === 0) return [];
+
+  const techniques = await Technique.find({ mitreid: { $in: mitreIds }, isActive: true }).select('_id');
+  return techniques.map(t => t._id);
+};
+
+// Obtener el ID de una categoría y de todas sus subcategorías activas
+const getCategoryTreeIds = async (categoryId) => {
+  const ids = [categoryId];
+  let level = [categoryId];
+
+  while (level.length > 0) {
+    const children = await Category.find({ parentCategory: { $in: level }, isActive: true }).select('_id');
+    level = children.map(child => child._id);
+    ids.push(...level);
+  }
+
+  return ids;
+};
+
+// Comprobar si el usuario puede modificar la regla
+const canModifyRule = (rule, user) =>
+  user.role === 'admin' || rule.createdBy.toString() === user._id.toString();
+
+// Convertir una regla analizada a todos los backends; los fallos no impiden el resto
+const generateQueries = (parsedRule, backends = SUPPORTED_BACKENDS) => {
+  const queries = [];
+  const errors = [];
+
+  backends.forEach(backend => {
+    try {
+      queries.push({
+        backend,
+        platform: BACKENDS[backend].platform,
+        query: convertRule(parsedRule, backend, getFieldMapping(backend))
+      });
+    } catch (error) {
+      if (error.name !== 'SigmaConversionError') throw error;
+      errors.push({ backend, message: error.message });
+    }
+  });
+
+  return { queries, errors };
+};
+
+// Regenerar en las técnicas las consultas generadas por la regla y guardar la regla
+// previousTechniqueIds: técnicas vinculadas antes del cambio, de las que se retiran las consultas
+// Todo se valida antes de guardar y las técnicas se guardan antes que la regla, para que un error no las desincronice
+// Las técnicas aprobadas cuyas consultas cambian vuelven a borrador (flujo de revisión)
+const syncTechniqueQueries = async (rule, userId, previousTechniqueIds = []) => {
+  await rule.validate();
+
+  const linked = rule.isActive ? rule.techniques.map(id => id.toString()) : [];
+  const affected = Array.from(new Set([...linked, ...previousTechniqueIds.map(id => id.toString())]));
+
+  const { queries, errors } = linked.length > 0
+    ? generateQueries(rule.getParsedRule())
+    : { queries: [], errors: [] };
+
+  const techniques = await Technique.find({ _id: { $in: affected } });
+  const changed = [];
+  const reopened = [];
+
+  for (const technique of techniques) {
+    const manualQueries = technique.detection.queries
+      .filter(query => !query.detectionRule || query.detectionRule.toString() !== rule._id.toString());
+
+    const generated = linked.includes(technique._id.toString())
+      ? queries.map(query => ({
+        ...query,
+        description: `Generada desde la regla Sigma "${rule.title}"`,
+        detectionRule: rule._id
+      }))
+      : [];
+
+    technique.detection.queries = [...manualQueries, ...generated];
+
+    if (technique.getPendingDiff().length > 0) {
+      if (technique.reopenIfApproved()) {
+        reopened.push({ id: technique._id, mitreid: technique.mitreid, name: technique.name });
+      }
+      technique.lastModifiedBy = userId;
+      technique.addRevision(`Consultas regeneradas desde la regla Sigma "${rule.title}"`, userId, { action: 'update' });
+      changed.push(technique);
+    }
+  }
+
+  for (const technique of changed) {
+    await technique.validate();
+  }
+  for (const technique of changed) {
+    await technique.save();
+  }
+
+  if (linked.length > 0) {
+    rule.convertedAt = new Date();
+    rule.conversionErrors = errors;
+  }
+  await rule.save();
+
+  return { queries, errors, techniques: linked.length, reopened };
+};
+
+// Obtener todas las reglas de detección con filtros
+const getAllDetectionRules = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, status, level, technique, product } = req.query;
+
+    const filters = { isActive: true };
+
+    if (search) {
+      filters.$text = { $search: search };
+    }
+    if (status) {
+      filters.status = status;
+    }
+    if (level) {
+      filters.level = level;
+    }
+    if (technique) {
+      filters.techniques = technique;
+    }
+    if (product) {
+      filters['logsource.product'] = product;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const rules = await DetectionRule.find(filters)
+      .select('-content')
+      .populate('techniques', 'name mitreid')
+      .populate('createdBy', 'username')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalItems = await DetectionRule.countDocuments(filters);
+
+    res.json({
+      rules,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < Math.ceil(totalItems / limit),
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener reglas de detección:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las reglas de detección'
+    });
+  }
+};
+
+// Obtener regla de detección por ID
+const getDetectionRuleById = async (req, res) => {
+  try {
+    const rule = await DetectionRule.findById(req.params.id)
+      .populate('techniques', 'name mitreid riskLevel')
+      .populate('createdBy', 'username')
+      .populate('lastModifiedBy', 'username');
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Regla no encontrada',
+        message: 'La regla de detección solicitada no existe'
+      });
+    }
+
+    res.json({
+      rule
+    });
+
+  } catch (error) {
+    console.error('Error al obtener regla de detección:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de regla proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la regla de detección'
+    });
+  }
+};
+
+// Validar una regla Sigma sin guardarla
+const validateDetectionRule = async (req, res) => {
+  try {
+    const { rule, errors } = parseSigmaRule(req.body.content);
+
+    res.json({
+      valid: errors.length === 0,
+      errors,
+      rule: rule && errors.length === 0 ? {
+        title: rule.title,
+        id: rule.id,
+        status: rule.status,
+        level: rule.level,
+        logsource: rule.logsource,
+        attackIds: extractAttackIds(rule)
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Error al validar regla de detección:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al validar la regla de detección'
+    });
+  }
+};
+
+// Crear regla de detección
+const createDetectionRule = async (req, res) => {
+  try {
+    const { content, status, techniques } = req.body;
+
+    if (!content) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'El contenido YAML de la regla es requerido'
+      });
+    }
+
+    let techniqueIds = [];
+    if (techniques && techniques.length > 0) {
+      const { valid, missing } = await findExistingTechniques(techniques);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Técnicas no encontradas',
+          message: 'Algunas técnicas especificadas no existen',
+          missing
+        });
+      }
+      techniqueIds = valid;
+    } else {
+      // Sin técnicas explícitas se usan las etiquetas ATT&CK de la regla
+      techniqueIds = await findTechniquesFromTags(content);
+    }
+
+    const rule = new DetectionRule({
+      content,
+      techniques: techniqueIds,
+      createdBy: req.user._id
+    });
+    if (status) {
+      rule.status = status;
+    }
+
+    const conversion = await syncTechniqueQueries(rule, req.user._id);
+    await rule.populate('techniques', 'name mitreid');
+
+    res.status(201).json({
+      message: 'Regla de detección creada exitosamente',
+      rule,
+      conversion
+    });
+
+  } catch (error) {
+    console.error('Error al crear regla de detección:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al crear la regla de detección'
+    });
+  }
+};
+
+// Actualizar regla de detección (contenido, estado o técnicas)
+const updateDetectionRule = async (req, res) => {
+  try {
+    const { content, status, techniques } = req.body;
+
+    const rule = await DetectionRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Regla no encontrada',
+        message: 'La regla de detección solicitada no existe'
+      });
+    }
+
+    if (!canModifyRule(rule, req.user)) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo puedes editar reglas que creaste o ser administrador'
+      });
+    }
+
+    const previousTechniqueIds = [...rule.techniques];
+
+    if (techniques !== undefined) {
+      const { valid, missing } = await findExistingTechniques(techniques);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Técnicas no encontradas',
+          message: 'Algunas técnicas especificadas no existen',
+          missing
+        });
+      }
+      rule.techniques = valid;
+    }
+
+    if (content !== undefined) {
+      rule.content = content;
+
+      // Si el YAML trae un estado distinto y no se indica otro, se respeta el del YAML
+      const { rule: parsed } = parseSigmaRule(content);
+      if (!status && parsed && parsed.status) {
+        rule.status = parsed.status;
+      }
+    }
+    if (status) {
+      rule.status = status;
+    }
+    rule.lastModifiedBy = req.user._id;
+
+    // Las consultas se regeneran cuando cambia la regla o sus técnicas (syncTechniqueQueries guarda la regla)
+    let conversion = null;
+    if (rule.isModified('content') || rule.isModified('techniques')) {
+      conversion = await syncTechniqueQueries(rule, req.user._id, previousTechniqueIds);
+    } else {
+      await rule.save();
+    }
+    await rule.populate('techniques', 'name mitreid');
+
+    res.json({
+      message: 'Regla de detección actualizada exitosamente',
+      rule,
+      conversion
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar regla de detección:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar la regla de detección'
+    });
+  }
+};
+
+// Eliminar regla de detección
+const deleteDetectionRule = async (req, res) => {
+  try {
+    const rule = await DetectionRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Regla no encontrada',
+        message: 'La regla de detección solicitada no existe'
+      });
+    }
+
+    if (!canModifyRule(rule, req.user)) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo puedes eliminar reglas que creaste o ser administrador'
+      });
+    }
+
+    // Retirar de las técnicas las consultas generadas por la regla antes de eliminarla
+    const previousTechniqueIds = [...rule.techniques];
+    rule.techniques = [];
+    rule.isActive = false;
+    await syncTechniqueQueries(rule, req.user._id, previousTechniqueIds);
+
+    await DetectionRule.findByIdAndDelete(rule._id);
+
+    res.json({
+      message: 'Regla de detección eliminada exitosamente',
+      deleted: {
+        id: rule._id,
+        title: rule.title
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar regla de detección:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar la regla de detección'
+    });
+  }
+};
+
+// Listar los backends de conversión con su mapeo de campos efectivo
+const getConversionBackends = async (req, res) => {
+  try {
+    res.json({
+      backends: SUPPORTED_BACKENDS.map(backend => ({
+        backend,
+        label: BACKENDS[backend].label,
+        platform: BACKENDS[backend].platform,
+        fieldMapping: getFieldMapping(backend)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error al obtener backends de conversión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener los backends de conversión'
+    });
+  }
+};
+
+// Convertir una regla Sigma a consultas sin guardarla
+const convertDetectionRule = async (req, res) => {
+  try {
+    const { content, backends } = req.body;
+
+    const requested = backends ? (Array.isArray(backends) ? backends : [backends]) : SUPPORTED_BACKENDS;
+    const unknown = requested.filter(backend => !SUPPORTED_BACKENDS.includes(backend));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Backend desconocido',
+        message: `Backends disponibles: ${SUPPORTED_BACKENDS.join(', ')}`,
+        unknown
+      });
+    }
+
+    const { rule, errors } = parseSigmaRule(content);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Regla Sigma inválida',
+        details: errors
+      });
+    }
+
+    const conversion = generateQueries(rule, requested);
+
+    res.json({
+      title: rule.title,
+      ...conversion
+    });
+
+  } catch (error) {
+    console.error('Error al convertir regla de detección:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al convertir la regla de detección'
+    });
+  }
+};
+
+// Regenerar las consultas de una regla (por ejemplo, tras cambiar los mapeos de campos)
+const regenerateDetectionRule = async (req, res) => {
+  try {
+    const rule = await DetectionRule.findById(req.params.id);
+
+    if (!rule || !rule.isActive) {
+      return res.status(404).json({
+        error: 'Regla no encontrada',
+        message: 'La regla de detección solicitada no existe o está inactiva'
+      });
+    }
+
+    if (!canModifyRule(rule, req.user)) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo puedes regenerar reglas que creaste o ser administrador'
+      });
+    }
+
+    const conversion = await syncTechniqueQueries(rule, req.user._id);
+
+    res.json({
+      message: 'Consultas regeneradas exitosamente',
+      conversion
+    });
+
+  } catch (error) {
+    console.error('Error al regenerar consultas:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al regenerar las consultas de la regla'
+    });
+  }
+};
+
+// Regenerar las consultas de todas las reglas activas
+const regenerateAllDetectionRules = async (req, res) => {
+  try {
+    const rules = await DetectionRule.find({ isActive: true, 'techniques.0': { $exists: true } });
+    const result = { rules: 0, withErrors: [] };
+
+    for (const rule of rules) {
+      const { errors } = await syncTechniqueQueries(rule, req.user._id);
+      result.rules++;
+      if (errors.length > 0) {
+        result.withErrors.push({ id: rule._id, title: rule.title, errors });
+      }
+    }
+
+    res.json({
+      message: 'Consultas regeneradas exitosamente',
+      result
+    });
+
+  } catch (error) {
+    console.error('Error al regenerar consultas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al regenerar las consultas de las reglas'
+    });
+  }
+};
+
+// Crear una regla Sigma para una técnica y generar sus consultas
+const createTechniqueDetection = async (req, res) => {
+  try {
+    const { content, status } = req.body;
+
+    const technique = await Technique.findOne({ _id: req.params.id, isActive: true }).select('_id');
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    if (!content) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'El contenido YAML de la regla es requerido'
+      });
+    }
+
+    const rule = new DetectionRule({
+      content,
+      techniques: [technique._id],
+      createdBy: req.user._id
+    });
+    if (status) {
+      rule.status = status;
+    }
+
+    const conversion = await syncTechniqueQueries(rule, req.user._id);
+
+    res.status(201).json({
+      message: 'Regla de detección creada y convertida exitosamente',
+      rule,
+      conversion
+    });
+
+  } catch (error) {
+    console.error('Error al crear detección de la técnica:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al crear la regla de detección'
+    });
+  }
+};
+
+// Obtener las reglas de detección de una técnica
+const getTechniqueDetections = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const technique = await Technique.findById(id).select('name mitreid riskLevel detection');
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    const filters = { techniques: technique._id, isActive: true };
+    if (status) {
+      filters.status = status;
+    }
+
+    const rules = await DetectionRule.find(filters)
+      .populate('createdBy', 'username')
+      .sort({ status: 1, title: 1 });
+
+    const byStatus = rules.reduce((acc, rule) => {
+      acc[rule.status] = (acc[rule.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    res.json({
+      technique: {
+        id: technique._id,
+        name: technique.name,
+        mitreid: technique.mitreid,
+        riskLevel: technique.riskLevel,
+        detectionStatus: technique.getDetectionStatus()
+      },
+      summary: {
+        total: rules.length,
+        byStatus
+      },
+      rules
+    });
+
+  } catch (error) {
+    console.error('Error al obtener detecciones de la técnica:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las reglas de detección de la técnica'
+    });
+  }
+};
+
+// Exportar las reglas de una categoría (y sus subcategorías) como zip de archivos .yml
+const exportCategoryDetections = async (req, res) => {
+  try {
+    const { category, status, includeSubcategories = 'true' } = req.query;
+
+    if (!category) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Debes indicar la categoría a exportar'
+      });
+    }
+
+    const categoryDoc = await Category.findById(category);
+    if (!categoryDoc) {
+      return res.status(404).json({
+        error: 'Categoría no encontrada',
+        message: 'La categoría especificada no existe'
+      });
+    }
+
+    const categoryIds = includeSubcategories === 'false'
+      ? [categoryDoc._id]
+      : await getCategoryTreeIds(categoryDoc._id);
+
+    const techniques = await Technique.find({ category: { $in: categoryIds }, isActive: true }).select('_id');
+
+    const filters = { techniques: { $in: techniques.map(t => t._id) }, isActive: true };
+    if (status) {
+      filters.status = status;
+    }
+
+    const rules = await DetectionRule.find(filters).select('title content sigmaId').sort({ title: 1 });
+
+    if (rules.length === 0) {
+      return res.status(404).json({
+        error: 'Sin reglas',
+        message: 'La categoría no tiene reglas de detección para exportar'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=detections-${categoryDoc.slug || categoryDoc._id}.zip`);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => {
+      console.error('Error al generar el zip de reglas:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    // Evitar nombres repetidos cuando varias reglas comparten título
+    const usedNames = new Set();
+    rules.forEach(rule => {
+      let filename = toRuleFilename(rule.title);
+      if (usedNames.has(filename)) {
+        const suffix = (rule.sigmaId || rule._id.toString()).slice(0, 8);
+        filename = toRuleFilename(rule.title, suffix);
+        // El sufijo también puede repetirse (p.ej. un título que ya termina igual): añadir un contador
+        for (let counter = 2; usedNames.has(filename); counter++) {
+          filename = toRuleFilename(rule.title, `${suffix}_${counter}`);
+        }
+      }
+      usedNames.add(filename);
+      archive.append(rule.content, { name: filename });
+    });
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Error al exportar reglas de detección:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al exportar las reglas de detección'
+    });
+  }
+};
+
+module.exports = {
+  getAllDetectionRules,
+  getDetectionRuleById,
+  validateDetectionRule,
+  createDetectionRule,
+  updateDetectionRule,
+  deleteDetectionRule,
+  getConversionBackends,
+  convertDetectionRule,
+  regenerateDetectionRule,
+  regenerateAllDetectionRules,
+  createTechniqueDetection,
+  getTechniqueDetections,
+  exportCategoryDetections
+};
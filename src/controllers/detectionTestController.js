@@ -0,0 +1,370 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Technique = require('../models/Technique');
+const DetectionRule = require('../models/DetectionRule');
+const DetectionFixture = require('../models/DetectionFixture');
+const { deleteFile } = require('../middleware/upload');
+const { buildQueryTree } = require('../utils/sigmaConverter');
+const { getFieldMapping } = require('../config/sigmaBackends');
+const {
+  parseEvents,
+  normalizeEvent,
+  parseFieldMatchQuery,
+  compileTree,
+  countMatches
+} = require('../utils/detectionEvaluator');
+
+// Texto para los revisores a partir de la verificación guardada
+const describeVerification = (verification) => {
+  if (!verification || !verification.status) {
+    return 'Detección sin verificar';
+  }
+
+  const date = verification.verifiedAt.toISOString().slice(0, 10);
+  if (verification.status === 'passed') return `Detección verificada el ${date}`;
+  if (verification.status === 'outdated') return `Verificación del ${date} desactualizada: las consultas o los logs de ejemplo cambiaron`;
+  return `La verificación del ${date} falló`;
+};
+
+// Marcar como desactualizada la verificación de una técnica cuando cambian sus logs de ejemplo
+const markVerificationOutdated = (techniqueId) => Technique.updateOne(
+  { _id: techniqueId, 'detectionVerification.status': { $in: ['passed', 'failed'] } },
+  { $set: { 'detectionVerification.status': 'outdated' } }
+);
+
+// Construir el árbol evaluable de una consulta
+// Las consultas generadas se evalúan desde su regla Sigma con el mapeo de campos de su backend
+const buildEvaluableTree = (query, rulesById) => {
+  if (query.detectionRule) {
+    const rule = rulesById.get(query.detectionRule.toString());
+    if (!rule) {
+      throw new Error('La regla Sigma de origen ya no existe');
+    }
+    return { method: 'sigma', tree: compileTree(buildQueryTree(rule.getParsedRule(), getFieldMapping(query.backend))) };
+  }
+
+  return { method: 'field-match', tree: parseFieldMatchQuery(query.query) };
+};
+
+// Mover a storage/fixtures los logs de ejemplo subidos a uploads/fixtures, que se sirve como estático
+const relocatePublicFixtures = async () => {
+  const fixtures = await DetectionFixture.find({ fileLocation: /^uploads[\\/]fixtures[\\/]/ });
+  if (fixtures.length === 0) return 0;
+
+  await fs.mkdir('storage/fixtures', { recursive: true });
+  for (const fixture of fixtures) {
+    const target = path.join('storage/fixtures', path.basename(fixture.fileLocation));
+    try {
+      await fs.rename(fixture.fileLocation, target);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    fixture.fileLocation = target;
+    await fixture.save();
+  }
+
+  return fixtures.length;
+};
+
+// Listar los logs de ejemplo de una técnica
+const getTechniqueFixtures = async (req, res) => {
+  try {
+    const technique = await Technique.findById(req.params.id).select('name mitreid detectionVerification');
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    const fixtures = await DetectionFixture.find({ technique: technique._id })
+      .populate('uploadedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      technique: {
+        id: technique._id,
+        name: technique.name,
+        mitreid: technique.mitreid
+      },
+      fixtures
+    });
+
+  } catch (error) {
+    console.error('Error al obtener logs de ejemplo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener los logs de ejemplo'
+    });
+  }
+};
+
+// Subir un log de ejemplo (JSON lines o JSON exportado de EVTX) para una técnica
+const uploadTechniqueFixture = async (req, res) => {
+  try {
+    const { name, description = '', expectedResult = 'match' } = req.body;
+
+    if (!req.processedFile) {
+      return res.status(400).json({
+        error: 'Archivo requerido',
+        message: 'Debes adjuntar el log de ejemplo en el campo "fixture"'
+      });
+    }
+
+    const technique = await Technique.findById(req.params.id).select('_id');
+
+    if (!technique) {
+      await deleteFile(req.processedFile.path);
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    let events;
+    try {
+      events = parseEvents(await fs.readFile(req.processedFile.path, 'utf8'));
+    } catch (error) {
+      await deleteFile(req.processedFile.path);
+      return res.status(400).json({
+        error: 'Log de ejemplo inválido',
+        message: error.name === 'QueryEvaluationError' ? error.message : `JSON inválido: ${error.message}`
+      });
+    }
+
+    const fixture = new DetectionFixture({
+      technique: technique._id,
+      name: name || req.processedFile.originalname,
+      description,
+      expectedResult,
+      fileLocation: req.processedFile.path,
+      originalName: req.processedFile.originalname,
+      eventsCount: events.length,
+      uploadedBy: req.user._id
+    });
+
+    await fixture.save();
+    await markVerificationOutdated(technique._id);
+
+    res.status(201).json({
+      message: 'Log de ejemplo añadido exitosamente',
+      fixture
+    });
+
+  } catch (error) {
+    console.error('Error al subir log de ejemplo:', error);
+
+    if (req.processedFile) {
+      await deleteFile(req.processedFile.path);
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al subir el log de ejemplo'
+    });
+  }
+};
+
+// Eliminar un log de ejemplo
+const deleteTechniqueFixture = async (req, res) => {
+  try {
+    const { id, fixtureId } = req.params;
+
+    const fixture = await DetectionFixture.findOne({ _id: fixtureId, technique: id });
+
+    if (!fixture) {
+      return res.status(404).json({
+        error: 'Log de ejemplo no encontrado',
+        message: 'El log de ejemplo no existe o no pertenece a la técnica'
+      });
+    }
+
+    await deleteFile(fixture.fileLocation);
+    await DetectionFixture.findByIdAndDelete(fixture._id);
+    await markVerificationOutdated(fixture.technique);
+
+    res.json({
+      message: 'Log de ejemplo eliminado exitosamente',
+      deleted: {
+        id: fixture._id,
+        name: fixture.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar log de ejemplo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar el log de ejemplo'
+    });
+  }
+};
+
+// Evaluar las consultas de detección de la técnica contra sus logs de ejemplo y guardar el resultado
+const runDetectionTests = async (req, res) => {
+  try {
+    const technique = await Technique.findById(req.params.id);
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    const queries = ((technique.detection && technique.detection.queries) || []).filter(query => query.query);
+    if (queries.length === 0) {
+      return res.status(400).json({
+        error: 'Sin consultas',
+        message: 'La técnica no tiene consultas de detección para evaluar'
+      });
+    }
+
+    const fixtures = await DetectionFixture.find({ technique: technique._id });
+    if (fixtures.length === 0) {
+      return res.status(400).json({
+        error: 'Sin logs de ejemplo',
+        message: 'Sube al menos un log de ejemplo antes de ejecutar las pruebas'
+      });
+    }
+
+    // Cargar los eventos de cada log una sola vez
+    const loadedFixtures = [];
+    for (const fixture of fixtures) {
+      try {
+        const events = parseEvents(await fs.readFile(fixture.fileLocation, 'utf8')).map(normalizeEvent);
+        loadedFixtures.push({ fixture, events });
+      } catch (error) {
+        loadedFixtures.push({ fixture, error: `No se pudo leer el log: ${error.message}` });
+      }
+    }
+
+    const ruleIds = queries.filter(query => query.detectionRule).map(query => query.detectionRule);
+    const rules = await DetectionRule.find({ _id: { $in: ruleIds } });
+    const rulesById = new Map(rules.map(rule => [rule._id.toString(), rule]));
+
+    const results = queries.map(query => {
+      const result = {
+        queryId: query._id,
+        platform: query.platform,
+        backend: query.backend,
+        query: query.query
+      };
+
+      let evaluable;
+      try {
+        evaluable = buildEvaluableTree(query, rulesById);
+      } catch (error) {
+        return { ...result, method: 'unsupported', passed: null, error: error.message };
+      }
+
+      const fixtureResults = loadedFixtures.map(({ fixture, events, error }) => {
+        if (error) {
+          return { fixture: fixture._id, name: fixture.name, expectedResult: fixture.expectedResult, passed: false, error };
+        }
+
+        const matchedEvents = countMatches(evaluable.tree, events);
+        return {
+          fixture: fixture._id,
+          name: fixture.name,
+          expectedResult: fixture.expectedResult,
+          totalEvents: events.length,
+          matchedEvents,
+          passed: fixture.expectedResult === 'match' ? matchedEvents > 0 : matchedEvents === 0
+        };
+      });
+
+      return {
+        ...result,
+        method: evaluable.method,
+        passed: fixtureResults.every(item => item.passed),
+        fixtures: fixtureResults
+      };
+    });
+
+    const evaluated = results.filter(result => result.method !== 'unsupported');
+    const passed = evaluated.filter(result => result.passed);
+
+    technique.detectionVerification = {
+      status: evaluated.length > 0 && passed.length === evaluated.length ? 'passed' : 'failed',
+      verifiedAt: new Date(),
+      verifiedBy: req.user._id,
+      summary: {
+        queries: results.length,
+        evaluated: evaluated.length,
+        passed: passed.length,
+        unsupported: results.length - evaluated.length,
+        fixtures: fixtures.length
+      },
+      results
+    };
+
+    await technique.save();
+
+    res.json({
+      message: describeVerification(technique.detectionVerification),
+      verification: technique.detectionVerification
+    });
+
+  } catch (error) {
+    console.error('Error al ejecutar pruebas de detección:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al ejecutar las pruebas de detección'
+    });
+  }
+};
+
+// Obtener el último resultado de verificación de la técnica
+const getDetectionVerification = async (req, res) => {
+  try {
+    const technique = await Technique.findById(req.params.id)
+      .select('name mitreid status detectionVerification')
+      .populate('detectionVerification.verifiedBy', 'username');
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    res.json({
+      technique: {
+        id: technique._id,
+        name: technique.name,
+        mitreid: technique.mitreid,
+        status: technique.status
+      },
+      message: describeVerification(technique.detectionVerification),
+      verification: technique.detectionVerification && technique.detectionVerification.status
+        ? technique.detectionVerification
+        : null
+    });
+
+  } catch (error) {
+    console.error('Error al obtener verificación de detección:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la verificación de detección'
+    });
+  }
+};
+
+module.exports = {
+  getTechniqueFixtures,
+  uploadTechniqueFixture,
+  deleteTechniqueFixture,
+  runDetectionTests,
+  getDetectionVerification,
+  relocatePublicFixtures
+};
@@ -0,0 +1,517 @@
+const path = require('path');
+const fs = require('fs').promises;
+const Evidence = require('../models/Evidence');
+const Technique = require('../models/Technique');
+const Control = require('../models/Control');
+const User = require('../models/User');
+const { deleteFile } = require('../middleware/upload');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Campos de metadatos que se pueden editar después de subir la evidencia
+const EDITABLE_FIELDS = ['title', 'description', 'collectedAt', 'validFrom', 'validUntil'];
+
+// Cambiar estos campos invalida la revisión anterior
+const REVIEWED_FIELDS = ['collectedAt', 'validFrom', 'validUntil'];
+
+// Comprobar si el usuario puede modificar la evidencia (quien la subió o un administrador)
+const canModifyEvidence = (evidence, user) =>
+  user.role === 'admin' || evidence.uploadedBy.toString() === user._id.toString();
+
+// Resolver la técnica y el control de la evidencia (el control admite "A.5.7")
+const resolveTargets = async ({ technique, control }) => {
+  const targets = {};
+
+  if (technique) {
+    const found = await Technique.findOne({ _id: technique, isActive: true }).select('_id');
+    if (!found) return { error: 'La técnica especificada no existe' };
+    targets.technique = found._id;
+  }
+
+  if (control) {
+    const found = await Control.findByIdentifier(String(control)).select('_id isActive');
+    if (!found || !found.isActive) return { error: 'El control especificado no existe' };
+    targets.control = found._id;
+  }
+
+  return { targets };
+};
+
+const populateEvidence = (query) => query
+  .populate('technique', 'name mitreid status')
+  .populate('control', 'controlId name')
+  .populate('collectedBy', 'username')
+  .populate('reviewedBy', 'username');
+
+const validationDetails = (error) => [...new Set(Object.values(error.errors).map(err => err.message))];
+
+// Obtener evidencias con filtros y paginación
+const getAllEvidence = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      technique,
+      control,
+      reviewStatus,
+      valid,
+      sortBy = 'collectedAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const conditions = [];
+
+    if (search) {
+      conditions.push({
+        $or: [
+          { title: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } },
+          { originalName: { $regex: search, $options: 'i' } }
+        ]
+      });
+    }
+
+    if (technique) conditions.push({ technique });
+
+    if (control) {
+      const found = await Control.findByIdentifier(String(control)).select('_id');
+      conditions.push({ control: found ? found._id : null });
+    }
+
+    if (reviewStatus) conditions.push({ reviewStatus });
+
+    if (valid === 'true') conditions.push(Evidence.validFilter());
+    if (valid === 'false') conditions.push({ $nor: [Evidence.validFilter()] });
+
+    const filters = conditions.length > 0 ? { $and: conditions } : {};
+    const skip = (page - 1) * limit;
+    const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+    const evidence = await populateEvidence(Evidence.find(filters))
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalEvidence = await Evidence.countDocuments(filters);
+
+    res.json({
+      evidence,
+      reviewStatuses: Evidence.REVIEW_STATUSES,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEvidence / limit),
+        totalItems: totalEvidence,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < Math.ceil(totalEvidence / limit),
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener evidencias:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las evidencias'
+    });
+  }
+};
+
+// Evidencias que caducan en los próximos días (y opcionalmente las ya caducadas)
+const getExpiringEvidence = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const includeExpired = req.query.includeExpired === 'true';
+
+    if (days < 1 || days > 365) {
+      return res.status(400).json({
+        error: 'Parámetro inválido',
+        message: 'days debe estar entre 1 y 365'
+      });
+    }
+
+    const now = new Date();
+    const until = new Date(now.getTime() + days * DAY_MS);
+
+    const evidence = await populateEvidence(Evidence.find({
+      reviewStatus: { $ne: 'Rejected' },
+      validUntil: includeExpired ? { $lte: until } : { $gte: now, $lte: until }
+    }))
+      .sort({ validUntil: 1 });
+
+    res.json({
+      days,
+      until,
+      evidence,
+      totalItems: evidence.length
+    });
+
+  } catch (error) {
+    console.error('Error al obtener evidencias por caducar:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las evidencias por caducar'
+    });
+  }
+};
+
+// Obtener evidencia por ID
+const getEvidenceById = async (req, res) => {
+  try {
+    const evidence = await populateEvidence(Evidence.findById(req.params.id))
+      .populate('uploadedBy', 'username');
+
+    if (!evidence) {
+      return res.status(404).json({
+        error: 'Evidencia no encontrada',
+        message: 'La evidencia solicitada no existe'
+      });
+    }
+
+    res.json({
+      evidence
+    });
+
+  } catch (error) {
+    console.error('Error al obtener evidencia:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de evidencia proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la evidencia'
+    });
+  }
+};
+
+// Descargar el archivo de una evidencia
+const downloadEvidence = async (req, res) => {
+  try {
+    const evidence = await Evidence.findById(req.params.id).select('fileLocation originalName');
+
+    if (!evidence) {
+      return res.status(404).json({
+        error: 'Evidencia no encontrada',
+        message: 'La evidencia solicitada no existe'
+      });
+    }
+
+    try {
+      await fs.access(evidence.fileLocation);
+    } catch (error) {
+      return res.status(404).json({
+        error: 'Archivo no encontrado',
+        message: 'El archivo de la evidencia ya no está disponible'
+      });
+    }
+
+    res.download(path.resolve(evidence.fileLocation), evidence.originalName || path.basename(evidence.fileLocation));
+
+  } catch (error) {
+    console.error('Error al descargar evidencia:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de evidencia proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al descargar la evidencia'
+    });
+  }
+};
+
+// Subir evidencia para una técnica o un control
+const uploadEvidence = async (req, res) => {
+  try {
+    if (!req.processedFile) {
+      return res.status(400).json({
+        error: 'Archivo requerido',
+        message: 'Debes adjuntar la evidencia en el campo "evidence"'
+      });
+    }
+
+    const { title, description = '', collectedBy, collectedAt, validFrom, validUntil } = req.body;
+
+    const { targets, error: targetError } = await resolveTargets(req.body);
+    if (targetError) {
+      await deleteFile(req.processedFile.path);
+      return res.status(400).json({
+        error: 'Referencia no encontrada',
+        message: targetError
+      });
+    }
+
+    if (collectedBy && !(await User.exists({ _id: collectedBy }))) {
+      await deleteFile(req.processedFile.path);
+      return res.status(400).json({
+        error: 'Referencia no encontrada',
+        message: 'El usuario que recopiló la evidencia no existe'
+      });
+    }
+
+    const evidence = new Evidence({
+      ...targets,
+      title: title || req.processedFile.originalname,
+      description,
+      fileLocation: req.processedFile.path,
+      originalName: req.processedFile.originalname,
+      mimetype: req.processedFile.mimetype,
+      size: req.processedFile.size,
+      collectedBy: collectedBy || req.user._id,
+      ...(collectedAt && { collectedAt }),
+      ...(validFrom && { validFrom }),
+      ...(validUntil && { validUntil }),
+      uploadedBy: req.user._id
+    });
+
+    await evidence.save();
+
+    res.status(201).json({
+      message: 'Evidencia subida exitosamente',
+      evidence
+    });
+
+  } catch (error) {
+    console.error('Error al subir evidencia:', error);
+
+    if (req.processedFile) {
+      await deleteFile(req.processedFile.path);
+    }
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: error.errors ? validationDetails(error) : [error.message]
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al subir la evidencia'
+    });
+  }
+};
+
+// Actualizar metadatos de una evidencia
+const updateEvidence = async (req, res) => {
+  try {
+    const evidence = await Evidence.findById(req.params.id);
+
+    if (!evidence) {
+      return res.status(404).json({
+        error: 'Evidencia no encontrada',
+        message: 'La evidencia solicitada no existe'
+      });
+    }
+
+    if (!canModifyEvidence(evidence, req.user)) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo puedes editar evidencias que subiste o ser administrador'
+      });
+    }
+
+    const { targets, error: targetError } = await resolveTargets(req.body);
+    if (targetError) {
+      return res.status(400).json({
+        error: 'Referencia no encontrada',
+        message: targetError
+      });
+    }
+
+    if (req.body.collectedBy) {
+      if (!(await User.exists({ _id: req.body.collectedBy }))) {
+        return res.status(400).json({
+          error: 'Referencia no encontrada',
+          message: 'El usuario que recopiló la evidencia no existe'
+        });
+      }
+      evidence.collectedBy = req.body.collectedBy;
+    }
+
+    Object.assign(evidence, targets);
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      // Una fecha vacía elimina el valor (p.ej. evidencia sin caducidad)
+      evidence[field] = REVIEWED_FIELDS.includes(field) && !req.body[field] ? null : req.body[field];
+    });
+
+    // Una evidencia aceptada con otras fechas debe revisarse de nuevo
+    // También al moverla a otra técnica o control: la revisión se hizo para el destino anterior
+    if (evidence.reviewStatus !== 'Pending' &&
+      [...REVIEWED_FIELDS, 'technique', 'control'].some(field => evidence.isModified(field))) {
+      evidence.reviewStatus = 'Pending';
+      evidence.reviewedBy = undefined;
+      evidence.reviewedAt = undefined;
+    }
+
+    await evidence.save();
+
+    res.json({
+      message: 'Evidencia actualizada exitosamente',
+      evidence
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar evidencia:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: validationDetails(error)
+      });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de evidencia proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar la evidencia'
+    });
+  }
+};
+
+// Registrar la revisión de una evidencia (aceptada, rechazada o pendiente)
+const reviewEvidence = async (req, res) => {
+  try {
+    const { reviewStatus, reviewNotes = '' } = req.body;
+
+    if (!Evidence.REVIEW_STATUSES.includes(reviewStatus)) {
+      return res.status(400).json({
+        error: 'Estado de revisión inválido',
+        message: `Valores permitidos: ${Evidence.REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    if (reviewStatus === 'Rejected' && !String(reviewNotes).trim()) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Indica el motivo del rechazo en reviewNotes'
+      });
+    }
+
+    const evidence = await Evidence.findById(req.params.id);
+
+    if (!evidence) {
+      return res.status(404).json({
+        error: 'Evidencia no encontrada',
+        message: 'La evidencia solicitada no existe'
+      });
+    }
+
+    // Igual que en la aprobación de técnicas, quien sube la evidencia no la acepta
+    if (reviewStatus === 'Accepted' && evidence.uploadedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Quien subió la evidencia no puede aceptarla'
+      });
+    }
+
+    evidence.reviewStatus = reviewStatus;
+    evidence.reviewNotes = String(reviewNotes).trim();
+    evidence.reviewedBy = reviewStatus === 'Pending' ? undefined : req.user._id;
+    evidence.reviewedAt = reviewStatus === 'Pending' ? undefined : new Date();
+
+    await evidence.save();
+
+    res.json({
+      message: 'Revisión de la evidencia guardada exitosamente',
+      evidence
+    });
+
+  } catch (error) {
+    console.error('Error al revisar evidencia:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de evidencia proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al revisar la evidencia'
+    });
+  }
+};
+
+// Eliminar evidencia y su archivo
+const deleteEvidence = async (req, res) => {
+  try {
+    const evidence = await Evidence.findById(req.params.id);
+
+    if (!evidence) {
+      return res.status(404).json({
+        error: 'Evidencia no encontrada',
+        message: 'La evidencia solicitada no existe'
+      });
+    }
+
+    if (!canModifyEvidence(evidence, req.user)) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo puedes eliminar evidencias que subiste o ser administrador'
+      });
+    }
+
+    // Una evidencia aceptada respalda la auditoría: solo un administrador la elimina
+    if (evidence.reviewStatus === 'Accepted' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo un administrador puede eliminar una evidencia aceptada'
+      });
+    }
+
+    await Evidence.findByIdAndDelete(evidence._id);
+    await deleteFile(evidence.fileLocation);
+
+    res.json({
+      message: 'Evidencia eliminada exitosamente',
+      deletedEvidence: {
+        id: evidence._id,
+        title: evidence.title
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar evidencia:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de evidencia proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar la evidencia'
+    });
+  }
+};
+
+module.exports = {
+  getAllEvidence,
+  getExpiringEvidence,
+  getEvidenceById,
+  downloadEvidence,
+  uploadEvidence,
+  updateEvidence,
+  reviewEvidence,
+  deleteEvidence
+};
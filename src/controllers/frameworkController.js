@@ -0,0 +1,449 @@
+const Framework = require('../models/Framework');
+const FrameworkRequirement = require('../models/FrameworkRequirement');
+const Control = require('../models/Control');
+const Technique = require('../models/Technique');
+const { NIST_CSF_2 } = require('../config/nistCsf2');
+const { CIS_CONTROLS_V8 } = require('../config/cisControlsV8');
+
+// Marcos que se siembran al arrancar (ISO 27001 tiene su propio catálogo en Control)
+const FRAMEWORK_CATALOGUES = [NIST_CSF_2, CIS_CONTROLS_V8];
+
+// Verificar que todas las técnicas indicadas existen y están activas
+const findExistingTechniques = async (techniqueIds) => {
+  const ids = Array.isArray(techniqueIds) ? techniqueIds : [techniqueIds];
+  const techniques = await Technique.find({ _id: { $in: ids }, isActive: true }).select('_id');
+  const found = new Set(techniques.map(t => t._id.toString()));
+
+  return {
+    valid: techniques.map(t => t._id),
+    missing: ids.filter(id => !found.has(String(id)))
+  };
+};
+
+// Construir el árbol de requisitos a partir de la lista ordenada
+const buildRequirementTree = (requirements) => {
+  const nodes = new Map(requirements.map(requirement => [
+    requirement._id.toString(),
+    { ...requirement.toJSON(), children: [] }
+  ]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+const summarizeFramework = (framework) => ({
+  id: framework._id,
+  key: framework.key,
+  name: framework.name,
+  version: framework.version
+});
+
+// Buscar un requisito por su identificador dentro del marco indicado en la ruta
+const findRequirement = async (params, query = {}) => {
+  const framework = await Framework.findByIdentifier(params.frameworkId, query.version);
+  if (!framework) return { error: 'Marco no encontrado' };
+
+  const requirement = await FrameworkRequirement.findOne({
+    framework: framework._id,
+    identifier: params.requirementId,
+    isActive: true
+  });
+  if (!requirement) return { framework, error: 'Requisito no encontrado' };
+
+  return { framework, requirement };
+};
+
+// Crear o actualizar los marcos sembrados (se ejecuta al arrancar el servidor)
+const seedFrameworkCatalogues = async () => {
+  const results = [];
+
+  for (const catalogue of FRAMEWORK_CATALOGUES) {
+    results.push(await Framework.syncCatalogue(catalogue));
+  }
+
+  return results;
+};
+
+// Listar los marcos con el número de requisitos y cuántos tienen técnicas vinculadas
+const getAllFrameworks = async (req, res) => {
+  try {
+    const frameworks = await Framework.find({ isActive: true }).sort({ key: 1, createdAt: -1 });
+
+    const stats = await FrameworkRequirement.aggregate([
+      { $match: { isActive: true } },
+      {
+        $group: {
+          _id: '$framework',
+          requirementsCount: { $sum: 1 },
+          mappedCount: { $sum: { $cond: [{ $gt: [{ $size: '$techniques' }, 0] }, 1, 0] } }
+        }
+      }
+    ]);
+    const statsByFramework = new Map(stats.map(item => [item._id.toString(), item]));
+
+    res.json({
+      frameworks: frameworks.map(framework => {
+        const item = statsByFramework.get(framework._id.toString()) || {};
+        return {
+          ...framework.toJSON(),
+          requirementsCount: item.requirementsCount || 0,
+          mappedCount: item.mappedCount || 0
+        };
+      }),
+      totalItems: frameworks.length
+    });
+
+  } catch (error) {
+    console.error('Error al obtener marcos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener los marcos de referencia'
+    });
+  }
+};
+
+// Obtener un marco con su árbol de requisitos (o la lista plana)
+const getFrameworkById = async (req, res) => {
+  try {
+    const { version, flat, mapped } = req.query;
+
+    const framework = await Framework.findByIdentifier(req.params.frameworkId, version);
+
+    if (!framework) {
+      return res.status(404).json({
+        error: 'Marco no encontrado',
+        message: 'El marco de referencia solicitado no existe'
+      });
+    }
+
+    const filters = { framework: framework._id, isActive: true };
+
+    // Con mapped solo tiene sentido la lista plana: los padres pueden no tener técnicas
+    if (mapped === 'true') filters['techniques.0'] = { $exists: true };
+    if (mapped === 'false') filters['techniques.0'] = { $exists: false };
+
+    const requirements = await FrameworkRequirement.find(filters)
+      .populate({
+        path: 'techniques',
+        select: 'name mitreid riskLevel status',
+        match: { isActive: true }
+      })
+      .sort({ order: 1 });
+
+    const asList = flat === 'true' || mapped !== undefined;
+
+    res.json({
+      framework,
+      ...(asList
+        ? { requirements }
+        : { requirements: buildRequirementTree(requirements) }),
+      totalItems: requirements.length
+    });
+
+  } catch (error) {
+    console.error('Error al obtener marco:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener el marco de referencia'
+    });
+  }
+};
+
+// Obtener un requisito con sus técnicas y sus requisitos hijos
+const getFrameworkRequirement = async (req, res) => {
+  try {
+    const { framework, requirement, error } = await findRequirement(req.params, req.query);
+
+    if (error) {
+      return res.status(404).json({
+        error,
+        message: framework
+          ? `El requisito ${req.params.requirementId} no existe en ${framework.name} ${framework.version}`
+          : 'El marco de referencia solicitado no existe'
+      });
+    }
+
+    await requirement.populate([
+      { path: 'techniques', select: 'name mitreid riskLevel status', match: { isActive: true } },
+      { path: 'parent', select: 'identifier name' }
+    ]);
+
+    const children = await FrameworkRequirement.find({ parent: requirement._id, isActive: true })
+      .select('identifier name techniques')
+      .sort({ order: 1 });
+
+    res.json({
+      framework: summarizeFramework(framework),
+      requirement,
+      children
+    });
+
+  } catch (error) {
+    console.error('Error al obtener requisito del marco:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener el requisito'
+    });
+  }
+};
+
+// Vincular técnicas a un requisito de cualquier marco
+const linkRequirementTechniques = async (req, res) => {
+  try {
+    const { techniques } = req.body;
+
+    if (!techniques || techniques.length === 0) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Debes indicar al menos una técnica'
+      });
+    }
+
+    const { requirement, error } = await findRequirement(req.params, req.query);
+
+    if (error) {
+      return res.status(404).json({
+        error,
+        message: 'El requisito solicitado no existe'
+      });
+    }
+
+    const { valid, missing } = await findExistingTechniques(techniques);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Técnicas no encontradas',
+        message: 'Algunas técnicas especificadas no existen',
+        missing
+      });
+    }
+
+    const added = requirement.linkTechniques(valid);
+    requirement.lastModifiedBy = req.user._id;
+    await requirement.save();
+
+    res.json({
+      message: `${added.length} técnicas vinculadas al requisito`,
+      added,
+      techniquesCount: requirement.techniques.length
+    });
+
+  } catch (error) {
+    console.error('Error al vincular técnicas al requisito:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al vincular las técnicas'
+    });
+  }
+};
+
+// Desvincular una técnica de un requisito
+const unlinkRequirementTechnique = async (req, res) => {
+  try {
+    const { requirement, error } = await findRequirement(req.params, req.query);
+
+    if (error) {
+      return res.status(404).json({
+        error,
+        message: 'El requisito solicitado no existe'
+      });
+    }
+
+    if (!requirement.unlinkTechnique(req.params.techniqueId)) {
+      return res.status(404).json({
+        error: 'Vínculo no encontrado',
+        message: 'La técnica no está vinculada a este requisito'
+      });
+    }
+
+    requirement.lastModifiedBy = req.user._id;
+    await requirement.save();
+
+    res.json({
+      message: 'Técnica desvinculada del requisito',
+      techniquesCount: requirement.techniques.length
+    });
+
+  } catch (error) {
+    console.error('Error al desvincular técnica del requisito:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al desvincular la técnica'
+    });
+  }
+};
+
+// Obtener los requisitos de todos los marcos que abordan una técnica
+const getTechniqueFrameworks = async (req, res) => {
+  try {
+    const technique = await Technique.findById(req.params.id).select('name mitreid');
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    const requirements = await FrameworkRequirement.find({ techniques: technique._id, isActive: true })
+      .select('framework identifier name level')
+      .populate('framework', 'key name version')
+      .sort({ framework: 1, order: 1 });
+
+    res.json({
+      technique: {
+        id: technique._id,
+        name: technique.name,
+        mitreid: technique.mitreid
+      },
+      requirements,
+      totalItems: requirements.length
+    });
+
+  } catch (error) {
+    console.error('Error al obtener marcos de la técnica:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de técnica proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener los marcos de la técnica'
+    });
+  }
+};
+
+// Equivalencias de un control ISO 27001 en otros marcos a través de las técnicas que comparten
+const getControlCrosswalk = async (req, res) => {
+  try {
+    const { frameworks } = req.query;
+
+    const control = await Control.findByIdentifier(req.params.controlId)
+      .populate({
+        path: 'techniques',
+        select: 'name mitreid',
+        match: { isActive: true }
+      });
+
+    if (!control) {
+      return res.status(404).json({
+        error: 'Control no encontrado',
+        message: 'El control solicitado no existe'
+      });
+    }
+
+    const frameworkFilters = { isActive: true };
+    if (frameworks) {
+      frameworkFilters.key = { $in: (Array.isArray(frameworks) ? frameworks : frameworks.split(',')).map(key => key.trim()) };
+    }
+    const targetFrameworks = await Framework.find(frameworkFilters).sort({ key: 1, createdAt: -1 });
+
+    const techniqueIds = control.techniques.map(technique => technique._id);
+    const requirements = techniqueIds.length > 0
+      ? await FrameworkRequirement.find({
+        framework: { $in: targetFrameworks.map(framework => framework._id) },
+        techniques: { $in: techniqueIds },
+        isActive: true
+      })
+        .select('framework identifier name level order techniques')
+        .sort({ order: 1 })
+      : [];
+
+    const techniquesById = new Map(control.techniques.map(technique => [technique._id.toString(), technique]));
+
+    // Agrupar por marco y ordenar por número de técnicas compartidas
+    const crosswalk = targetFrameworks.map(framework => {
+      const items = requirements
+        .filter(requirement => requirement.framework.toString() === framework._id.toString())
+        .map(requirement => {
+          const shared = requirement.techniques
+            .map(id => techniquesById.get(id.toString()))
+            .filter(Boolean);
+
+          return {
+            id: requirement._id,
+            identifier: requirement.identifier,
+            name: requirement.name,
+            level: framework.levels[requirement.level] || requirement.level,
+            sharedTechniques: shared.map(technique => ({
+              id: technique._id,
+              name: technique.name,
+              mitreid: technique.mitreid
+            })),
+            sharedCount: shared.length,
+            // Proporción de las técnicas del control que también cubre el requisito
+            overlap: Math.round((shared.length / techniqueIds.length) * 100)
+          };
+        })
+        .sort((a, b) => b.sharedCount - a.sharedCount);
+
+      return {
+        framework: summarizeFramework(framework),
+        requirements: items,
+        totalItems: items.length
+      };
+    });
+
+    res.json({
+      control: {
+        id: control._id,
+        controlId: control.controlId,
+        name: control.name,
+        theme: control.theme,
+        standard: control.standard
+      },
+      techniques: control.techniques,
+      crosswalk
+    });
+
+  } catch (error) {
+    console.error('Error al obtener equivalencias del control:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las equivalencias del control'
+    });
+  }
+};
+
+// Volver a sembrar los marcos incluidos
+const syncFrameworkCatalogues = async (req, res) => {
+  try {
+    const results = await seedFrameworkCatalogues();
+
+    res.json({
+      message: 'Marcos de referencia sincronizados exitosamente',
+      frameworks: results
+    });
+
+  } catch (error) {
+    console.error('Error al sincronizar marcos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al sincronizar los marcos de referencia'
+    });
+  }
+};
+
+module.exports = {
+  seedFrameworkCatalogues,
+  getAllFrameworks,
+  getFrameworkById,
+  getFrameworkRequirement,
+  linkRequirementTechniques,
+  unlinkRequirementTechnique,
+  getTechniqueFrameworks,
+  getControlCrosswalk,
+  syncFrameworkCatalogues
+};
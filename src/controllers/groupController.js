@@ -0,0 +1,19 @@
+const Group = require('../models/Group');
+const { createThreatEntityController } = require('./threatEntityController');
+
+const controller = createThreatEntityController(Group, {
+  singular: 'grupo',
+  plural: 'grupos',
+  notFound: 'Grupo no encontrado'
+});
+
+module.exports = {
+  getAllGroups: controller.getAll,
+  getGroupById: controller.getById,
+  getGroupTechniques: controller.getTechniquesView,
+  createGroup: controller.create,
+  updateGroup: controller.update,
+  addGroupTechnique: controller.addTechnique,
+  removeGroupTechnique: controller.removeTechnique,
+  deleteGroup: controller.remove
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const Category = require('../models/Category');
+const Technique = require('../models/Technique');
+
+const TECHNIQUE_FIELDS = 'name mitreid category parentTechnique tactics killChainPhases platforms tags status riskLevel detection.queries.query detection.description';
+
+const toArray = (value) => (Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+// Filtros admitidos por la matriz (plataforma, estado y tag)
+const buildMatrixFilters = (query) => {
+  const { platforms, status, tags } = query;
+  const filters = { isActive: true };
+
+  if (platforms) filters.platforms = { $in: toArray(platforms) };
+  if (status) filters.status = { $in: toArray(status) };
+  if (tags) filters.tags = { $in: toArray(tags) };
+
+  return filters;
+};
+
+// ETag calculado a partir de la última modificación de técnicas y categorías y de los filtros pedidos
+// Permite responder 304 sin construir la matriz cuando nada ha cambiado
+const computeMatrixETag = async (query) => {
+  const lastChange = (Model) => Model.aggregate([
+    { $group: { _id: null, count: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } }
+  ]);
+
+  const [[techniques], [categories]] = await Promise.all([lastChange(Technique), lastChange(Category)]);
+
+  const fingerprint = JSON.stringify({
+    techniques: techniques || null,
+    categories: categories || null,
+    filters: ['platforms', 'status', 'tags'].map(key => (query[key] ? toArray(query[key]).sort() : null))
+  });
+
+  return `W/"${crypto.createHash('sha1').update(fingerprint).digest('hex')}"`;
+};
+
+const normalizeTactic = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, '-');
+
+// Claves de táctica de una categoría: metadata.tactics, metadata.killChainPhases y su slug
+const getCategoryTactics = (category) => {
+  const metadata = category.metadata || {};
+  return [...new Set([...(metadata.tactics || []), ...(metadata.killChainPhases || []), category.slug]
+    .map(normalizeTactic)
+    .filter(Boolean))];
+};
+
+// Claves de táctica de una técnica: tactics y fases de kill chain
+const getTechniqueTactics = (technique) => [...new Set([
+  ...(technique.tactics || []),
+  ...(technique.killChainPhases || []).map(phase => phase.phaseName)
+].map(normalizeTactic).filter(Boolean))];
+
+const toCell = (technique, matchesFilters) => ({
+  id: technique._id,
+  mitreid: technique.mitreid,
+  name: technique.name,
+  status: technique.status,
+  riskLevel: technique.riskLevel,
+  platforms: technique.platforms,
+  tags: technique.tags,
+  detectionStatus: technique.getDetectionStatus(),
+  matchesFilters
+});
+
+const byMitreId = (a, b) => (a.mitreid || a.name).localeCompare(b.mitreid || b.name);
+
+// Obtener la matriz de tácticas × técnicas con sus subtécnicas
+const getMatrix = async (req, res) => {
+  try {
+    const etag = await computeMatrixETag(req.query);
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'no-cache');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const categories = await Category.find({ isActive: true })
+      .select('name slug color icon order parentCategory metadata')
+      .sort({ order: 1, name: 1 });
+
+    const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+
+    // Columna raíz de una categoría (las subcategorías se agrupan bajo su categoría principal)
+    const getRootCategory = (categoryId) => {
+      let category = categoriesById.get(String(categoryId));
+      const visited = new Set();
+      while (category && category.parentCategory && !visited.has(category._id.toString())) {
+        visited.add(category._id.toString());
+        const parent = categoriesById.get(category.parentCategory.toString());
+        if (!parent) break;
+        category = parent;
+      }
+      return category;
+    };
+
+    const columns = categories
+      .filter(category => !category.parentCategory || !categoriesById.has(category.parentCategory.toString()))
+      .map(category => ({
+        id: category._id,
+        name: category.name,
+        slug: category.slug,
+        color: category.color,
+        icon: category.icon,
+        order: category.order,
+        tactics: getCategoryTactics(category),
+        techniques: []
+      }));
+
+    const columnsByTactic = new Map();
+    columns.forEach(column => column.tactics.forEach(tactic => {
+      if (!columnsByTactic.has(tactic)) columnsByTactic.set(tactic, column);
+    }));
+    const columnsById = new Map(columns.map(column => [column.id.toString(), column]));
+
+    const filters = buildMatrixFilters(req.query);
+    const matching = await Technique.find(filters).select(TECHNIQUE_FIELDS);
+
+    // Las técnicas padre se incluyen como contexto aunque solo coincida alguna de sus subtécnicas
+    const matchingIds = new Set(matching.map(technique => technique._id.toString()));
+    const missingParentIds = [...new Set(matching
+      .filter(technique => technique.parentTechnique && !matchingIds.has(technique.parentTechnique.toString()))
+      .map(technique => technique.parentTechnique.toString()))];
+
+    const contextParents = missingParentIds.length > 0
+      ? await Technique.find({ _id: { $in: missingParentIds }, isActive: true }).select(TECHNIQUE_FIELDS)
+      : [];
+
+    const parents = [...matching.filter(technique => !technique.parentTechnique), ...contextParents];
+    const subTechniquesByParent = new Map();
+    matching.filter(technique => technique.parentTechnique).forEach(technique => {
+      const key = technique.parentTechnique.toString();
+      if (!subTechniquesByParent.has(key)) subTechniquesByParent.set(key, []);
+      subTechniquesByParent.get(key).push(toCell(technique, true));
+    });
+
+    const unassigned = [];
+    let subTechniquesCount = 0;
+
+    parents.forEach(parent => {
+      const subTechniques = (subTechniquesByParent.get(parent._id.toString()) || []).sort(byMitreId);
+      const cell = {
+        ...toCell(parent, matchingIds.has(parent._id.toString())),
+        subTechniques
+      };
+
+      // Una técnica aparece en cada táctica a la que pertenece, o en la columna de su categoría
+      const targets = new Set(getTechniqueTactics(parent)
+        .map(tactic => columnsByTactic.get(tactic))
+        .filter(Boolean));
+
+      if (targets.size === 0) {
+        const root = getRootCategory(parent.category);
+        const column = root && columnsById.get(root._id.toString());
+        if (column) targets.add(column);
+      }
+
+      if (targets.size === 0) {
+        unassigned.push(cell);
+        return;
+      }
+
+      subTechniquesCount += subTechniques.length;
+      targets.forEach(column => column.techniques.push(cell));
+    });
+
+    columns.forEach(column => {
+      column.techniques.sort((a, b) => a.name.localeCompare(b.name));
+      column.techniquesCount = column.techniques.length;
+    });
+
+    res.json({
+      tactics: columns,
+      unassigned: unassigned.sort(byMitreId),
+      summary: {
+        tactics: columns.length,
+        techniques: parents.length - unassigned.length,
+        subTechniques: subTechniquesCount,
+        unassigned: unassigned.length
+      },
+      filters: {
+        platforms: req.query.platforms ? toArray(req.query.platforms) : [],
+        status: req.query.status ? toArray(req.query.status) : [],
+        tags: req.query.tags ? toArray(req.query.tags) : []
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener matriz:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la matriz de tácticas'
+    });
+  }
+};
+
+module.exports = {
+  getMatrix
+};
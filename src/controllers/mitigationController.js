@@ -0,0 +1,488 @@
+const Mitigation = require('../models/Mitigation');
+const Technique = require('../models/Technique');
+
+// Verificar que todas las técnicas indicadas existen y están activas
+const findExistingTechniques = async (techniqueIds) => {
+  const ids = Array.isArray(techniqueIds) ? techniqueIds : [techniqueIds];
+  const techniques = await Technique.find({ _id: { $in: ids }, isActive: true }).select('_id');
+  const found = new Set(techniques.map(t => t._id.toString()));
+
+  return {
+    valid: techniques.map(t => t._id),
+    missing: ids.filter(id => !found.has(String(id)))
+  };
+};
+
+// Obtener todas las mitigaciones
+const getAllMitigations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, tags } = req.query;
+
+    const filters = { isActive: true };
+
+    // Búsqueda por texto
+    if (search) {
+      filters.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { mitreid: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Filtro por tags
+    if (tags) {
+      const tagArray = Array.isArray(tags) ? tags : [tags];
+      filters.tags = { $in: tagArray };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const mitigations = await Mitigation.find(filters)
+      .populate('createdBy', 'username')
+      .sort({ mitreid: 1, name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalMitigations = await Mitigation.countDocuments(filters);
+
+    res.json({
+      mitigations,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalMitigations / limit),
+        totalItems: totalMitigations,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < Math.ceil(totalMitigations / limit),
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener mitigaciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las mitigaciones'
+    });
+  }
+};
+
+// Obtener mitigación por ID
+const getMitigationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const mitigation = await Mitigation.findById(id)
+      .populate('createdBy', 'username')
+      .populate('lastModifiedBy', 'username')
+      .populate('techniques', 'name mitreid riskLevel status');
+
+    if (!mitigation) {
+      return res.status(404).json({
+        error: 'Mitigación no encontrada',
+        message: 'La mitigación solicitada no existe'
+      });
+    }
+
+    res.json({
+      mitigation
+    });
+
+  } catch (error) {
+    console.error('Error al obtener mitigación:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de mitigación proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la mitigación'
+    });
+  }
+};
+
+// Obtener las técnicas que cubre una mitigación
+const getMitigationTechniques = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const mitigation = await Mitigation.findById(id).select('name mitreid techniques');
+
+    if (!mitigation) {
+      return res.status(404).json({
+        error: 'Mitigación no encontrada',
+        message: 'La mitigación solicitada no existe'
+      });
+    }
+
+    const filters = { _id: { $in: mitigation.techniques }, isActive: true };
+    const skip = (page - 1) * limit;
+
+    const techniques = await Technique.find(filters)
+      .populate('category', 'name color')
+      .sort({ mitreid: 1, name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalTechniques = await Technique.countDocuments(filters);
+
+    res.json({
+      mitigation: {
+        id: mitigation._id,
+        name: mitigation.name,
+        mitreid: mitigation.mitreid
+      },
+      techniques,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalTechniques / limit),
+        totalItems: totalTechniques,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener técnicas de la mitigación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las técnicas de la mitigación'
+    });
+  }
+};
+
+// Obtener técnicas sin ninguna mitigación (ni vinculada ni descrita en texto)
+const getUnmitigatedTechniques = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const mitigatedIds = await Mitigation.distinct('techniques', { isActive: true });
+
+    const filters = {
+      isActive: true,
+      _id: { $nin: mitigatedIds },
+      $or: [
+        { 'mitigation.description': { $exists: false } },
+        { 'mitigation.description': '' },
+        { 'mitigation.description': null }
+      ]
+    };
+
+    const skip = (page - 1) * limit;
+
+    const techniques = await Technique.find(filters)
+      .populate('category', 'name color')
+      .select('name mitreid category riskLevel status')
+      .sort({ mitreid: 1, name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalTechniques = await Technique.countDocuments(filters);
+
+    res.json({
+      techniques,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalTechniques / limit),
+        totalItems: totalTechniques,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener técnicas sin mitigación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las técnicas sin mitigación'
+    });
+  }
+};
+
+// Crear nueva mitigación
+const createMitigation = async (req, res) => {
+  try {
+    const { name, description, mitreid, techniques, references, tags } = req.body;
+
+    // Validaciones básicas
+    if (!name || !description) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Nombre y descripción son requeridos'
+      });
+    }
+
+    // Verificar MITRE ID único si se proporciona
+    if (mitreid) {
+      const existingMitigation = await Mitigation.findOne({ mitreid });
+      if (existingMitigation) {
+        return res.status(400).json({
+          error: 'MITRE ID duplicado',
+          message: 'Ya existe una mitigación con ese MITRE ID'
+        });
+      }
+    }
+
+    let techniqueIds = [];
+    if (techniques && techniques.length > 0) {
+      const { valid, missing } = await findExistingTechniques(techniques);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Técnicas no encontradas',
+          message: 'Algunas técnicas especificadas no existen',
+          missing
+        });
+      }
+      techniqueIds = valid;
+    }
+
+    const mitigation = new Mitigation({
+      name: name.trim(),
+      description: description.trim(),
+      mitreid,
+      techniques: techniqueIds,
+      references: references || [],
+      tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim())) : [],
+      createdBy: req.user._id
+    });
+
+    await mitigation.save();
+    await mitigation.populate('createdBy', 'username');
+
+    res.status(201).json({
+      message: 'Mitigación creada exitosamente',
+      mitigation
+    });
+
+  } catch (error) {
+    console.error('Error al crear mitigación:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al crear la mitigación'
+    });
+  }
+};
+
+// Actualizar mitigación
+const updateMitigation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, mitreid, techniques, references, tags } = req.body;
+
+    const mitigation = await Mitigation.findById(id);
+
+    if (!mitigation) {
+      return res.status(404).json({
+        error: 'Mitigación no encontrada',
+        message: 'La mitigación solicitada no existe'
+      });
+    }
+
+    // Verificar permisos
+    if (req.user.role !== 'admin' && mitigation.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo puedes editar mitigaciones que creaste o ser administrador'
+      });
+    }
+
+    // Verificar MITRE ID único si se cambia
+    if (mitreid && mitreid !== mitigation.mitreid) {
+      const existingMitigation = await Mitigation.findOne({ mitreid, _id: { $ne: id } });
+      if (existingMitigation) {
+        return res.status(400).json({
+          error: 'MITRE ID duplicado',
+          message: 'Ya existe otra mitigación con ese MITRE ID'
+        });
+      }
+    }
+
+    if (techniques !== undefined) {
+      const { valid, missing } = await findExistingTechniques(techniques);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Técnicas no encontradas',
+          message: 'Algunas técnicas especificadas no existen',
+          missing
+        });
+      }
+      mitigation.techniques = valid;
+    }
+
+    if (name !== undefined) mitigation.name = name.trim();
+    if (description !== undefined) mitigation.description = description.trim();
+    if (mitreid !== undefined) mitigation.mitreid = mitreid || undefined;
+    if (references !== undefined) mitigation.references = references;
+    if (tags !== undefined) {
+      mitigation.tags = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
+    }
+    mitigation.lastModifiedBy = req.user._id;
+
+    await mitigation.save();
+    await mitigation.populate(['createdBy', 'lastModifiedBy']);
+
+    res.json({
+      message: 'Mitigación actualizada exitosamente',
+      mitigation
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar mitigación:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar la mitigación'
+    });
+  }
+};
+
+// Vincular técnicas a una mitigación
+const linkMitigationTechniques = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { techniques } = req.body;
+
+    if (!techniques || techniques.length === 0) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Debes indicar al menos una técnica'
+      });
+    }
+
+    const mitigation = await Mitigation.findById(id);
+
+    if (!mitigation) {
+      return res.status(404).json({
+        error: 'Mitigación no encontrada',
+        message: 'La mitigación solicitada no existe'
+      });
+    }
+
+    const { valid, missing } = await findExistingTechniques(techniques);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Técnicas no encontradas',
+        message: 'Algunas técnicas especificadas no existen',
+        missing
+      });
+    }
+
+    const added = mitigation.linkTechniques(valid);
+    mitigation.lastModifiedBy = req.user._id;
+    await mitigation.save();
+
+    res.json({
+      message: `${added.length} técnicas vinculadas a la mitigación`,
+      added,
+      techniquesCount: mitigation.techniques.length
+    });
+
+  } catch (error) {
+    console.error('Error al vincular técnicas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al vincular las técnicas'
+    });
+  }
+};
+
+// Desvincular una técnica de una mitigación
+const unlinkMitigationTechnique = async (req, res) => {
+  try {
+    const { id, techniqueId } = req.params;
+
+    const mitigation = await Mitigation.findById(id);
+
+    if (!mitigation) {
+      return res.status(404).json({
+        error: 'Mitigación no encontrada',
+        message: 'La mitigación solicitada no existe'
+      });
+    }
+
+    if (!mitigation.unlinkTechnique(techniqueId)) {
+      return res.status(404).json({
+        error: 'Vínculo no encontrado',
+        message: 'La técnica no está vinculada a esta mitigación'
+      });
+    }
+
+    mitigation.lastModifiedBy = req.user._id;
+    await mitigation.save();
+
+    res.json({
+      message: 'Técnica desvinculada de la mitigación',
+      techniquesCount: mitigation.techniques.length
+    });
+
+  } catch (error) {
+    console.error('Error al desvincular técnica:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al desvincular la técnica'
+    });
+  }
+};
+
+// Eliminar mitigación
+const deleteMitigation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const mitigation = await Mitigation.findByIdAndDelete(id);
+
+    if (!mitigation) {
+      return res.status(404).json({
+        error: 'Mitigación no encontrada',
+        message: 'La mitigación solicitada no existe'
+      });
+    }
+
+    res.json({
+      message: 'Mitigación eliminada exitosamente',
+      deletedMitigation: {
+        id: mitigation._id,
+        name: mitigation.name,
+        mitreid: mitigation.mitreid
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar mitigación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar la mitigación'
+    });
+  }
+};
+
+module.exports = {
+  getAllMitigations,
+  getMitigationById,
+  getMitigationTechniques,
+  getUnmitigatedTechniques,
+  createMitigation,
+  updateMitigation,
+  linkMitigationTechniques,
+  unlinkMitigationTechnique,
+  deleteMitigation
+};
@@ -0,0 +1,410 @@
+const RiskAssessment = require('../models/RiskAssessment');
+const Technique = require('../models/Technique');
+const Mitigation = require('../models/Mitigation');
+const User = require('../models/User');
+const {
+  RISK_LEVELS,
+  RISK_TREATMENTS,
+  getRiskMatrix,
+  evaluateRisk
+} = require('../config/riskMatrix');
+
+const EDITABLE_FIELDS = ['title', 'asset', 'scenario', 'treatment', 'treatmentNotes', 'dueDate', 'status'];
+
+// Recalcular el nivel de riesgo de una técnica desde sus evaluaciones (el residual más alto)
+// Si la técnica ya no tiene evaluaciones conserva su nivel actual
+const syncTechniqueRiskLevel = async (techniqueId, userId) => {
+  if (!techniqueId) return null;
+
+  const technique = await Technique.findById(techniqueId);
+  if (!technique) return null;
+
+  const assessments = await RiskAssessment.find({ technique: techniqueId, isActive: true }).select('residual');
+  const level = RiskAssessment.highestLevel(assessments);
+
+  if (!level || level === technique.riskLevel) {
+    return technique.riskLevel;
+  }
+
+  const previous = technique.riskLevel;
+  technique.riskLevel = level;
+  technique.addRevision(`Nivel de riesgo derivado de la evaluación de riesgos: ${previous} → ${level}`, userId, {
+    action: 'risk-assessment'
+  });
+  await technique.save();
+
+  return level;
+};
+
+// Validar las referencias de una evaluación (técnica, responsable y mitigaciones)
+const validateReferences = async ({ technique, owner, mitigations }) => {
+  if (technique) {
+    const exists = await Technique.exists({ _id: technique, isActive: true });
+    if (!exists) return 'La técnica especificada no existe';
+  }
+
+  if (owner) {
+    const exists = await User.exists({ _id: owner });
+    if (!exists) return 'El responsable especificado no existe';
+  }
+
+  if (mitigations && mitigations.length > 0) {
+    const found = await Mitigation.countDocuments({ _id: { $in: mitigations }, isActive: true });
+    if (found !== new Set(mitigations.map(String)).size) return 'Algunas mitigaciones especificadas no existen';
+  }
+
+  return null;
+};
+
+const validationDetails = (error) => [...new Set(Object.values(error.errors).map(err => err.message))];
+
+// Obtener el registro de riesgos
+const getAllRisks = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      technique,
+      owner,
+      treatment,
+      status,
+      level,
+      overdue,
+      sortBy = 'residual.score',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const filters = { isActive: true };
+
+    if (search) {
+      filters.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { asset: { $regex: search, $options: 'i' } },
+        { scenario: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (technique) filters.technique = technique;
+    if (owner) filters.owner = owner === 'me' && req.user ? req.user._id : owner;
+    if (treatment) filters.treatment = treatment;
+    if (status) filters.status = status;
+
+    // Filtro por nivel de riesgo residual
+    if (level) {
+      const levelArray = Array.isArray(level) ? level : level.split(',');
+      filters['residual.level'] = { $in: levelArray };
+    }
+
+    if (overdue === 'true') {
+      filters.dueDate = { $lt: new Date() };
+      filters.status = { $ne: 'Closed' };
+    }
+
+    const skip = (page - 1) * limit;
+    const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1, createdAt: -1 };
+
+    const risks = await RiskAssessment.find(filters)
+      .populate('technique', 'name mitreid riskLevel')
+      .populate('owner', 'username')
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalRisks = await RiskAssessment.countDocuments(filters);
+
+    res.json({
+      risks,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalRisks / limit),
+        totalItems: totalRisks,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < Math.ceil(totalRisks / limit),
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener riesgos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener el registro de riesgos'
+    });
+  }
+};
+
+// Obtener la matriz de riesgos configurada con el número de riesgos en cada celda
+const getRiskMatrixView = async (req, res) => {
+  try {
+    const { type = 'residual' } = req.query;
+
+    if (!['inherent', 'residual'].includes(type)) {
+      return res.status(400).json({
+        error: 'Tipo inválido',
+        message: 'Valores permitidos para type: inherent, residual'
+      });
+    }
+
+    const matrix = getRiskMatrix();
+
+    const counts = await RiskAssessment.aggregate([
+      { $match: { isActive: true } },
+      {
+        $group: {
+          _id: { likelihood: `$${type}.likelihood`, impact: `$${type}.impact` },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const countByCell = new Map(counts.map(item => [`${item._id.likelihood}:${item._id.impact}`, item.count]));
+
+    // Filas de mayor a menor probabilidad, como se dibuja habitualmente la matriz
+    const cells = [...matrix.likelihood].reverse().map(likelihood => matrix.impact.map(impact => ({
+      likelihood: likelihood.value,
+      impact: impact.value,
+      ...evaluateRisk(likelihood.value, impact.value, matrix),
+      count: countByCell.get(`${likelihood.value}:${impact.value}`) || 0
+    })));
+
+    res.json({
+      type,
+      likelihood: matrix.likelihood,
+      impact: matrix.impact,
+      levels: matrix.levels,
+      cells,
+      treatments: RISK_TREATMENTS,
+      riskLevels: RISK_LEVELS
+    });
+
+  } catch (error) {
+    console.error('Error al obtener matriz de riesgos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la matriz de riesgos'
+    });
+  }
+};
+
+// Obtener evaluación de riesgo por ID
+const getRiskById = async (req, res) => {
+  try {
+    const risk = await RiskAssessment.findById(req.params.id)
+      .populate('technique', 'name mitreid riskLevel status')
+      .populate('mitigations', 'name mitreid')
+      .populate('owner', 'username email')
+      .populate('createdBy', 'username')
+      .populate('lastModifiedBy', 'username');
+
+    if (!risk || !risk.isActive) {
+      return res.status(404).json({
+        error: 'Riesgo no encontrado',
+        message: 'La evaluación de riesgo solicitada no existe'
+      });
+    }
+
+    res.json({
+      risk
+    });
+
+  } catch (error) {
+    console.error('Error al obtener riesgo:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de riesgo proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la evaluación de riesgo'
+    });
+  }
+};
+
+// Crear evaluación de riesgo
+const createRisk = async (req, res) => {
+  try {
+    const { technique, inherent, residual, mitigations = [] } = req.body;
+    const owner = req.body.owner || req.user._id;
+
+    const referenceError = await validateReferences({ technique, owner, mitigations });
+    if (referenceError) {
+      return res.status(400).json({
+        error: 'Referencia no encontrada',
+        message: referenceError
+      });
+    }
+
+    const risk = new RiskAssessment({
+      ...EDITABLE_FIELDS.reduce((acc, field) => {
+        if (req.body[field] !== undefined) acc[field] = req.body[field];
+        return acc;
+      }, {}),
+      technique: technique || undefined,
+      inherent: inherent && { likelihood: inherent.likelihood, impact: inherent.impact },
+      residual: residual && { likelihood: residual.likelihood, impact: residual.impact },
+      mitigations,
+      owner,
+      createdBy: req.user._id
+    });
+
+    await risk.save();
+    const riskLevel = await syncTechniqueRiskLevel(risk.technique, req.user._id);
+
+    res.status(201).json({
+      message: 'Evaluación de riesgo creada exitosamente',
+      risk,
+      ...(risk.technique && { techniqueRiskLevel: riskLevel })
+    });
+
+  } catch (error) {
+    console.error('Error al crear evaluación de riesgo:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: validationDetails(error)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al crear la evaluación de riesgo'
+    });
+  }
+};
+
+// Actualizar evaluación de riesgo
+const updateRisk = async (req, res) => {
+  try {
+    const risk = await RiskAssessment.findById(req.params.id);
+
+    if (!risk || !risk.isActive) {
+      return res.status(404).json({
+        error: 'Riesgo no encontrado',
+        message: 'La evaluación de riesgo solicitada no existe'
+      });
+    }
+
+    // Verificar permisos (autor, responsable o admin)
+    const userId = req.user._id.toString();
+    if (req.user.role !== 'admin' && risk.createdBy.toString() !== userId && risk.owner.toString() !== userId) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo el autor, el responsable del riesgo o un administrador pueden editarlo'
+      });
+    }
+
+    const { technique, owner, mitigations, inherent, residual } = req.body;
+
+    const referenceError = await validateReferences({ technique, owner, mitigations });
+    if (referenceError) {
+      return res.status(400).json({
+        error: 'Referencia no encontrada',
+        message: referenceError
+      });
+    }
+
+    const previousTechnique = risk.technique;
+    // El residual que solo copiaba al inherente se recalcula si cambia el inherente
+    const residualWasAssessed = risk.residual && risk.inherent &&
+      (risk.residual.likelihood !== risk.inherent.likelihood || risk.residual.impact !== risk.inherent.impact);
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) risk[field] = req.body[field];
+    });
+
+    if (technique !== undefined) risk.technique = technique || undefined;
+    if (owner) risk.owner = owner;
+    if (mitigations !== undefined) risk.mitigations = mitigations;
+
+    if (inherent) {
+      risk.inherent = { likelihood: inherent.likelihood, impact: inherent.impact };
+      if (!residualWasAssessed && residual === undefined) risk.residual = undefined;
+    }
+    if (residual !== undefined) {
+      risk.residual = residual ? { likelihood: residual.likelihood, impact: residual.impact } : undefined;
+    }
+
+    risk.lastModifiedBy = req.user._id;
+    await risk.save();
+
+    const riskLevel = await syncTechniqueRiskLevel(risk.technique, req.user._id);
+    if (previousTechnique && String(previousTechnique) !== String(risk.technique)) {
+      await syncTechniqueRiskLevel(previousTechnique, req.user._id);
+    }
+
+    res.json({
+      message: 'Evaluación de riesgo actualizada exitosamente',
+      risk,
+      ...(risk.technique && { techniqueRiskLevel: riskLevel })
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar evaluación de riesgo:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: validationDetails(error)
+      });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar la evaluación de riesgo'
+    });
+  }
+};
+
+// Eliminar evaluación de riesgo
+const deleteRisk = async (req, res) => {
+  try {
+    const risk = await RiskAssessment.findByIdAndDelete(req.params.id);
+
+    if (!risk) {
+      return res.status(404).json({
+        error: 'Riesgo no encontrado',
+        message: 'La evaluación de riesgo solicitada no existe'
+      });
+    }
+
+    await syncTechniqueRiskLevel(risk.technique, req.user._id);
+
+    res.json({
+      message: 'Evaluación de riesgo eliminada exitosamente',
+      deletedRisk: {
+        id: risk._id,
+        title: risk.title
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar evaluación de riesgo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar la evaluación de riesgo'
+    });
+  }
+};
+
+module.exports = {
+  syncTechniqueRiskLevel,
+  getAllRisks,
+  getRiskMatrixView,
+  getRiskById,
+  createRisk,
+  updateRisk,
+  deleteRisk
+};
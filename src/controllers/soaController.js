@@ -0,0 +1,298 @@
+const Control = require('../models/Control');
+const SoaVersion = require('../models/SoaVersion');
+const { ISO27001_STANDARD, ISO27001_CONTROLS } = require('../config/iso27001Controls');
+const {
+  IMPLEMENTATION_STATUSES,
+  SOA_FORMATS,
+  buildSoaEntries,
+  findPendingEntries,
+  summarizeSoa
+} = require('../utils/soa');
+
+// Construir la SoA en curso a partir de las decisiones guardadas en cada control
+const buildDraftSoa = async () => {
+  const controls = await Control.find({ isActive: true })
+    .populate({
+      path: 'techniques',
+      select: 'name mitreid riskLevel status',
+      match: { isActive: true },
+      options: { sort: { mitreid: 1 } }
+    })
+    .sort({ order: 1 });
+
+  const entries = buildSoaEntries(controls);
+
+  return {
+    version: null,
+    standard: ISO27001_STANDARD,
+    issuedAt: new Date(),
+    entries,
+    summary: summarizeSoa(entries),
+    pending: findPendingEntries(entries)
+  };
+};
+
+// Obtener la SoA en curso con los controles pendientes de decisión
+const getSoa = async (req, res) => {
+  try {
+    const soa = await buildDraftSoa();
+    const latest = await SoaVersion.findOne().sort({ version: -1 }).select('version issuedAt');
+
+    res.json({
+      soa,
+      implementationStatuses: IMPLEMENTATION_STATUSES,
+      latestVersion: latest ? { version: latest.version, issuedAt: latest.issuedAt } : null
+    });
+
+  } catch (error) {
+    console.error('Error al obtener la declaración de aplicabilidad:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la declaración de aplicabilidad'
+    });
+  }
+};
+
+// Registrar la decisión de aplicabilidad de un control
+const updateControlApplicability = async (req, res) => {
+  try {
+    const { applicable, justification, implementationStatus } = req.body;
+
+    if (typeof applicable !== 'boolean') {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Debes indicar si el control es aplicable (true o false)'
+      });
+    }
+
+    if (!justification || !String(justification).trim()) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'La justificación es requerida tanto para incluir como para excluir un control'
+      });
+    }
+
+    if (applicable && implementationStatus && !IMPLEMENTATION_STATUSES.includes(implementationStatus)) {
+      return res.status(400).json({
+        error: 'Estado de implementación inválido',
+        message: `Valores permitidos: ${IMPLEMENTATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const control = await Control.findByIdentifier(req.params.controlId);
+
+    if (!control) {
+      return res.status(404).json({
+        error: 'Control no encontrado',
+        message: 'El control solicitado no existe'
+      });
+    }
+
+    control.applicability = {
+      applicable,
+      justification: String(justification).trim(),
+      // Los controles excluidos no tienen estado de implementación
+      implementationStatus: applicable ? implementationStatus || 'Not Implemented' : null,
+      decidedBy: req.user._id,
+      decidedAt: new Date()
+    };
+    control.lastModifiedBy = req.user._id;
+
+    await control.save();
+
+    res.json({
+      message: 'Decisión de aplicabilidad guardada exitosamente',
+      control: {
+        id: control._id,
+        controlId: control.controlId,
+        name: control.name,
+        applicability: control.applicability
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al guardar decisión de aplicabilidad:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al guardar la decisión de aplicabilidad'
+    });
+  }
+};
+
+// Emitir una nueva versión de la SoA con el estado actual de los controles
+const issueSoaVersion = async (req, res) => {
+  try {
+    const { notes = '' } = req.body;
+
+    const soa = await buildDraftSoa();
+
+    // Una SoA emitida debe cubrir todo el Anexo A, no solo los controles presentes en la base de datos
+    if (soa.entries.length !== ISO27001_CONTROLS.length) {
+      return res.status(400).json({
+        error: 'Declaración incompleta',
+        message: `El catálogo tiene ${soa.entries.length} de ${ISO27001_CONTROLS.length} controles del Anexo A; sincronízalo antes de emitir la declaración`
+      });
+    }
+
+    if (soa.pending.length > 0) {
+      return res.status(400).json({
+        error: 'Declaración incompleta',
+        message: `${soa.pending.length} controles no tienen decisión, justificación o estado de implementación`,
+        pending: soa.pending
+      });
+    }
+
+    const latest = await SoaVersion.findOne().sort({ version: -1 }).select('version');
+
+    const version = new SoaVersion({
+      version: latest ? latest.version + 1 : 1,
+      standard: soa.standard,
+      issuedBy: req.user._id,
+      notes,
+      summary: soa.summary,
+      entries: soa.entries
+    });
+
+    await version.save();
+
+    res.status(201).json({
+      message: `Declaración de aplicabilidad v${version.version} emitida exitosamente`,
+      version: {
+        id: version._id,
+        version: version.version,
+        issuedAt: version.issuedAt,
+        summary: version.summary
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al emitir la declaración de aplicabilidad:', error);
+
+    // Dos emisiones simultáneas pueden competir por el mismo número de versión
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Conflicto de versión',
+        message: 'Otra versión se emitió al mismo tiempo; inténtalo de nuevo'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al emitir la declaración de aplicabilidad'
+    });
+  }
+};
+
+// Listar las versiones emitidas
+const getSoaVersions = async (req, res) => {
+  try {
+    const versions = await SoaVersion.find()
+      .select('version standard issuedAt issuedBy notes summary')
+      .populate('issuedBy', 'username')
+      .sort({ version: -1 });
+
+    res.json({
+      versions,
+      totalItems: versions.length
+    });
+
+  } catch (error) {
+    console.error('Error al obtener versiones de la declaración:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las versiones de la declaración de aplicabilidad'
+    });
+  }
+};
+
+// Obtener una versión emitida completa
+const getSoaVersion = async (req, res) => {
+  try {
+    const version = await SoaVersion.findOne({ version: parseInt(req.params.version) })
+      .populate('issuedBy', 'username');
+
+    if (!version) {
+      return res.status(404).json({
+        error: 'Versión no encontrada',
+        message: `No existe la versión ${req.params.version} de la declaración de aplicabilidad`
+      });
+    }
+
+    res.json({
+      version
+    });
+
+  } catch (error) {
+    console.error('Error al obtener versión de la declaración:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la versión de la declaración de aplicabilidad'
+    });
+  }
+};
+
+// Exportar la SoA en CSV, Markdown o HTML (una versión emitida o el borrador en curso)
+const exportSoa = async (req, res) => {
+  try {
+    const { format = 'html', version } = req.query;
+    const exporter = SOA_FORMATS[format];
+
+    if (!exporter) {
+      return res.status(400).json({
+        error: 'Formato no soportado',
+        message: `Formatos soportados: ${Object.keys(SOA_FORMATS).join(', ')}`
+      });
+    }
+
+    let soa;
+    if (version) {
+      const issued = await SoaVersion.findOne({ version: parseInt(version) }).populate('issuedBy', 'username');
+
+      if (!issued) {
+        return res.status(404).json({
+          error: 'Versión no encontrada',
+          message: `No existe la versión ${version} de la declaración de aplicabilidad`
+        });
+      }
+
+      soa = {
+        ...issued.toObject(),
+        issuedBy: issued.issuedBy ? issued.issuedBy.username : null
+      };
+    } else {
+      soa = await buildDraftSoa();
+    }
+
+    const filename = `soa-${soa.version ? `v${soa.version}` : 'borrador'}.${exporter.extension}`;
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    res.send(exporter.render(soa));
+
+  } catch (error) {
+    console.error('Error al exportar la declaración de aplicabilidad:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al exportar la declaración de aplicabilidad'
+    });
+  }
+};
+
+module.exports = {
+  getSoa,
+  updateControlApplicability,
+  issueSoaVersion,
+  getSoaVersions,
+  getSoaVersion,
+  exportSoa
+};
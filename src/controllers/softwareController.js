@@ -0,0 +1,21 @@
+const Software = require('../models/Software');
+const { createThreatEntityController } = require('./threatEntityController');
+
+const controller = createThreatEntityController(Software, {
+  singular: 'software',
+  plural: 'software',
+  notFound: 'Software no encontrado'
+}, {
+  editableFields: ['softwareType', 'platforms']
+});
+
+module.exports = {
+  getAllSoftware: controller.getAll,
+  getSoftwareById: controller.getById,
+  getSoftwareTechniques: controller.getTechniquesView,
+  createSoftware: controller.create,
+  updateSoftware: controller.update,
+  addSoftwareTechnique: controller.addTechnique,
+  removeSoftwareTechnique: controller.removeTechnique,
+  deleteSoftware: controller.remove
+};
@@ -0,0 +1,190 @@
+const StatsSnapshot = require('../models/StatsSnapshot');
+const { computeTechniqueStats, computeCoverageStats } = require('./techniqueController');
+
+const DEFAULT_METRIC = 'coverage.overall.detectionPercentage';
+const MAX_METRICS = 10;
+const MAX_POINTS = 1000;
+
+// Horas entre fotografías de estadísticas (STATS_SNAPSHOT_INTERVAL_HOURS=0 las desactiva)
+const getSnapshotIntervalHours = () => {
+  const hours = parseFloat(process.env.STATS_SNAPSHOT_INTERVAL_HOURS);
+  return Number.isNaN(hours) ? 24 : hours;
+};
+
+// Guardar una fotografía con la salida actual de las estadísticas y la cobertura
+const recordStatsSnapshot = async ({ trigger = 'scheduled', userId } = {}) => {
+  const [stats, coverage] = await Promise.all([
+    computeTechniqueStats(),
+    computeCoverageStats({ limit: 0 })
+  ]);
+
+  const snapshot = new StatsSnapshot({
+    takenAt: new Date(),
+    trigger,
+    totalTechniques: stats.totalTechniques,
+    platformDistribution: stats.platformDistribution.map(item => ({ name: item._id, count: item.count })),
+    tacticDistribution: stats.tacticDistribution.map(item => ({ name: item._id, count: item.count })),
+    categoryDistribution: stats.categoryDistribution.map(item => ({
+      category: item._id,
+      name: item.categoryName,
+      count: item.count
+    })),
+    coverage: {
+      overall: coverage.overall,
+      byTactic: coverage.byTactic,
+      byRiskLevel: coverage.byRiskLevel
+    },
+    createdBy: userId
+  });
+
+  return snapshot.save();
+};
+
+// Guardar una fotografía solo si la última es más antigua que el intervalo configurado
+// Así los reinicios del servidor no retrasan ni duplican las fotografías
+const recordStatsSnapshotIfDue = async () => {
+  const intervalMs = getSnapshotIntervalHours() * 60 * 60 * 1000;
+  const latest = await StatsSnapshot.findOne().sort({ takenAt: -1 }).select('takenAt');
+
+  if (latest && Date.now() - latest.takenAt.getTime() < intervalMs) {
+    return null;
+  }
+
+  return recordStatsSnapshot();
+};
+
+// Aplanar una fotografía en métricas numéricas con rutas de puntos
+// Los elementos de las listas se nombran por su táctica, nivel de riesgo o nombre
+// (p.ej. coverage.byTactic.execution.detectionPercentage o platformDistribution.Windows)
+const flattenMetrics = (value, prefix = '', acc = {}) => {
+  if (typeof value === 'number') {
+    acc[prefix] = value;
+  } else if (Array.isArray(value)) {
+    value.forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      const key = item.tactic || item.riskLevel || item.name;
+      if (!key) return;
+      const path = `${prefix}.${key}`;
+      if (Object.keys(item).length === 2 && typeof item.count === 'number') {
+        acc[path] = item.count;
+      } else {
+        flattenMetrics(item, path, acc);
+      }
+    });
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      flattenMetrics(item, prefix ? `${prefix}.${key}` : key, acc);
+    });
+  }
+  return acc;
+};
+
+const toMetricSource = (snapshot) => ({
+  totalTechniques: snapshot.totalTechniques,
+  platformDistribution: snapshot.platformDistribution.map(item => ({ name: item.name, count: item.count })),
+  tacticDistribution: snapshot.tacticDistribution.map(item => ({ name: item.name, count: item.count })),
+  categoryDistribution: snapshot.categoryDistribution.map(item => ({ name: item.name, count: item.count })),
+  coverage: snapshot.coverage
+});
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Obtener series temporales de métricas a partir de las fotografías guardadas
+const getStatsHistory = async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        error: 'Fecha inválida',
+        message: 'Los parámetros from y to deben ser fechas ISO 8601'
+      });
+    }
+
+    const metrics = [...new Set((Array.isArray(req.query.metric) ? req.query.metric : String(req.query.metric || DEFAULT_METRIC).split(','))
+      .map(metric => metric.trim())
+      .filter(Boolean))];
+
+    if (metrics.length > MAX_METRICS) {
+      return res.status(400).json({
+        error: 'Demasiadas métricas',
+        message: `Se pueden solicitar como máximo ${MAX_METRICS} métricas a la vez`
+      });
+    }
+
+    const filters = {};
+    if (from || to) {
+      filters.takenAt = {};
+      if (from) filters.takenAt.$gte = from;
+      if (to) filters.takenAt.$lte = to;
+    }
+
+    const snapshots = await StatsSnapshot.find(filters)
+      .sort({ takenAt: -1 })
+      .limit(MAX_POINTS);
+    snapshots.reverse();
+
+    const flattened = snapshots.map(snapshot => ({
+      takenAt: snapshot.takenAt,
+      values: flattenMetrics(toMetricSource(snapshot.toObject()))
+    }));
+
+    const series = metrics.map(metric => ({
+      metric,
+      points: flattened.map(({ takenAt, values }) => ({
+        takenAt,
+        value: metric in values ? values[metric] : null
+      }))
+    }));
+
+    res.json({
+      series,
+      range: {
+        from: from || (snapshots[0] ? snapshots[0].takenAt : null),
+        to: to || (snapshots.length > 0 ? snapshots[snapshots.length - 1].takenAt : null)
+      },
+      totalSnapshots: snapshots.length,
+      availableMetrics: flattened.length > 0 ? Object.keys(flattened[flattened.length - 1].values).sort() : [],
+      intervalHours: getSnapshotIntervalHours()
+    });
+
+  } catch (error) {
+    console.error('Error al obtener histórico de estadísticas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener el histórico de estadísticas'
+    });
+  }
+};
+
+// Tomar una fotografía manual de las estadísticas
+const createStatsSnapshot = async (req, res) => {
+  try {
+    const snapshot = await recordStatsSnapshot({ trigger: 'manual', userId: req.user._id });
+
+    res.status(201).json({
+      message: 'Fotografía de estadísticas guardada exitosamente',
+      snapshot
+    });
+
+  } catch (error) {
+    console.error('Error al guardar fotografía de estadísticas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al guardar la fotografía de estadísticas'
+    });
+  }
+};
+
+module.exports = {
+  getSnapshotIntervalHours,
+  recordStatsSnapshot,
+  recordStatsSnapshotIfDue,
+  getStatsHistory,
+  createStatsSnapshot
+};
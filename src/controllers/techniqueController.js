@@ -1,6 +1,106 @@
+const fs = require('fs').promises;
+const { once } = require('events');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
 const Technique = require('../models/Technique');
 const Category = require('../models/Category');
+const Mitigation = require('../models/Mitigation');
+const Group = require('../models/Group');
+const Software = require('../models/Software');
+const DataSource = require('../models/DataSource');
+const RiskAssessment = require('../models/RiskAssessment');
+const Evidence = require('../models/Evidence');
 const { deleteFile } = require('../middleware/upload');
+const { supportsTransactions } = require('../config/database');
+const {
+  validateBundle,
+  parseBundle,
+  mapTacticToCategory,
+  mapAttackPatternToTechnique,
+  mapCourseOfActionToMitigation,
+  buildBundle
+} = require('../utils/stix');
+const { SCORERS, buildLayer } = require('../utils/navigator');
+const { diffValues, diffText } = require('../utils/diff');
+const {
+  TECHNIQUE_COLUMNS,
+  flattenTechnique,
+  unflattenTechnique,
+  toCsvLine,
+  parseCsv
+} = require('../utils/spreadsheet');
+
+// Construir filtros de consulta comunes para listados y exportaciones
+const buildTechniqueFilters = (query) => {
+  const {
+    search,
+    category,
+    platforms,
+    tactics,
+    tags,
+    status,
+    parentTechnique
+  } = query;
+
+  const filters = { isActive: true };
+
+  // Búsqueda por texto
+  if (search) {
+    filters.$text = { $search: search };
+  }
+
+  // Filtro por categoría
+  if (category) {
+    filters.category = category;
+  }
+
+  // Filtro por plataformas
+  if (platforms) {
+    const platformArray = Array.isArray(platforms) ? platforms : [platforms];
+    filters.platforms = { $in: platformArray };
+  }
+
+  // Filtro por tácticas
+  if (tactics) {
+    const tacticArray = Array.isArray(tactics) ? tactics : [tactics];
+    filters.tactics = { $in: tacticArray };
+  }
+
+  // Filtro por tags
+  if (tags) {
+    const tagArray = Array.isArray(tags) ? tags : [tags];
+    filters.tags = { $in: tagArray };
+  }
+
+  // Filtro por estado
+  if (status) {
+    filters.status = status;
+  }
+
+  // Filtro por técnica padre ('null' para obtener solo técnicas de primer nivel)
+  if (parentTechnique) {
+    filters.parentTechnique = parentTechnique === 'null' ? null : parentTechnique;
+  }
+
+  return filters;
+};
+
+// Restringir los filtros a las técnicas usadas por un grupo o software (?usedBy=<id>)
+const applyUsageFilter = async (filters, usedBy) => {
+  if (!usedBy) {
+    return filters;
+  }
+
+  let entity = null;
+  if (mongoose.Types.ObjectId.isValid(usedBy)) {
+    entity = await Group.findById(usedBy).select('techniques.technique')
+      || await Software.findById(usedBy).select('techniques.technique');
+  }
+
+  // Un ID desconocido no devuelve resultados en lugar de ignorar el filtro
+  filters._id = { $in: entity ? entity.techniques.map(use => use.technique) : [] };
+  return filters;
+};
 
 // Obtener todas las técnicas con filtros
 const getAllTechniques = async (req, res) => {
@@ -13,40 +113,15 @@ const getAllTechniques = async (req, res) => {
       platforms,
       tactics,
       tags,
+      status,
+      parentTechnique,
+      usedBy,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     // Construir filtros
-    const filters = { isActive: true };
-
-    // Búsqueda por texto
-    if (search) {
-      filters.$text = { $search: search };
-    }
-
-    // Filtro por categoría
-    if (category) {
-      filters.category = category;
-    }
-
-    // Filtro por plataformas
-    if (platforms) {
-      const platformArray = Array.isArray(platforms) ? platforms : [platforms];
-      filters.platforms = { $in: platformArray };
-    }
-
-    // Filtro por tácticas
-    if (tactics) {
-      const tacticArray = Array.isArray(tactics) ? tactics : [tactics];
-      filters.tactics = { $in: tacticArray };
-    }
-
-    // Filtro por tags
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : [tags];
-      filters.tags = { $in: tagArray };
-    }
+    const filters = await applyUsageFilter(buildTechniqueFilters(req.query), usedBy);
 
     const skip = (page - 1) * limit;
     const sort = {};
@@ -56,6 +131,8 @@ const getAllTechniques = async (req, res) => {
       .populate('category', 'name color')
       .populate('createdBy', 'username')
       .populate('lastModifiedBy', 'username')
+      .populate('parentTechnique', 'name mitreid')
+      .populate('subTechniquesCount')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
@@ -78,7 +155,10 @@ const getAllTechniques = async (req, res) => {
         category,
         platforms,
         tactics,
-        tags
+        tags,
+        status,
+        parentTechnique,
+        usedBy
       }
     });
 
@@ -96,8 +176,15 @@ const getTechniqueById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const technique = await Technique.findById(id)
+    const query = Technique.findById(id)
       .populate('category', 'name color description')
+      .populate('parentTechnique', 'name mitreid')
+      .populate('subTechniquesCount')
+      .populate('mitigations', 'name mitreid description')
+      .populate('controls', 'controlId name theme')
+      .populate('usedByGroups', 'name mitreid aliases')
+      .populate('usedBySoftware', 'name mitreid softwareType')
+      .populate('dataComponents.dataSource', 'name components')
       .populate('createdBy', 'username email')
       .populate('lastModifiedBy', 'username')
       .populate({
@@ -105,6 +192,15 @@ const getTechniqueById = async (req, res) => {
         select: 'username'
       });
 
+    // Las evidencias y los riesgos solo se muestran a usuarios autenticados, igual que en /api/evidence y /api/risks
+    if (req.user && req.user.hasPermission('viewer')) {
+      query
+        .populate('riskAssessments', 'title asset inherent residual treatment owner dueDate status')
+        .populate('evidence', 'title collectedAt validFrom validUntil reviewStatus');
+    }
+
+    const technique = await query;
+
     if (!technique) {
       return res.status(404).json({
         error: 'Técnica no encontrada',
@@ -140,10 +236,12 @@ const createTechnique = async (req, res) => {
       name,
       description,
       category,
+      parentTechnique,
       mitreid,
       tags,
       platforms,
       datasources,
+      dataComponents,
       mitigation,
       detection,
       references,
@@ -179,6 +277,20 @@ const createTechnique = async (req, res) => {
       }
     }
 
+    // Resolver componentes del catálogo de fuentes de datos
+    let resolvedComponents = [];
+    if (dataComponents && dataComponents.length > 0) {
+      const { resolved, missing } = await DataSource.resolveComponents(dataComponents);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Componentes de datos no encontrados',
+          message: 'Algunos componentes especificados no existen en el catálogo de fuentes de datos',
+          missing
+        });
+      }
+      resolvedComponents = resolved;
+    }
+
     // Procesar archivos subidos
     let fileLocation = null;
     let image = null;
@@ -197,12 +309,14 @@ const createTechnique = async (req, res) => {
       name: name.trim(),
       description: description.trim(),
       category,
+      parentTechnique: parentTechnique || null,
       mitreid,
       fileLocation,
       image,
       tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim())) : [],
       platforms: platforms ? (Array.isArray(platforms) ? platforms : [platforms]) : [],
       datasources: datasources || [],
+      dataComponents: resolvedComponents,
       mitigation: mitigation || {},
       detection: detection || {},
       references: references || [],
@@ -244,6 +358,13 @@ const createTechnique = async (req, res) => {
       });
     }
 
+    if (error.name === 'ParentTechniqueError') {
+      return res.status(400).json({
+        error: 'Técnica padre inválida',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       error: 'Error interno del servidor',
       message: 'Error al crear la técnica'
@@ -255,7 +376,11 @@ const createTechnique = async (req, res) => {
 const updateTechnique = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+
+    // Solo se copian los campos de contenido: estado, aprobación, papelera, historial y verificación no se editan aquí
+    const updateData = Technique.getEditableFields()
+      .filter(field => req.body[field] !== undefined)
+      .reduce((acc, field) => ({ ...acc, [field]: req.body[field] }), {});
 
     const technique = await Technique.findById(id);
 
@@ -274,6 +399,28 @@ const updateTechnique = async (req, res) => {
       });
     }
 
+    // El estado solo puede cambiarse mediante el flujo de revisión
+    if (req.body.status && req.body.status !== technique.status) {
+      return res.status(400).json({
+        error: 'Cambio de estado no permitido',
+        message: 'Usa los endpoints del flujo de revisión (submit, approve, request-changes, deprecate) para cambiar el estado'
+      });
+    }
+
+    // Con evaluaciones de riesgo el nivel se deriva de su puntuación y no se escribe a mano
+    if (updateData.riskLevel && updateData.riskLevel !== technique.riskLevel &&
+      await RiskAssessment.exists({ technique: technique._id, isActive: true })) {
+      return res.status(400).json({
+        error: 'Nivel de riesgo derivado',
+        message: 'El nivel de riesgo de esta técnica se calcula desde sus evaluaciones de riesgo (/api/risks)'
+      });
+    }
+
+    // Permitir desvincular la técnica padre
+    if (updateData.parentTechnique === '') {
+      updateData.parentTechnique = null;
+    }
+
     // Verificar categoría si se actualiza
     if (updateData.category && updateData.category !== technique.category.toString()) {
       const categoryExists = await Category.findById(updateData.category);
@@ -299,6 +446,19 @@ const updateTechnique = async (req, res) => {
       }
     }
 
+    // Resolver componentes del catálogo de fuentes de datos si se actualizan
+    if (updateData.dataComponents !== undefined) {
+      const { resolved, missing } = await DataSource.resolveComponents(updateData.dataComponents || []);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Componentes de datos no encontrados',
+          message: 'Algunos componentes especificados no existen en el catálogo de fuentes de datos',
+          missing
+        });
+      }
+      updateData.dataComponents = resolved;
+    }
+
     // Procesar archivos nuevos
     const oldImage = technique.image;
     const oldFile = technique.fileLocation;
@@ -312,21 +472,17 @@ const updateTechnique = async (req, res) => {
       }
     }
 
-    // Preparar historial de cambios
-    const changes = [];
-    Object.keys(updateData).forEach(field => {
-      if (technique[field] !== updateData[field]) {
-        changes.push(`${field}: ${technique[field]} → ${updateData[field]}`);
-      }
-    });
-
     // Actualizar técnica
     Object.assign(technique, updateData);
     technique.lastModifiedBy = req.user._id;
 
-    // Añadir al historial de revisiones
+    // Añadir al historial de revisiones con el diff estructurado por campo
+    // Editar una técnica aprobada la devuelve a borrador para que el cambio pase por revisión
+    const changes = technique.getPendingDiff();
+    let reopened = false;
     if (changes.length > 0) {
-      technique.addRevision(changes.join('; '), req.user._id);
+      reopened = technique.reopenIfApproved();
+      technique.addRevision(null, req.user._id, { action: 'update' });
     }
 
     await technique.save();
@@ -345,7 +501,9 @@ const updateTechnique = async (req, res) => {
     await technique.populate(['category', 'createdBy', 'lastModifiedBy']);
 
     res.json({
-      message: 'Técnica actualizada exitosamente',
+      message: reopened
+        ? 'Técnica actualizada exitosamente; vuelve a borrador y debe enviarse de nuevo a revisión'
+        : 'Técnica actualizada exitosamente',
       technique,
       changesCount: changes.length
     });
@@ -364,6 +522,13 @@ const updateTechnique = async (req, res) => {
       });
     }
 
+    if (error.name === 'ParentTechniqueError') {
+      return res.status(400).json({
+        error: 'Técnica padre inválida',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       error: 'Error interno del servidor',
       message: 'Error al actualizar la técnica'
@@ -393,22 +558,24 @@ const deleteTechnique = async (req, res) => {
       });
     }
 
-    // Eliminar archivos asociados
-    if (technique.image) {
-      await deleteFile(technique.image);
-    }
-    if (technique.fileLocation) {
-      await deleteFile(technique.fileLocation);
+    if (technique.deletedAt) {
+      return res.status(400).json({
+        error: 'Técnica ya eliminada',
+        message: 'La técnica ya se encuentra en la papelera'
+      });
     }
 
-    await Technique.findByIdAndDelete(id);
+    // Mover a la papelera conservando los archivos asociados
+    technique.moveToTrash(req.user._id);
+    await technique.save();
 
     res.json({
-      message: 'Técnica eliminada exitosamente',
+      message: 'Técnica movida a la papelera',
       deletedTechnique: {
         id: technique._id,
         name: technique.name,
-        mitreid: technique.mitreid
+        mitreid: technique.mitreid,
+        deletedAt: technique.deletedAt
       }
     });
 
@@ -480,57 +647,70 @@ const searchTechniques = async (req, res) => {
   }
 };
 
+// Calcular las distribuciones de técnicas activas (también las usa el histórico de estadísticas)
+const computeTechniqueStats = async () => {
+  const totalTechniques = await Technique.countDocuments({ isActive: true });
+
+  // Estadísticas por plataforma
+  const platformStats = await Technique.aggregate([
+    { $match: { isActive: true } },
+    { $unwind: '$platforms' },
+    { $group: { _id: '$platforms', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  // Estadísticas por táctica
+  const tacticStats = await Technique.aggregate([
+    { $match: { isActive: true } },
+    { $unwind: '$tactics' },
+    { $group: { _id: '$tactics', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  // Estadísticas por categoría
+  const categoryStats = await Technique.aggregate([
+    { $match: { isActive: true } },
+    {
+      $lookup: {
+        from: 'categories',
+        localField: 'category',
+        foreignField: '_id',
+        as: 'categoryInfo'
+      }
+    },
+    { $unwind: '$categoryInfo' },
+    {
+      $group: {
+        _id: '$category',
+        categoryName: { $first: '$categoryInfo.name' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  // Tags más populares
+  const topTags = await Technique.aggregate([
+    { $match: { isActive: true } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: 20 }
+  ]);
+
+  return {
+    totalTechniques,
+    platformDistribution: platformStats,
+    tacticDistribution: tacticStats,
+    categoryDistribution: categoryStats,
+    popularTags: topTags
+  };
+};
+
 // Obtener estadísticas de técnicas
 const getTechniqueStats = async (req, res) => {
   try {
-    const totalTechniques = await Technique.countDocuments({ isActive: true });
-    
-    // Estadísticas por plataforma
-    const platformStats = await Technique.aggregate([
-      { $match: { isActive: true } },
-      { $unwind: '$platforms' },
-      { $group: { _id: '$platforms', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-
-    // Estadísticas por táctica
-    const tacticStats = await Technique.aggregate([
-      { $match: { isActive: true } },
-      { $unwind: '$tactics' },
-      { $group: { _id: '$tactics', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-
-    // Estadísticas por categoría
-    const categoryStats = await Technique.aggregate([
-      { $match: { isActive: true } },
-      {
-        $lookup: {
-          from: 'categories',
-          localField: 'category',
-          foreignField: '_id',
-          as: 'categoryInfo'
-        }
-      },
-      { $unwind: '$categoryInfo' },
-      {
-        $group: {
-          _id: '$category',
-          categoryName: { $first: '$categoryInfo.name' },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]);
-
-    // Tags más populares
-    const topTags = await Technique.aggregate([
-      { $match: { isActive: true } },
-      { $unwind: '$tags' },
-      { $group: { _id: '$tags', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 20 }
-    ]);
+    const stats = await computeTechniqueStats();
 
     // Actividad reciente
     const recentActivity = await Technique.find({ isActive: true })
@@ -542,11 +722,7 @@ const getTechniqueStats = async (req, res) => {
 
     res.json({
       stats: {
-        totalTechniques,
-        platformDistribution: platformStats,
-        tacticDistribution: tacticStats,
-        categoryDistribution: categoryStats,
-        popularTags: topTags,
+        ...stats,
         recentActivity
       }
     });
@@ -560,6 +736,165 @@ const getTechniqueStats = async (req, res) => {
   }
 };
 
+const RISK_LEVELS = ['Critical', 'High', 'Medium', 'Low'];
+
+const toPercentage = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+// Contadores de cobertura de un grupo de técnicas
+const summarizeCoverage = (items) => {
+  const total = items.length;
+  const withDetection = items.filter(item => item.hasDetection).length;
+  const withMitigation = items.filter(item => item.hasMitigation).length;
+  const approved = items.filter(item => item.isApproved).length;
+
+  return {
+    total,
+    withDetection,
+    withMitigation,
+    approved,
+    detectionPercentage: toPercentage(withDetection, total),
+    mitigationPercentage: toPercentage(withMitigation, total),
+    approvedPercentage: toPercentage(approved, total)
+  };
+};
+
+// Calcular la cobertura de detección, mitigación y aprobación de las técnicas activas
+// Las técnicas obsoletas (Deprecated) no cuentan para la cobertura
+const computeCoverageStats = async ({ platforms, limit = 10 } = {}) => {
+  const filters = { isActive: true, status: { $ne: 'Deprecated' } };
+
+  if (platforms) {
+    const platformArray = Array.isArray(platforms) ? platforms : [platforms];
+    filters.platforms = { $in: platformArray };
+  }
+
+  const [techniques, mitigatedIds] = await Promise.all([
+    Technique.find(filters).select('name mitreid tactics riskLevel status detection.queries.query mitigation.description'),
+    Mitigation.distinct('techniques', { isActive: true })
+  ]);
+
+  const mitigated = new Set(mitigatedIds.map(id => id.toString()));
+
+  const items = techniques.map(technique => ({
+    technique,
+    hasDetection: technique.getDetectionStatus() === 'implemented',
+    // Igual que en las técnicas sin mitigar: cuenta la mitigación vinculada o la descrita en texto
+    hasMitigation: mitigated.has(technique._id.toString()) ||
+      Boolean(technique.mitigation && technique.mitigation.description && technique.mitigation.description.trim()),
+    isApproved: technique.status === 'Approved'
+  }));
+
+  // Una técnica cuenta en cada una de sus tácticas
+  const byTacticMap = new Map();
+  items.forEach(item => {
+    const tactics = item.technique.tactics && item.technique.tactics.length > 0 ? item.technique.tactics : ['sin-tactica'];
+    tactics.forEach(tactic => {
+      if (!byTacticMap.has(tactic)) byTacticMap.set(tactic, []);
+      byTacticMap.get(tactic).push(item);
+    });
+  });
+
+  const byTactic = [...byTacticMap.entries()]
+    .map(([tactic, tacticItems]) => ({ tactic, ...summarizeCoverage(tacticItems) }))
+    .sort((a, b) => a.detectionPercentage - b.detectionPercentage || b.total - a.total);
+
+  const byRiskLevel = RISK_LEVELS.map(riskLevel => ({
+    riskLevel,
+    ...summarizeCoverage(items.filter(item => item.technique.riskLevel === riskLevel))
+  }));
+
+  // Técnicas sin consultas de detección, primero las de mayor riesgo y sin mitigación
+  const topUncovered = items
+    .filter(item => !item.hasDetection)
+    .sort((a, b) => RISK_LEVELS.indexOf(a.technique.riskLevel) - RISK_LEVELS.indexOf(b.technique.riskLevel) ||
+      Number(a.hasMitigation) - Number(b.hasMitigation) ||
+      (a.technique.mitreid || a.technique.name).localeCompare(b.technique.mitreid || b.technique.name))
+    .slice(0, limit)
+    .map(({ technique, hasMitigation }) => ({
+      id: technique._id,
+      mitreid: technique.mitreid,
+      name: technique.name,
+      riskLevel: technique.riskLevel,
+      status: technique.status,
+      tactics: technique.tactics,
+      hasMitigation
+    }));
+
+  return {
+    overall: summarizeCoverage(items),
+    byTactic,
+    byRiskLevel,
+    topUncovered
+  };
+};
+
+// Obtener analítica de cobertura de detección y mitigación
+const getCoverageStats = async (req, res) => {
+  try {
+    const { platforms } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const coverage = await computeCoverageStats({ platforms, limit });
+
+    res.json({
+      coverage,
+      generatedAt: new Date()
+    });
+
+  } catch (error) {
+    console.error('Error al obtener cobertura:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la cobertura de técnicas'
+    });
+  }
+};
+
+// Obtener sub-técnicas de una técnica
+const getSubTechniques = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const technique = await Technique.findById(id).select('name mitreid');
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    const subTechniques = await Technique.find({ parentTechnique: id, isActive: true })
+      .populate('category', 'name color')
+      .populate('subTechniquesCount')
+      .sort({ mitreid: 1, name: 1 });
+
+    res.json({
+      technique: {
+        id: technique._id,
+        name: technique.name,
+        mitreid: technique.mitreid
+      },
+      subTechniques,
+      totalItems: subTechniques.length
+    });
+
+  } catch (error) {
+    console.error('Error al obtener sub-técnicas:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de técnica proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener las sub-técnicas'
+    });
+  }
+};
+
 // Obtener técnicas por categoría
 const getTechniquesByCategory = async (req, res) => {
   try {
@@ -616,19 +951,82 @@ const getTechniquesByCategory = async (req, res) => {
   }
 };
 
-// Exportar técnicas en formato JSON
+// Escribir técnicas en CSV o XLSX leyendo la base de datos mediante un cursor
+const streamTabularExport = async (res, filters, format) => {
+  const cursor = Technique.find(filters)
+    .populate('category')
+    .populate('createdBy', 'username')
+    .sort({ mitreid: 1 })
+    .cursor();
+
+  // Cache de rutas completas por categoría
+  const categoryPaths = new Map();
+  const getCategoryPath = async (category) => {
+    if (!category) return '';
+    const key = category._id.toString();
+    if (!categoryPaths.has(key)) {
+      categoryPaths.set(key, await category.getFullPath());
+    }
+    return categoryPaths.get(key);
+  };
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename=techniques-export.csv');
+
+    // BOM para que Excel detecte la codificación UTF-8
+    res.write('\uFEFF' + toCsvLine(TECHNIQUE_COLUMNS.map(column => column.header)));
+
+    for await (const technique of cursor) {
+      const row = flattenTechnique(technique, await getCategoryPath(technique.category));
+      if (!res.write(toCsvLine(TECHNIQUE_COLUMNS.map(column => row[column.key])))) {
+        await once(res, 'drain');
+      }
+    }
+
+    return res.end();
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', 'attachment; filename=techniques-export.xlsx');
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet('Técnicas');
+  worksheet.columns = TECHNIQUE_COLUMNS;
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const technique of cursor) {
+    const row = flattenTechnique(technique, await getCategoryPath(technique.category));
+    worksheet.addRow(row).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Exportar técnicas en formato JSON, STIX 2.1, capa de ATT&CK Navigator, CSV o XLSX
 const exportTechniques = async (req, res) => {
   try {
-    const { format = 'json', categoryId } = req.query;
-    
-    const filters = { isActive: true };
-    if (categoryId) {
-      filters.category = categoryId;
+    const { format = 'json', categoryId, scoreBy = 'risk', domain, name } = req.query;
+
+    // Se aceptan los mismos filtros que en el listado de técnicas
+    const filters = await applyUsageFilter(buildTechniqueFilters({
+      ...req.query,
+      category: req.query.category || categoryId
+    }), req.query.usedBy);
+
+    // Los formatos tabulares se generan en streaming para no cargar todo el catálogo
+    if (format === 'csv' || format === 'xlsx') {
+      return await streamTabularExport(res, filters, format);
     }
 
     const techniques = await Technique.find(filters)
-      .populate('category', 'name')
-      .populate('createdBy', 'username')
+      .populate({
+        path: 'category',
+        select: 'name slug description color metadata stixId createdBy createdAt updatedAt',
+        populate: { path: 'createdBy', select: 'username createdAt updatedAt' }
+      })
+      .populate('createdBy', 'username createdAt updatedAt')
       .sort({ mitreid: 1 });
 
     if (format === 'json') {
@@ -653,13 +1051,66 @@ const exportTechniques = async (req, res) => {
       });
     }
 
+    if (format === 'stix') {
+      // Categorías únicas referenciadas por las técnicas exportadas
+      const categories = new Map();
+      techniques.forEach(t => {
+        if (t.category) categories.set(t.category._id.toString(), t.category);
+      });
+
+      const mitigations = await Mitigation.find({
+        isActive: true,
+        techniques: { $in: techniques.map(t => t._id) }
+      }).populate('createdBy', 'username createdAt updatedAt');
+
+      const bundle = buildBundle({
+        techniques,
+        categories: Array.from(categories.values()),
+        mitigations
+      });
+
+      res.setHeader('Content-Type', 'application/stix+json;version=2.1');
+      res.setHeader('Content-Disposition', 'attachment; filename=techniques-export.stix.json');
+
+      return res.send(JSON.stringify(bundle, null, 2));
+    }
+
+    if (format === 'navigator') {
+      if (!SCORERS[scoreBy]) {
+        return res.status(400).json({
+          error: 'Puntuación no soportada',
+          message: `Valores permitidos para scoreBy: ${Object.keys(SCORERS).join(', ')}`
+        });
+      }
+
+      const platforms = req.query.platforms;
+      const layer = buildLayer({
+        techniques,
+        scoreBy,
+        ...(name && { name }),
+        ...(domain && { domain }),
+        platforms: platforms ? (Array.isArray(platforms) ? platforms : [platforms]) : []
+      });
+
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', 'attachment; filename=techniques-layer.json');
+
+      return res.json(layer);
+    }
+
     res.status(400).json({
       error: 'Formato no soportado',
-      message: 'Solo se soporta el formato JSON actualmente'
+      message: 'Formatos soportados: json, stix, navigator, csv, xlsx'
     });
 
   } catch (error) {
     console.error('Error al exportar técnicas:', error);
+
+    // Si el streaming ya había comenzado solo se puede cerrar la respuesta
+    if (res.headersSent) {
+      return res.end();
+    }
+
     res.status(500).json({
       error: 'Error interno del servidor',
       message: 'Error al exportar las técnicas'
@@ -667,6 +1118,886 @@ const exportTechniques = async (req, res) => {
   }
 };
 
+// Leer un documento JSON desde el archivo subido o desde el cuerpo de la petición
+// Devuelve undefined si el archivo no contiene JSON válido
+const readJsonPayload = async (req, bodyKey) => {
+  if (!req.processedFile) {
+    return req.body[bodyKey] || req.body;
+  }
+
+  try {
+    const content = await fs.readFile(req.processedFile.path, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    return undefined;
+  } finally {
+    await deleteFile(req.processedFile.path);
+  }
+};
+
+// Importar técnicas y categorías desde un bundle STIX 2.1
+const importStixBundle = async (req, res) => {
+  try {
+    const options = { ...req.body, ...req.query };
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    const overwrite = options.overwrite === true || options.overwrite === 'true';
+    const includeRevoked = options.includeRevoked === true || options.includeRevoked === 'true';
+
+    // Leer el bundle desde el archivo subido o desde el cuerpo de la petición
+    const bundle = await readJsonPayload(req, 'bundle');
+    if (bundle === undefined) {
+      return res.status(400).json({
+        error: 'Archivo inválido',
+        message: 'El archivo proporcionado no es un JSON válido'
+      });
+    }
+
+    const bundleError = validateBundle(bundle);
+    if (bundleError) {
+      return res.status(400).json({
+        error: 'Bundle STIX inválido',
+        message: bundleError
+      });
+    }
+
+    const { tactics, attackPatterns, mitigations, coursesOfAction } = parseBundle(bundle, { includeRevoked });
+
+    const report = {
+      categories: [],
+      techniques: [],
+      mitigations: []
+    };
+
+    // Mapa shortname de táctica -> ID de categoría local
+    const categoryByTactic = new Map();
+
+    // En la simulación se valida cada documento sin guardarlo, para que el informe coincida con la importación real
+    const saveOrValidate = (doc) => (dryRun ? doc.validate() : doc.save());
+
+    // Procesar tácticas como categorías
+    for (const tactic of tactics) {
+      const { shortname, mitreid, data } = mapTacticToCategory(tactic);
+      const entry = { stixId: tactic.id, mitreid, name: data.name, shortname };
+
+      try {
+        const existing = await Category.findOne({
+          $or: [{ stixId: tactic.id }, { 'metadata.tactics': shortname }]
+        });
+
+        if (!existing) {
+          const category = new Category({ ...data, createdBy: req.user._id });
+          await saveOrValidate(category);
+          entry.action = 'create';
+          if (!dryRun) entry.id = category._id;
+          categoryByTactic.set(shortname, category._id);
+        } else if (existing.stixId === tactic.id) {
+          // Categoría importada previamente: actualizar contenido
+          existing.name = data.name;
+          existing.description = data.description;
+          await saveOrValidate(existing);
+          entry.action = 'update';
+          entry.id = existing._id;
+          categoryByTactic.set(shortname, existing._id);
+        } else {
+          // Categoría creada manualmente: solo se vincula, sin modificar su contenido
+          existing.stixId = tactic.id;
+          await saveOrValidate(existing);
+          entry.action = 'link';
+          entry.id = existing._id;
+          categoryByTactic.set(shortname, existing._id);
+        }
+      } catch (error) {
+        entry.action = 'error';
+        entry.message = error.message;
+      }
+
+      report.categories.push(entry);
+    }
+
+    // Procesar attack-patterns como técnicas
+    for (const pattern of attackPatterns) {
+      const { data } = mapAttackPatternToTechnique(pattern);
+      const entry = { stixId: pattern.id, mitreid: data.mitreid, name: data.name };
+
+      try {
+        const tactic = data.tactics.find(phase => categoryByTactic.has(phase));
+        if (tactic) {
+          data.category = categoryByTactic.get(tactic);
+        }
+
+        if (mitigations.has(pattern.id)) {
+          data.mitigation = mitigations.get(pattern.id);
+        }
+
+        const existing = await Technique.findOne({
+          $or: [
+            { stixId: pattern.id },
+            ...(data.mitreid ? [{ mitreid: data.mitreid }] : [])
+          ]
+        });
+
+        if (!existing) {
+          const technique = new Technique({ ...data, createdBy: req.user._id });
+          await saveOrValidate(technique);
+          entry.action = 'create';
+          if (!dryRun) entry.id = technique._id;
+        } else {
+          entry.id = existing._id;
+
+          if (existing.stixModified && data.stixModified && data.stixModified <= existing.stixModified) {
+            entry.action = 'unchanged';
+          } else if (existing.stixId && existing.stixId !== pattern.id && !overwrite) {
+            entry.action = 'conflict';
+            entry.message = 'El MITRE ID ya pertenece a otro objeto STIX';
+          } else if (!existing.stixId && !overwrite) {
+            entry.action = 'conflict';
+            entry.message = 'La técnica existente fue creada manualmente; usa overwrite=true para reemplazarla';
+          } else {
+            // El estado se gestiona exclusivamente mediante el flujo de revisión (deprecar es solo para admins)
+            const { detection, status, ...fields } = data;
+
+            existing.set(fields);
+            existing.set('detection.description', detection.description);
+            existing.addRevision(`Importado desde STIX (${pattern.id})`, req.user._id, { action: 'stix-import' });
+            await saveOrValidate(existing);
+            entry.action = 'update';
+
+            if (status === 'Deprecated' && existing.status !== 'Deprecated') {
+              entry.deprecatedUpstream = true;
+              entry.message = 'Revocada o deprecada en STIX: un administrador debe deprecarla mediante el flujo de revisión';
+            }
+          }
+        }
+      } catch (error) {
+        entry.action = 'error';
+        entry.message = error.message;
+      }
+
+      report.techniques.push(entry);
+    }
+
+    // Vincular sub-técnicas (T1059.001) con su técnica padre (T1059)
+    if (!dryRun) {
+      const imported = report.techniques.filter(entry =>
+        ['create', 'update'].includes(entry.action) && entry.mitreid && entry.mitreid.includes('.'));
+
+      for (const entry of imported) {
+        const parentMitreId = entry.mitreid.slice(0, entry.mitreid.lastIndexOf('.'));
+        const parent = await Technique.findOne({ mitreid: parentMitreId }).select('_id');
+        if (!parent) continue;
+
+        const technique = await Technique.findById(entry.id);
+        if (technique && !technique.parentTechnique) {
+          technique.parentTechnique = parent._id;
+          await technique.save();
+        }
+      }
+    }
+
+    // Procesar course-of-action como mitigaciones vinculadas a las técnicas que mitigan
+    const techniqueByStixId = new Map(report.techniques
+      .filter(entry => ['create', 'update', 'unchanged'].includes(entry.action) && entry.id)
+      .map(entry => [entry.stixId, entry.id]));
+
+    for (const { courseOfAction, targets } of coursesOfAction) {
+      const { data } = mapCourseOfActionToMitigation(courseOfAction);
+      const entry = { stixId: courseOfAction.id, mitreid: data.mitreid, name: data.name };
+      const techniqueIds = targets
+        .filter(target => techniqueByStixId.has(target))
+        .map(target => techniqueByStixId.get(target));
+
+      try {
+        const existing = await Mitigation.findOne({
+          $or: [
+            { stixId: courseOfAction.id },
+            ...(data.mitreid ? [{ mitreid: data.mitreid }] : [])
+          ]
+        });
+
+        if (!existing) {
+          const mitigation = new Mitigation({ ...data, techniques: techniqueIds, createdBy: req.user._id });
+          await saveOrValidate(mitigation);
+          entry.action = 'create';
+          if (!dryRun) entry.id = mitigation._id;
+          entry.linkedTechniques = techniqueIds.length;
+        } else {
+          if (existing.stixId === courseOfAction.id) {
+            // Mitigación importada previamente: actualizar contenido
+            existing.set({ name: data.name, description: data.description, references: data.references });
+            entry.action = 'update';
+          } else {
+            // Mitigación creada manualmente: solo se vincula, sin modificar su contenido
+            existing.stixId = courseOfAction.id;
+            entry.action = 'link';
+          }
+
+          entry.id = existing._id;
+          entry.linkedTechniques = existing.linkTechniques(techniqueIds).length;
+          existing.lastModifiedBy = req.user._id;
+          await saveOrValidate(existing);
+        }
+      } catch (error) {
+        entry.action = 'error';
+        entry.message = error.message;
+      }
+
+      report.mitigations.push(entry);
+    }
+
+    const summarize = (entries) => entries.reduce((acc, entry) => {
+      acc[entry.action] = (acc[entry.action] || 0) + 1;
+      return acc;
+    }, {});
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Simulación de importación completada' : 'Importación STIX completada',
+      dryRun,
+      summary: {
+        categories: summarize(report.categories),
+        techniques: summarize(report.techniques),
+        mitigations: summarize(report.mitigations)
+      },
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Error al importar bundle STIX:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al importar el bundle STIX'
+    });
+  }
+};
+
+// Aplicar tags, comentarios o nivel de riesgo a partir de una capa de ATT&CK Navigator
+const importNavigatorLayer = async (req, res) => {
+  let session = null;
+
+  try {
+    // La capa se aplica en una sola transacción: requiere MongoDB en replica set
+    if (!(await supportsTransactions())) {
+      if (req.processedFile) await deleteFile(req.processedFile.path);
+      return res.status(400).json({
+        error: 'Importación de capa no disponible',
+        message: 'Aplicar una capa de Navigator requiere MongoDB en replica set o clúster sharded'
+      });
+    }
+
+    const layer = await readJsonPayload(req, 'layer');
+    if (layer === undefined) {
+      return res.status(400).json({
+        error: 'Archivo inválido',
+        message: 'El archivo proporcionado no es un JSON válido'
+      });
+    }
+
+    if (!layer || !Array.isArray(layer.techniques)) {
+      return res.status(400).json({
+        error: 'Capa inválida',
+        message: 'La capa de Navigator debe contener un arreglo "techniques"'
+      });
+    }
+
+    const { riskLevel, applyComments } = req.body;
+    const rawTags = req.body.tags || [];
+    if (!(typeof rawTags === 'string' || (Array.isArray(rawTags) && rawTags.every(tag => typeof tag === 'string')))) {
+      return res.status(400).json({
+        error: 'Tags inválidos',
+        message: 'tags debe ser una lista de textos o un texto separado por comas'
+      });
+    }
+    const tags = (Array.isArray(rawTags) ? rawTags : rawTags.split(','))
+      .map(t => t.trim().toLowerCase())
+      .filter(Boolean);
+    const includeComments = applyComments === true || applyComments === 'true';
+
+    const riskLevels = Technique.schema.path('riskLevel').enumValues;
+    if (riskLevel && !riskLevels.includes(riskLevel)) {
+      return res.status(400).json({
+        error: 'Nivel de riesgo inválido',
+        message: `Valores permitidos: ${riskLevels.join(', ')}`
+      });
+    }
+
+    if (tags.length === 0 && !riskLevel && !includeComments) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Debes indicar tags, riskLevel o applyComments'
+      });
+    }
+
+    // Agrupar entradas por techniqueID (una técnica puede aparecer en varias tácticas)
+    const entriesById = new Map();
+    layer.techniques
+      .filter(entry => entry.techniqueID && entry.enabled !== false)
+      .forEach(entry => {
+        const comments = entriesById.get(entry.techniqueID) || [];
+        if (entry.comment) comments.push(entry.comment);
+        entriesById.set(entry.techniqueID, comments);
+      });
+
+    const layerName = layer.name || 'Capa de Navigator';
+    const matched = [];
+    let unmatched = [];
+
+    // withTransaction puede reintentar la función: se reinician los resultados en cada intento
+    const applyLayer = async () => {
+      matched.length = 0;
+
+      const techniques = await Technique.find({
+        mitreid: { $in: Array.from(entriesById.keys()) },
+        isActive: true
+      }).session(session);
+
+      const found = new Set(techniques.map(t => t.mitreid));
+      unmatched = Array.from(entriesById.keys()).filter(id => !found.has(id));
+
+      // Las técnicas con evaluaciones de riesgo conservan su nivel derivado
+      const assessed = riskLevel
+        ? new Set((await RiskAssessment.distinct('technique', {
+          technique: { $in: techniques.map(t => t._id) },
+          isActive: true
+        }).session(session)).map(String))
+        : new Set();
+
+      for (const technique of techniques) {
+        const changes = [];
+
+        const newTags = tags.filter(tag => !technique.tags.includes(tag));
+        if (newTags.length > 0) {
+          technique.tags.push(...newTags);
+          changes.push(`tags: +${newTags.join(', +')}`);
+        }
+
+        if (riskLevel && technique.riskLevel !== riskLevel && !assessed.has(technique._id.toString())) {
+          changes.push(`riskLevel: ${technique.riskLevel} → ${riskLevel}`);
+          technique.riskLevel = riskLevel;
+        }
+
+        const comments = entriesById.get(technique.mitreid);
+        if (includeComments && comments.length > 0) {
+          changes.push(`comentario: ${comments.join(' | ')}`);
+        }
+
+        if (changes.length > 0) {
+          technique.addRevision(`Capa "${layerName}": ${changes.join('; ')}`, req.user._id, {
+            action: 'navigator-import'
+          });
+          await technique.save({ session });
+        }
+
+        matched.push({
+          id: technique._id,
+          mitreid: technique.mitreid,
+          name: technique.name,
+          changes: changes.length
+        });
+      }
+    };
+
+    session = await mongoose.startSession();
+    await session.withTransaction(applyLayer);
+
+    res.json({
+      message: 'Capa de Navigator aplicada exitosamente',
+      layer: layerName,
+      summary: {
+        total: entriesById.size,
+        matched: matched.length,
+        updated: matched.filter(m => m.changes > 0).length,
+        unmatched: unmatched.length
+      },
+      matched,
+      unmatched
+    });
+
+  } catch (error) {
+    console.error('Error al importar capa de Navigator:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al aplicar la capa de Navigator'
+    });
+  } finally {
+    if (session) session.endSession();
+  }
+};
+
+// Importación masiva de técnicas desde CSV o JSON con reporte por fila
+const bulkImportTechniques = async (req, res) => {
+  const options = { ...req.body, ...req.query };
+  const atomic = options.atomic === true || options.atomic === 'true';
+  const skipExisting = options.skipExisting === true || options.skipExisting === 'true';
+  let session = null;
+
+  try {
+    // El modo atómico usa una transacción: requiere MongoDB en replica set
+    if (atomic && !(await supportsTransactions())) {
+      if (req.processedFile) await deleteFile(req.processedFile.path);
+      return res.status(400).json({
+        error: 'Importación atómica no disponible',
+        message: 'La importación atómica requiere MongoDB en replica set o clúster sharded; repite la importación sin atomic'
+      });
+    }
+
+    if (atomic) session = await mongoose.startSession();
+
+    // Obtener las filas desde el archivo subido o desde el cuerpo
+    let rows;
+    if (req.processedFile) {
+      const isCsv = /\.csv$/i.test(req.processedFile.originalname);
+      try {
+        const content = await fs.readFile(req.processedFile.path, 'utf8');
+        if (isCsv) {
+          rows = parseCsv(content).map(unflattenTechnique);
+        } else {
+          const parsed = JSON.parse(content);
+          rows = Array.isArray(parsed) ? parsed : parsed.techniques;
+        }
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Archivo inválido',
+          message: `No se pudo leer el archivo ${isCsv ? 'CSV' : 'JSON'}`
+        });
+      } finally {
+        await deleteFile(req.processedFile.path);
+      }
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body.techniques;
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Debes proporcionar un archivo CSV/JSON o un arreglo "techniques" con al menos una fila'
+      });
+    }
+
+    // Resolver categorías por ID, nombre o slug
+    const categories = await Category.find({ isActive: true }).select('name slug');
+    const categoryLookup = new Map();
+    categories.forEach(cat => {
+      categoryLookup.set(cat._id.toString(), cat._id);
+      categoryLookup.set(cat.slug, cat._id);
+      categoryLookup.set(cat.name.toLowerCase(), cat._id);
+    });
+
+    const results = [];
+    const pending = [];
+    const seenMitreIds = new Set();
+    const editableFields = Technique.getEditableFields();
+
+    for (let i = 0; i < rows.length; i++) {
+      const data = { ...rows[i] };
+      const result = { row: i + 1, mitreid: data.mitreid, name: data.name };
+      results.push(result);
+
+      try {
+        if (!data.name || !data.description || !data.category) {
+          throw Object.assign(new Error('Datos incompletos'), {
+            details: ['Nombre, descripción y categoría son requeridos']
+          });
+        }
+
+        const categoryId = categoryLookup.get(String(data.category).trim().toLowerCase()) ||
+          categoryLookup.get(String(data.category).trim());
+        if (!categoryId) {
+          throw Object.assign(new Error('Categoría no encontrada'), {
+            details: [`No existe la categoría "${data.category}"`]
+          });
+        }
+        data.category = categoryId;
+
+        if (data.mitreid) {
+          if (seenMitreIds.has(data.mitreid)) {
+            throw Object.assign(new Error('MITRE ID duplicado'), {
+              details: ['El MITRE ID aparece más de una vez en el archivo']
+            });
+          }
+          seenMitreIds.add(data.mitreid);
+        }
+
+        // Solo se aceptan campos de contenido (las filas CSV usan claves con puntos como detection.description)
+        // Estado, aprobación, papelera, historial y verificación de la detección los gestiona el sistema
+        Object.keys(data)
+          .filter(key => !editableFields.includes(key.split('.')[0]))
+          .forEach(key => delete data[key]);
+
+        const existing = data.mitreid ? await Technique.findOne({ mitreid: data.mitreid }) : null;
+
+        let technique;
+        if (existing) {
+          if (skipExisting) {
+            result.action = 'skipped';
+            result.id = existing._id;
+            result.messages = ['Ya existe una técnica con ese MITRE ID'];
+            continue;
+          }
+
+          // Las técnicas sin autor (importadas por sistema) solo las actualiza un administrador
+          if (req.user.role !== 'admin' &&
+            (!existing.createdBy || existing.createdBy.toString() !== req.user._id.toString())) {
+            throw Object.assign(new Error('Sin permisos'), {
+              details: ['Solo puedes actualizar técnicas que creaste o ser administrador']
+            });
+          }
+
+          // Con evaluaciones de riesgo el nivel se deriva de su puntuación y no se importa
+          if (data.riskLevel && data.riskLevel !== existing.riskLevel &&
+            await RiskAssessment.exists({ technique: existing._id, isActive: true })) {
+            delete data.riskLevel;
+            result.messages = ['Nivel de riesgo ignorado: se calcula desde las evaluaciones de riesgo'];
+          }
+
+          existing.set(data);
+          existing.addRevision('Actualizado por importación masiva', req.user._id, { action: 'bulk-import' });
+          technique = existing;
+          result.action = 'updated';
+        } else {
+          technique = new Technique({ ...data, createdBy: req.user._id });
+          result.action = 'created';
+        }
+
+        await technique.validate();
+        result.id = technique._id;
+        pending.push({ technique, result });
+
+      } catch (error) {
+        result.action = 'error';
+        result.messages = error.name === 'ValidationError'
+          ? Object.values(error.errors).map(err => err.message)
+          : (error.details || [error.message]);
+      }
+    }
+
+    const hasErrors = results.some(r => r.action === 'error');
+
+    // En modo atómico no se guarda nada si alguna fila falló
+    if (atomic && hasErrors) {
+      results
+        .filter(r => r.action === 'created' || r.action === 'updated')
+        .forEach(r => { r.action = 'not_committed'; });
+    } else if (atomic) {
+      await session.withTransaction(async () => {
+        for (const { technique } of pending) {
+          await technique.save({ session });
+        }
+      });
+    } else {
+      for (const { technique, result } of pending) {
+        try {
+          await technique.save();
+        } catch (error) {
+          result.action = 'error';
+          result.messages = error.code === 11000
+            ? ['Ya existe una técnica con ese MITRE ID']
+            : [error.message];
+        }
+      }
+    }
+
+    const summary = results.reduce((acc, r) => {
+      acc[r.action] = (acc[r.action] || 0) + 1;
+      return acc;
+    }, { total: results.length });
+
+    const committed = !(atomic && hasErrors);
+
+    res.status(committed ? 200 : 422).json({
+      message: committed
+        ? 'Importación masiva completada'
+        : 'Importación cancelada: hay filas con errores y se solicitó importación atómica',
+      atomic,
+      committed,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error en importación masiva:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al importar las técnicas'
+    });
+  } finally {
+    if (session) session.endSession();
+  }
+};
+
+// Obtener el contenido de una técnica en una versión del historial
+const getTechniqueRevision = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    const technique = await Technique.findById(id)
+      .populate({
+        path: 'revisionHistory.changedBy',
+        select: 'username'
+      });
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    const result = technique.getSnapshot(version);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Versión no encontrada',
+        message: `La técnica no tiene la versión ${version}`
+      });
+    }
+
+    res.json({
+      technique: {
+        id: technique._id,
+        name: technique.name,
+        currentVersion: technique.version
+      },
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error al obtener revisión de técnica:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la revisión de la técnica'
+    });
+  }
+};
+
+// Restaurar una técnica al contenido de una versión anterior
+const restoreTechniqueRevision = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    const technique = await Technique.findById(id);
+
+    if (!technique) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    // Verificar permisos
+    if (req.user.role !== 'admin' && technique.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo puedes restaurar técnicas que creaste o ser administrador'
+      });
+    }
+
+    // Con evaluaciones de riesgo el nivel se deriva de su puntuación y no se restaura
+    const hasRiskAssessments = await RiskAssessment.exists({ technique: technique._id, isActive: true });
+    const result = technique.restoreVersion(version, req.user._id, {
+      excludeFields: hasRiskAssessments ? ['riskLevel'] : []
+    });
+    if (!result) {
+      return res.status(404).json({
+        error: 'Versión no encontrada',
+        message: `La técnica no tiene la versión ${version}`
+      });
+    }
+
+    // Verificar MITRE ID único si la restauración lo cambia
+    if (result.restoredFields.includes('mitreid') && technique.mitreid) {
+      const existingTechnique = await Technique.findOne({
+        mitreid: technique.mitreid,
+        _id: { $ne: id }
+      });
+      if (existingTechnique) {
+        return res.status(400).json({
+          error: 'MITRE ID duplicado',
+          message: 'Otra técnica usa actualmente el MITRE ID de esa versión'
+        });
+      }
+    }
+
+    await technique.save();
+    await technique.populate(['category', 'createdBy', 'lastModifiedBy']);
+
+    res.json({
+      message: result.restoredFields.length > 0
+        ? `Técnica restaurada a la versión ${version}`
+        : 'La técnica ya coincide con la versión solicitada',
+      restoredFields: result.restoredFields,
+      complete: result.complete,
+      technique
+    });
+
+  } catch (error) {
+    console.error('Error al restaurar revisión de técnica:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al restaurar la revisión de la técnica'
+    });
+  }
+};
+
+// Campos de texto largo que se comparan palabra por palabra
+const TEXT_DIFF_FIELDS = ['description', 'mitigation.description', 'detection.description'];
+
+// Comparar dos versiones de una técnica o dos técnicas distintas
+const compareTechniques = async (req, res) => {
+  try {
+    const { left, right, leftVersion, rightVersion } = req.query;
+
+    if (!left) {
+      return res.status(400).json({
+        error: 'Datos incompletos',
+        message: 'Debes indicar al menos la técnica "left" (y opcionalmente "right", "leftVersion", "rightVersion")'
+      });
+    }
+
+    const rightId = right || left;
+    if (rightId === left && (leftVersion || 'current') === (rightVersion || 'current')) {
+      return res.status(400).json({
+        error: 'Comparación inválida',
+        message: 'Debes indicar dos técnicas distintas o dos versiones distintas'
+      });
+    }
+
+    const [leftTechnique, rightTechnique] = await Promise.all([
+      Technique.findById(left),
+      rightId === left ? null : Technique.findById(rightId)
+    ]);
+    const rightDocument = rightId === left ? leftTechnique : rightTechnique;
+
+    if (!leftTechnique || !rightDocument) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'Alguna de las técnicas a comparar no existe'
+      });
+    }
+
+    // Obtener el contenido de la técnica en la versión indicada ('current' por defecto)
+    const resolveSide = (technique, version) => {
+      if (!version || version === 'current' || version === technique.version) {
+        return { version: technique.version, complete: true, snapshot: technique.getVersionedValues() };
+      }
+      return technique.getSnapshot(version);
+    };
+
+    const leftSide = resolveSide(leftTechnique, leftVersion);
+    const rightSide = resolveSide(rightDocument, rightVersion);
+
+    if (!leftSide || !rightSide) {
+      return res.status(404).json({
+        error: 'Versión no encontrada',
+        message: `No existe la versión ${!leftSide ? leftVersion : rightVersion} en la técnica indicada`
+      });
+    }
+
+    const changes = diffValues(leftSide.snapshot, rightSide.snapshot);
+
+    const textDiffs = {};
+    TEXT_DIFF_FIELDS.forEach(field => {
+      const change = changes.find(c => c.field === field);
+      if (change) {
+        textDiffs[field] = diffText(change.oldValue, change.newValue);
+      }
+    });
+
+    const describe = (technique, side) => ({
+      id: technique._id,
+      name: technique.name,
+      mitreid: technique.mitreid,
+      version: side.version,
+      complete: side.complete
+    });
+
+    res.json({
+      left: describe(leftTechnique, leftSide),
+      right: describe(rightDocument, rightSide),
+      identical: changes.length === 0,
+      changesCount: changes.length,
+      changes,
+      textDiffs
+    });
+
+  } catch (error) {
+    console.error('Error al comparar técnicas:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'ID inválido',
+        message: 'El ID de técnica proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al comparar las técnicas'
+    });
+  }
+};
+
+// Crear un manejador para una transición del flujo de revisión
+const createTransitionHandler = (action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { comment } = req.body;
+
+    const technique = await Technique.findById(id);
+
+    if (!technique || !technique.isActive) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica solicitada no existe'
+      });
+    }
+
+    const context = action === 'approve'
+      ? { hasValidEvidence: Boolean(await Evidence.exists({ technique: technique._id, ...Evidence.validFilter() })) }
+      : {};
+
+    const { from, to } = technique.transitionStatus(action, req.user, comment, context);
+    await technique.save();
+
+    await technique.populate([
+      { path: 'createdBy', select: 'username' },
+      { path: 'approvedBy', select: 'username' }
+    ]);
+
+    res.json({
+      message: `Estado actualizado: ${from} → ${to}`,
+      transition: { action, from, to },
+      technique
+    });
+
+  } catch (error) {
+    if (error.name === 'WorkflowError') {
+      return res.status(error.statusCode).json({
+        error: 'Transición no permitida',
+        message: error.message
+      });
+    }
+
+    console.error(`Error en transición "${action}" de técnica:`, error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al cambiar el estado de la técnica'
+    });
+  }
+};
+
+// Transiciones del flujo de revisión
+const submitTechniqueForReview = createTransitionHandler('submit');
+const approveTechnique = createTransitionHandler('approve');
+const requestTechniqueChanges = createTransitionHandler('request-changes');
+const deprecateTechnique = createTransitionHandler('deprecate');
+
 module.exports = {
   getAllTechniques,
   getTechniqueById,
@@ -675,7 +2006,21 @@ module.exports = {
   deleteTechnique,
   duplicateTechnique,
   searchTechniques,
+  computeTechniqueStats,
   getTechniqueStats,
+  computeCoverageStats,
+  getCoverageStats,
   getTechniquesByCategory,
-  exportTechniques
+  getSubTechniques,
+  exportTechniques,
+  importStixBundle,
+  importNavigatorLayer,
+  bulkImportTechniques,
+  submitTechniqueForReview,
+  approveTechnique,
+  requestTechniqueChanges,
+  deprecateTechnique,
+  getTechniqueRevision,
+  restoreTechniqueRevision,
+  compareTechniques
 };
\ No newline at end of file
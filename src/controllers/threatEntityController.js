@@ -0,0 +1,425 @@
+const Technique = require('../models/Technique');
+
+// Crear los manejadores CRUD para entidades que usan técnicas (grupos y software)
+// labels: { singular, plural, notFound } para los mensajes de respuesta
+const createThreatEntityController = (Model, labels, { editableFields = [] } = {}) => {
+  const { singular, plural, notFound } = labels;
+  const fields = ['name', 'mitreid', 'aliases', 'description', 'references', ...editableFields];
+
+  const notFoundResponse = (res) => res.status(404).json({
+    error: notFound,
+    message: `El ${singular} solicitado no existe`
+  });
+
+  // Normalizar la lista de usos { technique, procedure } verificando que las técnicas existen
+  const resolveUses = async (uses) => {
+    const list = (Array.isArray(uses) ? uses : [uses])
+      .map(use => (typeof use === 'string' ? { technique: use, procedure: '' } : use));
+
+    const ids = list.map(use => use.technique);
+    const techniques = await Technique.find({ _id: { $in: ids }, isActive: true }).select('_id');
+    const found = new Set(techniques.map(t => t._id.toString()));
+
+    return {
+      valid: list.filter(use => found.has(String(use.technique))),
+      missing: ids.filter(id => !found.has(String(id)))
+    };
+  };
+
+  // Listar entidades con búsqueda por nombre, alias o MITRE ID
+  const getAll = async (req, res) => {
+    try {
+      const { page = 1, limit = 20, search } = req.query;
+
+      const filters = { isActive: true };
+
+      if (search) {
+        filters.$or = [
+          { name: { $regex: search, $options: 'i' } },
+          { aliases: { $regex: search, $options: 'i' } },
+          { mitreid: { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const skip = (page - 1) * limit;
+
+      const items = await Model.find(filters)
+        .populate('createdBy', 'username')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const totalItems = await Model.countDocuments(filters);
+
+      res.json({
+        [plural]: items,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalItems / limit),
+          totalItems,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: page < Math.ceil(totalItems / limit),
+          hasPrevPage: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error(`Error al obtener ${plural}:`, error);
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        message: `Error al obtener ${plural}`
+      });
+    }
+  };
+
+  // Obtener una entidad con sus técnicas
+  const getById = async (req, res) => {
+    try {
+      const item = await Model.findById(req.params.id)
+        .populate('createdBy', 'username')
+        .populate('lastModifiedBy', 'username')
+        .populate('techniques.technique', 'name mitreid riskLevel status');
+
+      if (!item) {
+        return notFoundResponse(res);
+      }
+
+      res.json({
+        [singular]: item
+      });
+
+    } catch (error) {
+      console.error(`Error al obtener ${singular}:`, error);
+
+      if (error.kind === 'ObjectId') {
+        return res.status(400).json({
+          error: 'ID inválido',
+          message: `El ID de ${singular} proporcionado no es válido`
+        });
+      }
+
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        message: `Error al obtener el ${singular}`
+      });
+    }
+  };
+
+  // Vista de técnicas usadas con nivel de riesgo y estado de detección
+  const getTechniquesView = async (req, res) => {
+    try {
+      const { detectionStatus, riskLevel } = req.query;
+
+      const item = await Model.findById(req.params.id)
+        .populate({
+          path: 'techniques.technique',
+          match: { isActive: true },
+          select: 'name mitreid riskLevel status detection category',
+          populate: { path: 'category', select: 'name color' }
+        });
+
+      if (!item) {
+        return notFoundResponse(res);
+      }
+
+      let techniques = item.techniques
+        .filter(use => use.technique)
+        .map(use => ({
+          id: use.technique._id,
+          name: use.technique.name,
+          mitreid: use.technique.mitreid,
+          category: use.technique.category,
+          riskLevel: use.technique.riskLevel,
+          status: use.technique.status,
+          detectionStatus: use.technique.getDetectionStatus(),
+          procedure: use.procedure
+        }));
+
+      const summary = {
+        total: techniques.length,
+        byDetectionStatus: {},
+        byRiskLevel: {}
+      };
+      techniques.forEach(t => {
+        summary.byDetectionStatus[t.detectionStatus] = (summary.byDetectionStatus[t.detectionStatus] || 0) + 1;
+        summary.byRiskLevel[t.riskLevel] = (summary.byRiskLevel[t.riskLevel] || 0) + 1;
+      });
+
+      if (detectionStatus) {
+        techniques = techniques.filter(t => t.detectionStatus === detectionStatus);
+      }
+      if (riskLevel) {
+        techniques = techniques.filter(t => t.riskLevel === riskLevel);
+      }
+
+      res.json({
+        [singular]: {
+          id: item._id,
+          name: item.name,
+          mitreid: item.mitreid,
+          aliases: item.aliases
+        },
+        summary,
+        techniques: techniques.sort((a, b) => (a.mitreid || '').localeCompare(b.mitreid || ''))
+      });
+
+    } catch (error) {
+      console.error(`Error al obtener técnicas del ${singular}:`, error);
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        message: `Error al obtener las técnicas del ${singular}`
+      });
+    }
+  };
+
+  // Crear entidad
+  const create = async (req, res) => {
+    try {
+      const { name, description, mitreid, techniques } = req.body;
+
+      if (!name || !description) {
+        return res.status(400).json({
+          error: 'Datos incompletos',
+          message: 'Nombre y descripción son requeridos'
+        });
+      }
+
+      if (mitreid && await Model.findOne({ mitreid })) {
+        return res.status(400).json({
+          error: 'MITRE ID duplicado',
+          message: `Ya existe un ${singular} con ese MITRE ID`
+        });
+      }
+
+      const data = {};
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      });
+
+      if (techniques && techniques.length > 0) {
+        const { valid, missing } = await resolveUses(techniques);
+        if (missing.length > 0) {
+          return res.status(400).json({
+            error: 'Técnicas no encontradas',
+            message: 'Algunas técnicas especificadas no existen',
+            missing
+          });
+        }
+        data.techniques = valid;
+      }
+
+      const item = new Model({ ...data, createdBy: req.user._id });
+      await item.save();
+      await item.populate('createdBy', 'username');
+
+      res.status(201).json({
+        message: `${singular.charAt(0).toUpperCase()}${singular.slice(1)} creado exitosamente`,
+        [singular]: item
+      });
+
+    } catch (error) {
+      console.error(`Error al crear ${singular}:`, error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          error: 'Error de validación',
+          details: errors
+        });
+      }
+
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        message: `Error al crear el ${singular}`
+      });
+    }
+  };
+
+  // Actualizar entidad
+  const update = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { mitreid, techniques } = req.body;
+
+      const item = await Model.findById(id);
+
+      if (!item) {
+        return notFoundResponse(res);
+      }
+
+      if (req.user.role !== 'admin' && item.createdBy.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          error: 'Sin permisos',
+          message: `Solo puedes editar ${plural} que creaste o ser administrador`
+        });
+      }
+
+      if (mitreid && mitreid !== item.mitreid && await Model.findOne({ mitreid, _id: { $ne: id } })) {
+        return res.status(400).json({
+          error: 'MITRE ID duplicado',
+          message: `Ya existe otro ${singular} con ese MITRE ID`
+        });
+      }
+
+      if (techniques !== undefined) {
+        const { valid, missing } = await resolveUses(techniques);
+        if (missing.length > 0) {
+          return res.status(400).json({
+            error: 'Técnicas no encontradas',
+            message: 'Algunas técnicas especificadas no existen',
+            missing
+          });
+        }
+        item.techniques = valid;
+      }
+
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) item[field] = req.body[field];
+      });
+      item.lastModifiedBy = req.user._id;
+
+      await item.save();
+      await item.populate(['createdBy', 'lastModifiedBy']);
+
+      res.json({
+        message: `${singular.charAt(0).toUpperCase()}${singular.slice(1)} actualizado exitosamente`,
+        [singular]: item
+      });
+
+    } catch (error) {
+      console.error(`Error al actualizar ${singular}:`, error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          error: 'Error de validación',
+          details: errors
+        });
+      }
+
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        message: `Error al actualizar el ${singular}`
+      });
+    }
+  };
+
+  // Registrar (o actualizar) el uso de una técnica con su procedimiento
+  const addTechnique = async (req, res) => {
+    try {
+      const { technique, procedure = '' } = req.body;
+
+      if (!technique) {
+        return res.status(400).json({
+          error: 'Datos incompletos',
+          message: 'Debes indicar la técnica'
+        });
+      }
+
+      const item = await Model.findById(req.params.id);
+
+      if (!item) {
+        return notFoundResponse(res);
+      }
+
+      const { valid } = await resolveUses([{ technique, procedure }]);
+      if (valid.length === 0) {
+        return res.status(400).json({
+          error: 'Técnica no encontrada',
+          message: 'La técnica especificada no existe'
+        });
+      }
+
+      const created = item.useTechnique(technique, procedure);
+      item.lastModifiedBy = req.user._id;
+      await item.save();
+
+      res.status(created ? 201 : 200).json({
+        message: created ? 'Uso de técnica registrado' : 'Procedimiento actualizado',
+        techniquesCount: item.techniques.length
+      });
+
+    } catch (error) {
+      console.error(`Error al registrar técnica del ${singular}:`, error);
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        message: 'Error al registrar el uso de la técnica'
+      });
+    }
+  };
+
+  // Eliminar el uso de una técnica
+  const removeTechnique = async (req, res) => {
+    try {
+      const { id, techniqueId } = req.params;
+
+      const item = await Model.findById(id);
+
+      if (!item) {
+        return notFoundResponse(res);
+      }
+
+      if (!item.removeTechnique(techniqueId)) {
+        return res.status(404).json({
+          error: 'Relación no encontrada',
+          message: `La técnica no está asociada a este ${singular}`
+        });
+      }
+
+      item.lastModifiedBy = req.user._id;
+      await item.save();
+
+      res.json({
+        message: 'Uso de técnica eliminado',
+        techniquesCount: item.techniques.length
+      });
+
+    } catch (error) {
+      console.error(`Error al eliminar técnica del ${singular}:`, error);
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        message: 'Error al eliminar el uso de la técnica'
+      });
+    }
+  };
+
+  // Eliminar entidad
+  const remove = async (req, res) => {
+    try {
+      const item = await Model.findByIdAndDelete(req.params.id);
+
+      if (!item) {
+        return notFoundResponse(res);
+      }
+
+      res.json({
+        message: `${singular.charAt(0).toUpperCase()}${singular.slice(1)} eliminado exitosamente`,
+        deleted: {
+          id: item._id,
+          name: item.name,
+          mitreid: item.mitreid
+        }
+      });
+
+    } catch (error) {
+      console.error(`Error al eliminar ${singular}:`, error);
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        message: `Error al eliminar el ${singular}`
+      });
+    }
+  };
+
+  return {
+    getAll,
+    getById,
+    getTechniquesView,
+    create,
+    update,
+    addTechnique,
+    removeTechnique,
+    remove
+  };
+};
+
+module.exports = { createThreatEntityController };
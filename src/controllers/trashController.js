@@ -0,0 +1,385 @@
+const Technique = require('../models/Technique');
+const Category = require('../models/Category');
+const DetectionFixture = require('../models/DetectionFixture');
+const Evidence = require('../models/Evidence');
+const Mitigation = require('../models/Mitigation');
+const Group = require('../models/Group');
+const Software = require('../models/Software');
+const Control = require('../models/Control');
+const FrameworkRequirement = require('../models/FrameworkRequirement');
+const DetectionRule = require('../models/DetectionRule');
+const RiskAssessment = require('../models/RiskAssessment');
+const { deleteFile } = require('../middleware/upload');
+
+// Días que un elemento permanece en la papelera antes de la purga automática
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) ? 30 : days;
+};
+
+// Eliminar definitivamente una técnica, sus archivos, sus logs de ejemplo y sus evidencias
+const purgeTechniqueDocument = async (technique) => {
+  if (technique.image) {
+    await deleteFile(technique.image);
+  }
+  if (technique.fileLocation) {
+    await deleteFile(technique.fileLocation);
+  }
+
+  const fixtures = await DetectionFixture.find({ technique: technique._id });
+  for (const fixture of fixtures) {
+    await deleteFile(fixture.fileLocation);
+  }
+  await DetectionFixture.deleteMany({ technique: technique._id });
+
+  // Las evidencias que también pertenecen a un control se conservan para ese control
+  const evidence = await Evidence.find({ technique: technique._id, control: null });
+  for (const item of evidence) {
+    await deleteFile(item.fileLocation);
+  }
+  await Evidence.deleteMany({ technique: technique._id, control: null });
+  await Evidence.updateMany({ technique: technique._id }, { $unset: { technique: 1 } });
+
+  // Quitar la técnica de las relaciones para no dejar IDs huérfanos en los contadores
+  await Mitigation.updateMany({ techniques: technique._id }, { $pull: { techniques: technique._id } });
+  await Group.updateMany({ 'techniques.technique': technique._id }, { $pull: { techniques: { technique: technique._id } } });
+  await Software.updateMany({ 'techniques.technique': technique._id }, { $pull: { techniques: { technique: technique._id } } });
+  await Control.updateMany({ techniques: technique._id }, { $pull: { techniques: technique._id } });
+  await FrameworkRequirement.updateMany({ techniques: technique._id }, { $pull: { techniques: technique._id } });
+  await DetectionRule.updateMany({ techniques: technique._id }, { $pull: { techniques: technique._id } });
+
+  // Las sub-técnicas pasan a ser técnicas de primer nivel para no desaparecer de la matriz
+  await Technique.updateMany({ parentTechnique: technique._id }, { $unset: { parentTechnique: 1 } });
+
+  // Los riesgos se conservan en el registro; si no tenían activo, el escenario pasa a describir la técnica
+  const techniqueLabel = (technique.mitreid ? `${technique.mitreid} ${technique.name}` : technique.name).slice(0, 200);
+  await RiskAssessment.updateMany(
+    { technique: technique._id, $or: [{ asset: null }, { asset: '' }] },
+    { $set: { asset: techniqueLabel } }
+  );
+  await RiskAssessment.updateMany({ technique: technique._id }, { $unset: { technique: 1 } });
+
+  await Technique.findByIdAndDelete(technique._id);
+};
+
+// Contar dependencias de una categoría, incluidas las que están en la papelera
+const getCategoryDependencies = async (categoryId) => ({
+  subcategories: await Category.countDocuments({ parentCategory: categoryId }),
+  techniques: await Technique.countDocuments({ category: categoryId })
+});
+
+// Purgar los elementos de la papelera más antiguos que el periodo de retención
+const purgeExpiredTrash = async (retentionDays = getRetentionDays()) => {
+  const limitDate = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const result = { techniques: 0, categories: 0, skipped: [] };
+
+  const techniques = await Technique.find({ deletedAt: { $lte: limitDate } });
+  for (const technique of techniques) {
+    await purgeTechniqueDocument(technique);
+    result.techniques++;
+  }
+
+  // Las categorías se purgan después para liberar primero sus técnicas
+  const categories = await Category.find({ deletedAt: { $lte: limitDate } });
+  for (const category of categories) {
+    const dependencies = await getCategoryDependencies(category._id);
+
+    if (dependencies.subcategories > 0 || dependencies.techniques > 0) {
+      result.skipped.push({ id: category._id, name: category.name, dependencies });
+      continue;
+    }
+
+    await Category.findByIdAndDelete(category._id);
+    result.categories++;
+  }
+
+  return result;
+};
+
+// Listar elementos en la papelera
+const getTrash = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const filters = { deletedAt: { $ne: null } };
+
+    // Los no administradores solo ven sus propias técnicas eliminadas
+    const techniqueFilters = req.user.role === 'admin'
+      ? filters
+      : { ...filters, createdBy: req.user._id };
+
+    const retentionDays = getRetentionDays();
+    const addExpiration = (item) => ({
+      ...item.toObject(),
+      purgeAfter: retentionDays > 0
+        ? new Date(item.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+        : null
+    });
+
+    const response = { retentionDays };
+
+    if (!type || type === 'techniques') {
+      const [techniques, total] = await Promise.all([
+        Technique.find(techniqueFilters)
+          .select('name mitreid category image fileLocation deletedAt deletedBy createdBy')
+          .populate('category', 'name')
+          .populate('deletedBy', 'username')
+          .sort({ deletedAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Technique.countDocuments(techniqueFilters)
+      ]);
+
+      response.techniques = {
+        items: techniques.map(addExpiration),
+        totalItems: total
+      };
+    }
+
+    if ((!type || type === 'categories') && req.user.role === 'admin') {
+      const [categories, total] = await Promise.all([
+        Category.find(filters)
+          .select('name slug parentCategory deletedAt deletedBy')
+          .populate('deletedBy', 'username')
+          .sort({ deletedAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Category.countDocuments(filters)
+      ]);
+
+      response.categories = {
+        items: categories.map(addExpiration),
+        totalItems: total
+      };
+    }
+
+    res.json({
+      ...response,
+      pagination: {
+        currentPage: parseInt(page),
+        itemsPerPage: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener la papelera:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener los elementos de la papelera'
+    });
+  }
+};
+
+// Restaurar técnica desde la papelera
+const restoreTechnique = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const technique = await Technique.findById(id);
+
+    if (!technique || !technique.deletedAt) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica no existe o no está en la papelera'
+      });
+    }
+
+    // Verificar permisos
+    if (req.user.role !== 'admin' && technique.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Sin permisos',
+        message: 'Solo puedes restaurar técnicas que creaste o ser administrador'
+      });
+    }
+
+    // La categoría debe estar disponible
+    if (technique.category) {
+      const category = await Category.findById(technique.category);
+      if (category && category.deletedAt) {
+        return res.status(400).json({
+          error: 'Categoría en la papelera',
+          message: `Restaura primero la categoría "${category.name}"`
+        });
+      }
+    }
+
+    technique.restoreFromTrash(req.user._id);
+    await technique.save();
+
+    res.json({
+      message: 'Técnica restaurada exitosamente',
+      technique
+    });
+
+  } catch (error) {
+    console.error('Error al restaurar técnica:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al restaurar la técnica'
+    });
+  }
+};
+
+// Restaurar categoría desde la papelera
+const restoreCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const category = await Category.findById(id);
+
+    if (!category || !category.deletedAt) {
+      return res.status(404).json({
+        error: 'Categoría no encontrada',
+        message: 'La categoría no existe o no está en la papelera'
+      });
+    }
+
+    // La categoría padre debe estar disponible
+    if (category.parentCategory) {
+      const parent = await Category.findById(category.parentCategory);
+      if (parent && parent.deletedAt) {
+        return res.status(400).json({
+          error: 'Categoría padre en la papelera',
+          message: `Restaura primero la categoría "${parent.name}"`
+        });
+      }
+    }
+
+    category.restoreFromTrash();
+    await category.save();
+
+    res.json({
+      message: 'Categoría restaurada exitosamente',
+      category
+    });
+
+  } catch (error) {
+    console.error('Error al restaurar categoría:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al restaurar la categoría'
+    });
+  }
+};
+
+// Eliminar definitivamente una técnica de la papelera
+const purgeTechnique = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const technique = await Technique.findById(id);
+
+    if (!technique || !technique.deletedAt) {
+      return res.status(404).json({
+        error: 'Técnica no encontrada',
+        message: 'La técnica no existe o no está en la papelera'
+      });
+    }
+
+    await purgeTechniqueDocument(technique);
+
+    res.json({
+      message: 'Técnica eliminada definitivamente',
+      purgedTechnique: {
+        id: technique._id,
+        name: technique.name,
+        mitreid: technique.mitreid
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al purgar técnica:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar definitivamente la técnica'
+    });
+  }
+};
+
+// Eliminar definitivamente una categoría de la papelera
+const purgeCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const category = await Category.findById(id);
+
+    if (!category || !category.deletedAt) {
+      return res.status(404).json({
+        error: 'Categoría no encontrada',
+        message: 'La categoría no existe o no está en la papelera'
+      });
+    }
+
+    const dependencies = await getCategoryDependencies(id);
+    if (dependencies.subcategories > 0 || dependencies.techniques > 0) {
+      return res.status(400).json({
+        error: 'Categoría con dependencias',
+        message: 'No se puede purgar. Aún hay subcategorías o técnicas (incluidas las de la papelera) asociadas',
+        dependencies
+      });
+    }
+
+    await Category.findByIdAndDelete(id);
+
+    res.json({
+      message: 'Categoría eliminada definitivamente',
+      purgedCategory: {
+        id: category._id,
+        name: category.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al purgar categoría:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar definitivamente la categoría'
+    });
+  }
+};
+
+// Purgar manualmente los elementos que superan el periodo de retención
+const purgeTrash = async (req, res) => {
+  try {
+    const olderThanDays = req.body.olderThanDays !== undefined
+      ? parseInt(req.body.olderThanDays, 10)
+      : getRetentionDays();
+
+    if (Number.isNaN(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({
+        error: 'Valor inválido',
+        message: 'olderThanDays debe ser un número mayor o igual a 0'
+      });
+    }
+
+    const result = await purgeExpiredTrash(olderThanDays);
+
+    res.json({
+      message: 'Papelera purgada exitosamente',
+      olderThanDays,
+      purged: {
+        techniques: result.techniques,
+        categories: result.categories
+      },
+      skipped: result.skipped
+    });
+
+  } catch (error) {
+    console.error('Error al purgar la papelera:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al purgar la papelera'
+    });
+  }
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeExpiredTrash,
+  getTrash,
+  restoreTechnique,
+  restoreCategory,
+  purgeTechnique,
+  purgeCategory,
+  purgeTrash
+};
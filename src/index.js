@@ -12,13 +12,96 @@ const { connectDB, closeDB } = require('./config/database');
 const authRoutes = require('./routes/auth');
 const categoryRoutes = require('./routes/categories');
 const techniqueRoutes = require('./routes/techniques');
+const trashRoutes = require('./routes/trash');
+const mitigationRoutes = require('./routes/mitigations');
+const groupRoutes = require('./routes/groups');
+const softwareRoutes = require('./routes/software');
+const dataSourceRoutes = require('./routes/dataSources');
+const detectionRoutes = require('./routes/detections');
+const matrixRoutes = require('./routes/matrix');
+const controlRoutes = require('./routes/controls');
+const soaRoutes = require('./routes/soa');
+const riskRoutes = require('./routes/risks');
+const evidenceRoutes = require('./routes/evidence');
+const frameworkRoutes = require('./routes/frameworks');
+
+// Importar tareas programadas
+const { purgeExpiredTrash, getRetentionDays } = require('./controllers/trashController');
+const { recordStatsSnapshotIfDue, getSnapshotIntervalHours } = require('./controllers/statsHistoryController');
+const { seedControlCatalogue } = require('./controllers/controlController');
+const { seedFrameworkCatalogues } = require('./controllers/frameworkController');
+const { relocatePublicFixtures } = require('./controllers/detectionTestController');
+const { getStixImportMaxMb } = require('./middleware/upload');
 
 // Crear aplicación Express
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Purgar la papelera de los elementos que han superado el periodo de retención
+const runTrashPurge = async () => {
+  try {
+    const result = await purgeExpiredTrash();
+    console.log(`Papelera purgada: ${result.techniques} técnicas, ${result.categories} categorías`);
+  } catch (error) {
+    console.error('Error en la purga automática de la papelera:', error);
+  }
+};
+
+// Guardar una fotografía de estadísticas si la última ha superado el intervalo configurado
+const takeStatsSnapshotIfDue = async () => {
+  try {
+    const snapshot = await recordStatsSnapshotIfDue();
+    if (snapshot) {
+      console.log(`Fotografía de estadísticas guardada: ${snapshot.totalTechniques} técnicas`);
+    }
+  } catch (error) {
+    console.error('Error en la fotografía automática de estadísticas:', error);
+  }
+};
+
 // ====== CONEXIÓN A BASE DE DATOS ======
-connectDB();
+// Al conectar se siembran los catálogos de controles ISO 27001 (con los vínculos de iso27001Reference), NIST CSF y CIS (solo crean o actualizan),
+// se sacan de /uploads los logs de ejemplo antiguos y se purga la papelera y se comprueba si toca una fotografía de estadísticas, sin esperar al primer
+// ciclo de los temporizadores (un servidor que se reinicia a diario no llegaría nunca a la purga)
+connectDB().then(async () => {
+  try {
+    const result = await seedControlCatalogue();
+    if (result.created > 0) {
+      console.log(`Catálogo ISO 27001 sembrado: ${result.created} controles creados`);
+    }
+    if (result.linkedControls > 0) {
+      console.log(`Controles ISO 27001 vinculados desde iso27001Reference: ${result.linkedControls}`);
+    }
+  } catch (error) {
+    console.error('Error al sembrar el catálogo de controles:', error);
+  }
+
+  try {
+    const results = await seedFrameworkCatalogues();
+    results.filter(result => result.created > 0).forEach(result => {
+      console.log(`Marco ${result.framework} sembrado: ${result.created} requisitos creados`);
+    });
+  } catch (error) {
+    console.error('Error al sembrar los marcos de referencia:', error);
+  }
+
+  try {
+    const moved = await relocatePublicFixtures();
+    if (moved > 0) {
+      console.log(`Logs de ejemplo movidos fuera de /uploads: ${moved}`);
+    }
+  } catch (error) {
+    console.error('Error al mover los logs de ejemplo:', error);
+  }
+
+  if (getRetentionDays() > 0) {
+    await runTrashPurge();
+  }
+
+  if (getSnapshotIntervalHours() > 0) {
+    await takeStatsSnapshotIfDue();
+  }
+});
 
 // ====== MIDDLEWARES GLOBALES ======
 // Seguridad básica
@@ -91,6 +174,8 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Parsers de body
+// Los bundles STIX enviados como JSON tienen su propio límite (el parser general ignora un body ya analizado)
+app.use('/api/techniques/import/stix', express.json({ limit: `${getStixImportMaxMb()}mb` }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -142,7 +227,7 @@ app.get('/api', (req, res) => {
             'GET /:id': 'Obtener categoría específica',
             'POST /': 'Crear categoría (requiere auth editor+)',
             'PUT /:id': 'Actualizar categoría (requiere auth editor+)',
-            'DELETE /:id': 'Eliminar categoría (requiere auth admin)'
+            'DELETE /:id': 'Mover categoría a la papelera (requiere auth admin)'
           }
         },
         techniques: {
@@ -151,13 +236,181 @@ app.get('/api', (req, res) => {
             'GET /': 'Listar técnicas',
             'GET /search': 'Búsqueda avanzada',
             'GET /stats': 'Estadísticas',
-            'GET /export': 'Exportar técnicas (requiere auth)',
+            'GET /stats/coverage': 'Cobertura de detección y mitigación por táctica y riesgo',
+            'GET /stats/history?from=&to=&metric=': 'Series temporales de estadísticas',
+            'POST /stats/history': 'Tomar fotografía de estadísticas (requiere auth admin)',
+            'GET /compare': 'Comparar versiones o técnicas',
+            'GET /export': 'Exportar técnicas en JSON, STIX 2.1, Navigator, CSV o XLSX (requiere auth)',
+            'POST /import': 'Importación masiva CSV/JSON; atomic requiere replica set (requiere auth editor+)',
+            'POST /import/stix': 'Importar bundle STIX 2.1 con técnicas, tácticas y mitigaciones (requiere auth editor+)',
+            'POST /import/navigator': 'Aplicar capa de ATT&CK Navigator; requiere replica set (requiere auth editor+)',
             'GET /category/:categoryId': 'Técnicas por categoría',
             'GET /:id': 'Obtener técnica específica',
+            'GET /:id/detections': 'Reglas de detección de la técnica',
+            'POST /:id/detections': 'Crear regla Sigma y generar consultas (requiere auth editor+)',
+            'GET /:id/fixtures': 'Logs de ejemplo para probar detecciones (requiere auth)',
+            'POST /:id/fixtures': 'Subir log de ejemplo JSON/JSONL (requiere auth editor+)',
+            'DELETE /:id/fixtures/:fixtureId': 'Eliminar log de ejemplo (requiere auth editor+)',
+            'GET /:id/detection-tests': 'Último resultado de verificación de la detección',
+            'POST /:id/detection-tests': 'Evaluar consultas contra logs de ejemplo (requiere auth editor+)',
+            'GET /:id/subtechniques': 'Listar sub-técnicas',
+            'GET /:id/controls': 'Controles ISO 27001 que abordan la técnica',
+            'GET /:id/frameworks': 'Requisitos de NIST CSF, CIS y otros marcos que abordan la técnica',
             'POST /': 'Crear técnica (requiere auth editor+)',
             'PUT /:id': 'Actualizar técnica (requiere auth editor+)',
             'POST /:id/duplicate': 'Duplicar técnica (requiere auth editor+)',
-            'DELETE /:id': 'Eliminar técnica (requiere auth editor+)'
+            'GET /:id/revisions/:version': 'Obtener técnica en una versión anterior',
+            'POST /:id/revisions/:version/restore': 'Restaurar versión anterior (requiere auth editor+)',
+            'POST /:id/submit': 'Enviar a revisión (requiere auth autor o admin)',
+            'POST /:id/approve': 'Aprobar técnica (requiere auth editor+, distinto del autor)',
+            'POST /:id/request-changes': 'Solicitar cambios con comentario (requiere auth editor+)',
+            'POST /:id/deprecate': 'Deprecar técnica (requiere auth admin)',
+            'DELETE /:id': 'Mover técnica a la papelera (requiere auth editor+)'
+          }
+        },
+        mitigations: {
+          base: '/api/mitigations',
+          routes: {
+            'GET /': 'Listar mitigaciones',
+            'GET /unmitigated': 'Técnicas sin ninguna mitigación',
+            'GET /:id': 'Obtener mitigación específica',
+            'GET /:id/techniques': 'Técnicas cubiertas por la mitigación',
+            'POST /': 'Crear mitigación (requiere auth editor+)',
+            'PUT /:id': 'Actualizar mitigación (requiere auth editor+)',
+            'POST /:id/techniques': 'Vincular técnicas (requiere auth editor+)',
+            'DELETE /:id/techniques/:techniqueId': 'Desvincular técnica (requiere auth editor+)',
+            'DELETE /:id': 'Eliminar mitigación (requiere auth admin)'
+          }
+        },
+        groups: {
+          base: '/api/groups',
+          routes: {
+            'GET /': 'Listar grupos',
+            'GET /:id': 'Obtener grupo específico',
+            'GET /:id/techniques': 'Técnicas usadas con riesgo y estado de detección',
+            'POST /': 'Crear grupo (requiere auth editor+)',
+            'PUT /:id': 'Actualizar grupo (requiere auth editor+)',
+            'POST /:id/techniques': 'Registrar uso de técnica con procedimiento (requiere auth editor+)',
+            'DELETE /:id/techniques/:techniqueId': 'Eliminar uso de técnica (requiere auth editor+)',
+            'DELETE /:id': 'Eliminar grupo (requiere auth admin)'
+          }
+        },
+        software: {
+          base: '/api/software',
+          routes: {
+            'GET /': 'Listar software',
+            'GET /:id': 'Obtener software específico',
+            'GET /:id/techniques': 'Técnicas usadas con riesgo y estado de detección',
+            'POST /': 'Crear software (requiere auth editor+)',
+            'PUT /:id': 'Actualizar software (requiere auth editor+)',
+            'POST /:id/techniques': 'Registrar uso de técnica con procedimiento (requiere auth editor+)',
+            'DELETE /:id/techniques/:techniqueId': 'Eliminar uso de técnica (requiere auth editor+)',
+            'DELETE /:id': 'Eliminar software (requiere auth admin)'
+          }
+        },
+        datasources: {
+          base: '/api/datasources',
+          routes: {
+            'GET /': 'Listar catálogo de fuentes de datos',
+            'GET /coverage': 'Técnicas detectables por fuente de datos y componente',
+            'GET /:id': 'Obtener fuente de datos específica',
+            'POST /': 'Crear fuente de datos (requiere auth editor+)',
+            'PUT /:id': 'Actualizar fuente de datos (requiere auth editor+)',
+            'POST /:id/components': 'Añadir componente (requiere auth editor+)',
+            'DELETE /:id/components/:componentId': 'Eliminar componente (requiere auth editor+)',
+            'DELETE /:id': 'Eliminar fuente de datos (requiere auth admin)',
+            'POST /sync': 'Crear catálogo desde datasources de técnicas (requiere auth admin)'
+          }
+        },
+        detections: {
+          base: '/api/detections',
+          routes: {
+            'GET /': 'Listar reglas de detección Sigma',
+            'GET /export?category=': 'Exportar reglas de una categoría como zip de .yml (requiere auth)',
+            'POST /validate': 'Validar regla Sigma sin guardarla',
+            'GET /backends': 'Backends de conversión y mapeos de campos',
+            'POST /convert': 'Convertir regla Sigma a SPL, KQL, Lucene y EQL sin guardarla',
+            'POST /regenerate': 'Regenerar consultas de todas las reglas (requiere auth admin)',
+            'POST /:id/regenerate': 'Regenerar consultas de la regla (requiere auth editor+)',
+            'GET /:id': 'Obtener regla específica',
+            'POST /': 'Crear regla Sigma (requiere auth editor+)',
+            'PUT /:id': 'Actualizar regla o su estado (requiere auth editor+)',
+            'DELETE /:id': 'Eliminar regla (requiere auth editor+)'
+          }
+        },
+        controls: {
+          base: '/api/controls',
+          routes: {
+            'GET /': 'Catálogo ISO 27001:2022 Anexo A con técnicas abordadas',
+            'GET /:id': 'Obtener control por ID o identificador (A.8.15)',
+            'GET /:id/techniques': 'Técnicas que aborda el control',
+            'POST /:id/techniques': 'Vincular técnicas (requiere auth editor+)',
+            'DELETE /:id/techniques/:techniqueId': 'Desvincular técnica (requiere auth editor+)',
+            'POST /sync': 'Volver a sembrar el catálogo y vincular técnicas desde iso27001Reference (requiere auth admin)'
+          }
+        },
+        frameworks: {
+          base: '/api/frameworks',
+          routes: {
+            'GET /': 'Marcos de referencia (NIST CSF 2.0, CIS Controls v8)',
+            'GET /crosswalk/:controlId': 'Equivalencias de un control ISO 27001 por técnicas compartidas',
+            'GET /:frameworkId': 'Obtener marco por ID o clave con su árbol de requisitos',
+            'GET /:frameworkId/requirements/:requirementId': 'Obtener requisito (PR.AA-05, 6.3)',
+            'POST /:frameworkId/requirements/:requirementId/techniques': 'Vincular técnicas (requiere auth editor+)',
+            'DELETE /:frameworkId/requirements/:requirementId/techniques/:techniqueId': 'Desvincular técnica (requiere auth editor+)',
+            'POST /sync': 'Volver a sembrar los marcos (requiere auth admin)'
+          }
+        },
+        soa: {
+          base: '/api/soa',
+          routes: {
+            'GET /': 'Declaración de aplicabilidad en curso (requiere auth)',
+            'PUT /controls/:controlId': 'Decisión de aplicabilidad de un control (requiere auth editor+)',
+            'GET /versions': 'Versiones emitidas (requiere auth)',
+            'POST /versions': 'Emitir nueva versión (requiere auth admin)',
+            'GET /versions/:version': 'Obtener versión emitida (requiere auth)',
+            'GET /export?format=&version=': 'Exportar en CSV, Markdown o HTML (requiere auth)'
+          }
+        },
+        risks: {
+          base: '/api/risks',
+          routes: {
+            'GET /': 'Registro de riesgos (requiere auth)',
+            'GET /matrix': 'Matriz probabilidad × impacto con riesgos por celda (requiere auth)',
+            'GET /:id': 'Obtener evaluación de riesgo (requiere auth)',
+            'POST /': 'Crear evaluación; deriva el riskLevel de la técnica (requiere auth editor+)',
+            'PUT /:id': 'Actualizar evaluación (requiere auth editor+)',
+            'DELETE /:id': 'Eliminar evaluación (requiere auth admin)'
+          }
+        },
+        evidence: {
+          base: '/api/evidence',
+          routes: {
+            'GET /': 'Evidencias de técnicas y controles (requiere auth)',
+            'GET /expiring': 'Evidencias próximas a caducar (requiere auth)',
+            'GET /:id': 'Obtener evidencia (requiere auth)',
+            'GET /:id/download': 'Descargar archivo de la evidencia (requiere auth)',
+            'POST /': 'Subir evidencia (requiere auth editor+)',
+            'PUT /:id': 'Actualizar metadatos de la evidencia (requiere auth editor+ que la subió o admin)',
+            'PUT /:id/review': 'Aceptar o rechazar evidencia (requiere auth editor+)',
+            'DELETE /:id': 'Eliminar evidencia (requiere auth editor+ que la subió o admin; aceptada solo admin)'
+          }
+        },
+        matrix: {
+          base: '/api/matrix',
+          routes: {
+            'GET /': 'Matriz de tácticas × técnicas con subtécnicas (filtros platforms, status, tags; ETag)'
+          }
+        },
+        trash: {
+          base: '/api/trash',
+          routes: {
+            'GET /': 'Listar papelera (requiere auth editor+)',
+            'POST /purge': 'Purgar elementos expirados (requiere auth admin)',
+            'POST /techniques/:id/restore': 'Restaurar técnica (requiere auth editor+)',
+            'POST /categories/:id/restore': 'Restaurar categoría (requiere auth admin)',
+            'DELETE /techniques/:id': 'Eliminar técnica definitivamente (requiere auth admin)',
+            'DELETE /categories/:id': 'Eliminar categoría definitivamente (requiere auth admin)'
           }
         }
       }
@@ -187,6 +440,18 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/techniques', techniqueRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/mitigations', mitigationRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/software', softwareRoutes);
+app.use('/api/datasources', dataSourceRoutes);
+app.use('/api/detections', detectionRoutes);
+app.use('/api/matrix', matrixRoutes);
+app.use('/api/controls', controlRoutes);
+app.use('/api/soa', soaRoutes);
+app.use('/api/risks', riskRoutes);
+app.use('/api/evidence', evidenceRoutes);
+app.use('/api/frameworks', frameworkRoutes);
 
 // ====== MIDDLEWARE DE ERROR Y 404 ======
 
@@ -201,7 +466,18 @@ app.use('*', (req, res) => {
       apiInfo: 'GET /api',
       auth: 'POST /api/auth/login',
       categories: 'GET /api/categories',
-      techniques: 'GET /api/techniques'
+      techniques: 'GET /api/techniques',
+      mitigations: 'GET /api/mitigations',
+      groups: 'GET /api/groups',
+      software: 'GET /api/software',
+      datasources: 'GET /api/datasources',
+      detections: 'GET /api/detections',
+      matrix: 'GET /api/matrix',
+      controls: 'GET /api/controls',
+      soa: 'GET /api/soa',
+      risks: 'GET /api/risks',
+      evidence: 'GET /api/evidence',
+      frameworks: 'GET /api/frameworks'
     }
   });
 });
@@ -329,6 +605,20 @@ Uploads: http://localhost:${PORT}/uploads/
   `);
 });
 
+// ====== TAREAS PROGRAMADAS ======
+// Purga diaria de la papelera (TRASH_RETENTION_DAYS=0 la desactiva)
+if (getRetentionDays() > 0) {
+  const trashPurgeTimer = setInterval(runTrashPurge, 24 * 60 * 60 * 1000);
+  trashPurgeTimer.unref();
+}
+
+// Fotografías periódicas de estadísticas (STATS_SNAPSHOT_INTERVAL_HOURS=0 las desactiva)
+// Se comprueba cada intervalo (como máximo cada hora) si la última fotografía lo ha superado
+if (getSnapshotIntervalHours() > 0) {
+  const statsSnapshotTimer = setInterval(takeStatsSnapshotIfDue, Math.min(getSnapshotIntervalHours(), 1) * 60 * 60 * 1000);
+  statsSnapshotTimer.unref();
+}
+
 // ====== MANEJO GRACEFUL DE CIERRE ======
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} recibido, iniciando cierre graceful...`);
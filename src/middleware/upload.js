@@ -13,6 +13,12 @@ const storage = multer.diskStorage({
         uploadPath = 'uploads/images';
       } else if (file.fieldname === 'file' || file.fieldname === 'document') {
         uploadPath = 'uploads/files';
+      } else if (file.fieldname === 'fixture') {
+        // Los logs de ejemplo contienen nombres de equipos y usuarios: tampoco se sirven como estáticos
+        uploadPath = 'storage/fixtures';
+      } else if (file.fieldname === 'evidence') {
+        // Las evidencias de auditoría no se sirven como estáticos: solo se descargan con autenticación
+        uploadPath = 'storage/evidence';
       } else {
         uploadPath = 'uploads';
       }
@@ -91,6 +97,27 @@ const documentFilter = (req, file, cb) => {
   }
 };
 
+// Filtro para logs de ejemplo (JSON, JSON lines o JSON exportado de EVTX)
+const fixtureFilter = (req, file, cb) => {
+  // Los navegadores suelen enviar .jsonl/.ndjson como octet-stream
+  const allowedFixtureTypes = [
+    'application/json',
+    'application/x-ndjson',
+    'application/jsonl',
+    'application/octet-stream',
+    'text/plain'
+  ];
+
+  const allowedFixtureExtensions = /\.(json|jsonl|ndjson|txt)$/i;
+
+  if (allowedFixtureTypes.includes(file.mimetype) && 
+      allowedFixtureExtensions.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Tipo de archivo no permitido. Formatos permitidos para logs: JSON, JSONL, NDJSON, TXT'), false);
+  }
+};
+
 const anyFileFilter = (req, file, cb) => {
   // Combinar filtros de imagen y documento
   const allowedTypes = [
@@ -140,7 +167,46 @@ const uploadAny = multer({
   fileFilter: anyFileFilter
 });
 
+// Bundles STIX: el de ATT&CK Enterprise supera los 10MB (STIX_IMPORT_MAX_MB, 100MB por defecto)
+const getStixImportMaxMb = () => {
+  const mb = parseInt(process.env.STIX_IMPORT_MAX_MB, 10);
+  return Number.isNaN(mb) ? 100 : mb;
+};
+
+const uploadStix = multer({
+  storage: storage,
+  limits: {
+    fileSize: getStixImportMaxMb() * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: documentFilter
+});
+
+const uploadStixBundle = (req, res, next) => {
+  req.uploadMaxSize = `${getStixImportMaxMb()}MB`;
+  uploadStix.single('document')(req, res, next);
+};
+
 // Middleware para manejar múltiples tipos de archivos
+const uploadFixture = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB para logs de ejemplo
+    files: 1
+  },
+  fileFilter: fixtureFilter
+});
+
+// Evidencias para auditoría (capturas, informes, exportaciones)
+const uploadEvidence = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB por evidencia
+    files: 1
+  },
+  fileFilter: anyFileFilter
+});
+
 const uploadMultiple = multer({
   storage: storage,
   limits: {
@@ -162,7 +228,7 @@ const handleUploadError = (error, req, res, next) => {
         return res.status(400).json({
           error: 'Archivo muy grande',
           message: 'El archivo excede el tamaño máximo permitido',
-          maxSize: '10MB'
+          maxSize: req.uploadMaxSize || '10MB'
         });
       case 'LIMIT_FILE_COUNT':
         return res.status(400).json({
@@ -288,7 +354,11 @@ const processUploadedFiles = (req, res, next) => {
 module.exports = {
   uploadImage: uploadImage.single('image'),
   uploadDocument: uploadDocument.single('document'),
+  uploadStixBundle,
+  getStixImportMaxMb,
   uploadAny: uploadAny.single('file'),
+  uploadFixture: uploadFixture.single('fixture'),
+  uploadEvidence: uploadEvidence.single('evidence'),
   uploadMultiple,
   handleUploadError,
   cleanupOnError,
@@ -41,11 +41,25 @@ const categorySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Papelera: fecha y usuario de la eliminación lógica
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   metadata: {
     tactics: [{ type: String }], // Para tácticas MITRE
     platforms: [{ type: String }], // Plataformas aplicables
     killChainPhases: [{ type: String }]
   },
+  // Identificador STIX para categorías importadas como tácticas
+  stixId: {
+    type: String,
+    trim: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -63,6 +77,8 @@ categorySchema.index({ slug: 1 });
 categorySchema.index({ parentCategory: 1 });
 categorySchema.index({ createdBy: 1 });
 categorySchema.index({ isActive: 1 });
+categorySchema.index({ deletedAt: 1 });
+categorySchema.index({ stixId: 1 }, { sparse: true });
 
 // Virtual para obtener subcategorías
 categorySchema.virtual('subcategories', {
@@ -213,6 +229,20 @@ categorySchema.methods.validateParent = async function() {
   return true;
 };
 
+// Método para mover la categoría a la papelera (eliminación lógica)
+categorySchema.methods.moveToTrash = function(userId) {
+  this.isActive = false;
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+};
+
+// Método para restaurar la categoría desde la papelera
+categorySchema.methods.restoreFromTrash = function() {
+  this.isActive = true;
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+};
+
 // Middleware pre-save para validar parent
 categorySchema.pre('save', async function(next) {
   try {
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const {
+  ISO27001_STANDARD,
+  ISO27001_THEMES,
+  CONTROL_TYPES,
+  SECURITY_PROPERTIES,
+  CYBERSECURITY_CONCEPTS,
+  ISO27001_CONTROLS
+} = require('../config/iso27001Controls');
+const { IMPLEMENTATION_STATUSES } = require('../utils/soa');
+
+const controlSchema = new mongoose.Schema({
+  // Identificador del Anexo A (p.ej. "A.8.15")
+  controlId: {
+    type: String,
+    required: [true, 'El identificador del control es requerido'],
+    unique: true,
+    trim: true
+  },
+  standard: {
+    type: String,
+    default: ISO27001_STANDARD
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre del control es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  theme: {
+    type: String,
+    enum: ISO27001_THEMES,
+    required: [true, 'El tema del control es requerido']
+  },
+  // Orden numérico del Anexo A (A.5.2 antes que A.5.10)
+  order: {
+    type: Number,
+    default: 0
+  },
+  attributes: {
+    controlTypes: [{ type: String, enum: CONTROL_TYPES }],
+    securityProperties: [{ type: String, enum: SECURITY_PROPERTIES }],
+    cybersecurityConcepts: [{ type: String, enum: CYBERSECURITY_CONCEPTS }]
+  },
+  // Técnicas que aborda este control (relación muchos a muchos)
+  techniques: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Technique'
+  }],
+  // Decisión de la Declaración de Aplicabilidad en curso (las versiones emitidas se guardan en SoaVersion)
+  applicability: {
+    applicable: { type: Boolean, default: null },
+    justification: {
+      type: String,
+      default: '',
+      maxlength: [2000, 'La justificación no puede exceder 2000 caracteres']
+    },
+    implementationStatus: { type: String, enum: [...IMPLEMENTATION_STATUSES, null], default: null },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+controlSchema.index({ order: 1 });
+controlSchema.index({ theme: 1 });
+controlSchema.index({ techniques: 1 });
+
+// Virtual para contar técnicas abordadas
+controlSchema.virtual('techniquesCount').get(function() {
+  return (this.techniques || []).length;
+});
+
+// Virtual para obtener las evidencias de auditoría del control
+controlSchema.virtual('evidence', {
+  ref: 'Evidence',
+  localField: '_id',
+  foreignField: 'control',
+  options: { sort: { collectedAt: -1 } }
+});
+
+// Método estático para crear o actualizar el catálogo del Anexo A sin tocar los vínculos con técnicas
+controlSchema.statics.syncCatalogue = async function() {
+  const result = await this.bulkWrite(ISO27001_CONTROLS.map(control => ({
+    updateOne: {
+      filter: { controlId: control.controlId },
+      update: {
+        $set: {
+          standard: ISO27001_STANDARD,
+          name: control.name,
+          theme: control.theme,
+          order: control.order,
+          attributes: control.attributes
+        }
+      },
+      upsert: true,
+      // bulkWrite no aplica los valores por defecto (isActive, techniques) a los documentos nuevos
+      setDefaultsOnInsert: true
+    }
+  })));
+
+  // Controles sembrados antes sin valores por defecto quedaban fuera de las consultas por isActive
+  await this.updateMany({ isActive: { $exists: false } }, { $set: { isActive: true } });
+
+  return {
+    total: ISO27001_CONTROLS.length,
+    created: result.upsertedCount,
+    updated: result.modifiedCount
+  };
+};
+
+// Método estático para buscar por ObjectId o por identificador del Anexo A ("A.5.7" o "5.7")
+controlSchema.statics.findByIdentifier = function(identifier) {
+  if (mongoose.Types.ObjectId.isValid(identifier) && /^[a-f\d]{24}$/i.test(identifier)) {
+    return this.findById(identifier);
+  }
+
+  const controlId = /^a\./i.test(identifier) ? `A.${identifier.slice(2)}` : `A.${identifier}`;
+  return this.findOne({ controlId });
+};
+
+// Método para vincular técnicas sin duplicados; devuelve los IDs añadidos
+controlSchema.methods.linkTechniques = function(techniqueIds) {
+  const current = new Set(this.techniques.map(id => id.toString()));
+  const added = techniqueIds.filter(id => !current.has(id.toString()));
+
+  this.techniques.push(...added);
+  return added;
+};
+
+// Método para desvincular una técnica; devuelve true si estaba vinculada
+controlSchema.methods.unlinkTechnique = function(techniqueId) {
+  const before = this.techniques.length;
+  this.techniques = this.techniques.filter(id => id.toString() !== techniqueId.toString());
+  return this.techniques.length < before;
+};
+
+module.exports = mongoose.model('Control', controlSchema);
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+
+// Normalizar nombres para evitar duplicados por mayúsculas o espacios ("Process Creation" = "process  creation")
+const normalizeKey = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const dataComponentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del componente es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  key: {
+    type: String
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'La descripción no puede exceder 2000 caracteres']
+  }
+});
+
+dataComponentSchema.pre('validate', function(next) {
+  this.key = normalizeKey(this.name);
+  next();
+});
+
+const dataSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la fuente de datos es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  key: {
+    type: String,
+    unique: true
+  },
+  mitreid: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [5000, 'La descripción no puede exceder 5000 caracteres']
+  },
+  platforms: [{
+    type: String,
+    trim: true
+  }],
+  collectionLayers: [{
+    type: String,
+    trim: true
+  }],
+  components: [dataComponentSchema],
+  stixId: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+dataSourceSchema.index({ name: 1 });
+dataSourceSchema.index({ isActive: 1 });
+
+// Virtual para contar componentes
+dataSourceSchema.virtual('componentsCount').get(function() {
+  return (this.components || []).length;
+});
+
+// Generar la clave normalizada y rechazar componentes duplicados
+dataSourceSchema.pre('validate', function(next) {
+  this.key = normalizeKey(this.name);
+
+  const keys = this.components.map(component => normalizeKey(component.name));
+  const duplicated = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicated) {
+    this.invalidate('components', `El componente "${duplicated}" está duplicado`);
+  }
+
+  next();
+});
+
+// Método para buscar un componente por nombre normalizado
+dataSourceSchema.methods.findComponent = function(name) {
+  const key = normalizeKey(name);
+  return this.components.find(component => component.key === key || normalizeKey(component.name) === key);
+};
+
+// Método para añadir un componente si no existe; devuelve el componente
+dataSourceSchema.methods.addComponent = function(name, description = '') {
+  const existing = this.findComponent(name);
+  if (existing) return existing;
+
+  this.components.push({ name, description });
+  return this.components[this.components.length - 1];
+};
+
+// Separar una etiqueta de ATT&CK "Fuente: Componente" en sus partes
+// Las etiquetas sin componente (formato antiguo) usan el mismo nombre para ambos
+dataSourceSchema.statics.parseLabel = function(label) {
+  const text = String(label || '').trim();
+  const separator = text.indexOf(':');
+
+  if (separator === -1) {
+    return { source: text, component: text };
+  }
+
+  return {
+    source: text.slice(0, separator).trim(),
+    component: text.slice(separator + 1).trim() || text.slice(0, separator).trim()
+  };
+};
+
+// Resolver referencias a componentes ({ dataSource, component } o etiquetas "Fuente: Componente")
+// Con create = true las fuentes y componentes inexistentes se añaden al catálogo
+dataSourceSchema.statics.resolveComponents = async function(refs, { create = false, userId } = {}) {
+  const list = Array.isArray(refs) ? refs : [refs];
+  const sources = new Map();
+  const resolved = [];
+  const missing = [];
+
+  const loadSource = async (query, cacheKey) => {
+    if (!sources.has(cacheKey)) {
+      sources.set(cacheKey, await this.findOne(query));
+    }
+    return sources.get(cacheKey);
+  };
+
+  for (const ref of list) {
+    if (!ref) continue;
+
+    let source;
+    let component;
+
+    if (typeof ref === 'object' && ref.dataSource) {
+      if (!mongoose.Types.ObjectId.isValid(ref.dataSource)) {
+        missing.push(ref);
+        continue;
+      }
+      source = await loadSource({ _id: ref.dataSource }, String(ref.dataSource));
+      component = source && (mongoose.Types.ObjectId.isValid(ref.component)
+        ? source.components.id(ref.component)
+        : source.findComponent(ref.component));
+    } else {
+      const label = typeof ref === 'object' ? ref.name : ref;
+      const parsed = this.parseLabel(label);
+      if (!parsed.source) continue;
+
+      source = await loadSource({ key: normalizeKey(parsed.source) }, normalizeKey(parsed.source));
+      if (!source && create) {
+        source = new this({ name: parsed.source, createdBy: userId });
+        sources.set(normalizeKey(parsed.source), source);
+      }
+
+      component = source && source.findComponent(parsed.component);
+      if (!component && source && create) {
+        component = source.addComponent(parsed.component);
+      }
+    }
+
+    if (!source || !component) {
+      missing.push(ref);
+      continue;
+    }
+
+    const alreadyResolved = resolved.some(item =>
+      item.dataSource.toString() === source._id.toString() &&
+      item.component.toString() === component._id.toString());
+    if (!alreadyResolved) {
+      resolved.push({ dataSource: source._id, component: component._id });
+    }
+  }
+
+  // Guardar solo las fuentes creadas o ampliadas durante la resolución
+  if (create) {
+    for (const source of sources.values()) {
+      if (source && (source.isNew || source.isModified())) {
+        if (!source.isNew) source.lastModifiedBy = userId;
+        await source.save();
+      }
+    }
+  }
+
+  return { resolved, missing };
+};
+
+dataSourceSchema.statics.normalizeKey = normalizeKey;
+
+module.exports = mongoose.model('DataSource', dataSourceSchema);
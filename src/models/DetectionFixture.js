@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const detectionFixtureSchema = new mongoose.Schema({
+  technique: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Technique',
+    required: [true, 'La técnica es requerida']
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre del log de ejemplo es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'La descripción no puede exceder 2000 caracteres']
+  },
+  // Resultado esperado: el log contiene actividad maliciosa (match) o es benigno (no-match)
+  expectedResult: {
+    type: String,
+    enum: ['match', 'no-match'],
+    default: 'match'
+  },
+  fileLocation: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String
+  },
+  eventsCount: {
+    type: Number,
+    default: 0
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+detectionFixtureSchema.index({ technique: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DetectionFixture', detectionFixtureSchema);
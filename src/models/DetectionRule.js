@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { RULE_STATUSES, RULE_LEVELS, parseSigmaRule, setRuleStatus } = require('../utils/sigma');
+
+const detectionRuleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [256, 'El título no puede exceder 256 caracteres']
+  },
+  // Contenido original de la regla Sigma en YAML
+  content: {
+    type: String,
+    required: [true, 'El contenido YAML de la regla es requerido'],
+    maxlength: [100000, 'La regla no puede exceder 100000 caracteres']
+  },
+  format: {
+    type: String,
+    enum: ['sigma'],
+    default: 'sigma'
+  },
+  sigmaId: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: RULE_STATUSES,
+    default: 'experimental'
+  },
+  level: {
+    type: String,
+    enum: RULE_LEVELS,
+    default: 'medium'
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  author: {
+    type: String,
+    default: ''
+  },
+  logsource: {
+    product: { type: String },
+    category: { type: String },
+    service: { type: String }
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  techniques: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Technique'
+  }],
+  // Resultado de la última conversión a consultas de SIEM
+  convertedAt: {
+    type: Date
+  },
+  conversionErrors: [{
+    _id: false,
+    backend: { type: String },
+    message: { type: String }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+detectionRuleSchema.index({ techniques: 1 });
+detectionRuleSchema.index({ status: 1 });
+detectionRuleSchema.index({ level: 1 });
+detectionRuleSchema.index({ sigmaId: 1 }, { sparse: true });
+detectionRuleSchema.index({ title: 'text', description: 'text', tags: 'text' });
+
+// Validar la regla Sigma y sincronizar los campos derivados del YAML
+// El estado del recurso es la fuente de verdad y se escribe de vuelta en el YAML
+detectionRuleSchema.pre('validate', function(next) {
+  if (!this.content || (!this.isModified('content') && !this.isModified('status'))) {
+    return next();
+  }
+
+  const { rule, errors } = parseSigmaRule(this.content);
+
+  if (errors.length > 0) {
+    this.invalidate('content', `Regla Sigma inválida: ${errors.join('; ')}`);
+    return next();
+  }
+
+  if (this.isNew && !this.isModified('status') && rule.status) {
+    this.status = rule.status;
+  }
+  if (rule.status !== this.status) {
+    this.content = setRuleStatus(this.content, this.status);
+  }
+
+  this.title = rule.title;
+  this.sigmaId = rule.id;
+  this.level = rule.level || 'medium';
+  this.description = rule.description || '';
+  this.author = rule.author || '';
+  this.logsource = {
+    product: rule.logsource.product,
+    category: rule.logsource.category,
+    service: rule.logsource.service
+  };
+  this.tags = (rule.tags || []).map(tag => String(tag));
+
+  next();
+});
+
+// Método para obtener la regla analizada como objeto
+detectionRuleSchema.methods.getParsedRule = function() {
+  return parseSigmaRule(this.content).rule;
+};
+
+module.exports = mongoose.model('DetectionRule', detectionRuleSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const EVIDENCE_REVIEW_STATUSES = ['Pending', 'Accepted', 'Rejected'];
+
+const evidenceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'El título de la evidencia es requerido'],
+    trim: true,
+    maxlength: [200, 'El título no puede exceder 200 caracteres']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'La descripción no puede exceder 2000 caracteres']
+  },
+  // Evidencia de una técnica o de un control del Anexo A (al menos uno)
+  technique: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Technique'
+  },
+  control: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Control'
+  },
+  // Archivo guardado fuera de /uploads: solo se descarga con autenticación
+  fileLocation: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String
+  },
+  mimetype: {
+    type: String
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  collectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Quién recopiló la evidencia es requerido']
+  },
+  collectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Periodo de validez; sin validUntil la evidencia no caduca
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  reviewStatus: {
+    type: String,
+    enum: {
+      values: EVIDENCE_REVIEW_STATUSES,
+      message: `El estado de revisión debe ser uno de: ${EVIDENCE_REVIEW_STATUSES.join(', ')}`
+    },
+    default: 'Pending'
+  },
+  reviewNotes: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Las notas de revisión no pueden exceder 2000 caracteres']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+evidenceSchema.index({ technique: 1, createdAt: -1 });
+evidenceSchema.index({ control: 1, createdAt: -1 });
+evidenceSchema.index({ validUntil: 1 });
+evidenceSchema.index({ reviewStatus: 1 });
+
+// Virtual para saber si la evidencia vale hoy (aceptada y dentro de su periodo de validez)
+evidenceSchema.virtual('isValid').get(function() {
+  const now = new Date();
+  return this.reviewStatus === 'Accepted' &&
+    (!this.validFrom || this.validFrom <= now) &&
+    (!this.validUntil || this.validUntil >= now);
+});
+
+// Virtual para los días que faltan hasta la caducidad (negativo si ya caducó)
+evidenceSchema.virtual('daysUntilExpiry').get(function() {
+  if (!this.validUntil) return null;
+  return Math.ceil((this.validUntil - Date.now()) / (24 * 60 * 60 * 1000));
+});
+
+// Validar asociación y periodo de validez
+evidenceSchema.pre('validate', function(next) {
+  if (!this.technique && !this.control) {
+    this.invalidate('technique', 'La evidencia debe asociarse a una técnica o a un control');
+  }
+
+  if (!this.validFrom) {
+    this.validFrom = this.collectedAt;
+  }
+
+  if (this.validUntil && this.validFrom && this.validUntil < this.validFrom) {
+    this.invalidate('validUntil', 'La fecha de caducidad no puede ser anterior al inicio de la validez');
+  }
+
+  next();
+});
+
+// Método estático con el filtro de evidencias válidas en una fecha
+evidenceSchema.statics.validFilter = function(date = new Date()) {
+  return {
+    reviewStatus: 'Accepted',
+    validFrom: { $lte: date },
+    $or: [{ validUntil: null }, { validUntil: { $gte: date } }]
+  };
+};
+
+evidenceSchema.statics.REVIEW_STATUSES = EVIDENCE_REVIEW_STATUSES;
+
+module.exports = mongoose.model('Evidence', evidenceSchema);
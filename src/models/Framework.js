@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const FrameworkRequirement = require('./FrameworkRequirement');
+
+const frameworkSchema = new mongoose.Schema({
+  // Clave estable del marco (p.ej. "nist-csf"); cada versión es un documento distinto
+  key: {
+    type: String,
+    required: [true, 'La clave del marco es requerida'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'La clave solo puede contener letras minúsculas, números y guiones']
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre del marco es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  version: {
+    type: String,
+    required: [true, 'La versión del marco es requerida'],
+    trim: true
+  },
+  publisher: {
+    type: String,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Nombre de cada nivel del árbol de requisitos (p.ej. Function, Category, Subcategory)
+  levels: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+frameworkSchema.index({ key: 1, version: 1 }, { unique: true });
+
+// Método estático para buscar por ObjectId o por clave (la versión más reciente si no se indica)
+frameworkSchema.statics.findByIdentifier = function(identifier, version) {
+  if (mongoose.Types.ObjectId.isValid(identifier) && /^[a-f\d]{24}$/i.test(identifier)) {
+    return this.findById(identifier);
+  }
+
+  const filters = { key: String(identifier).toLowerCase(), isActive: true };
+  if (version) filters.version = String(version);
+
+  return this.findOne(filters).sort({ createdAt: -1 });
+};
+
+// Método estático para crear o actualizar un marco y su árbol sin tocar los vínculos con técnicas
+// El catálogo tiene { key, name, version, publisher, levels, requirements: [{ identifier, name, parent, level, order }] }
+frameworkSchema.statics.syncCatalogue = async function(catalogue) {
+  const framework = await this.findOneAndUpdate(
+    { key: catalogue.key, version: catalogue.version },
+    {
+      $set: {
+        name: catalogue.name,
+        publisher: catalogue.publisher || '',
+        description: catalogue.description || '',
+        levels: catalogue.levels || []
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const result = await FrameworkRequirement.bulkWrite(catalogue.requirements.map(requirement => ({
+    updateOne: {
+      filter: { framework: framework._id, identifier: requirement.identifier },
+      update: {
+        $set: {
+          name: requirement.name,
+          description: requirement.description || '',
+          level: requirement.level,
+          order: requirement.order
+        }
+      },
+      upsert: true,
+      // bulkWrite no aplica los valores por defecto (isActive, techniques) a los documentos nuevos
+      setDefaultsOnInsert: true
+    }
+  })));
+
+  // Requisitos sembrados antes sin valores por defecto quedaban fuera de las consultas por isActive
+  await FrameworkRequirement.updateMany(
+    { framework: framework._id, isActive: { $exists: false } },
+    { $set: { isActive: true } }
+  );
+
+  // Segunda pasada: enlazar cada requisito con su padre una vez existen todos
+  const requirements = await FrameworkRequirement.find({ framework: framework._id }).select('identifier');
+  const idByIdentifier = new Map(requirements.map(requirement => [requirement.identifier, requirement._id]));
+
+  await FrameworkRequirement.bulkWrite(catalogue.requirements.map(requirement => ({
+    updateOne: {
+      filter: { framework: framework._id, identifier: requirement.identifier },
+      update: { $set: { parent: requirement.parent ? idByIdentifier.get(requirement.parent) : null } }
+    }
+  })));
+
+  return {
+    framework: `${framework.name} ${framework.version}`,
+    total: catalogue.requirements.length,
+    created: result.upsertedCount,
+    updated: result.modifiedCount
+  };
+};
+
+module.exports = mongoose.model('Framework', frameworkSchema);
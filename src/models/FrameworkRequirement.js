@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const frameworkRequirementSchema = new mongoose.Schema({
+  framework: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Framework',
+    required: [true, 'El marco de referencia es requerido']
+  },
+  // Identificador dentro del marco (p.ej. "PR.AA-05" o "6.3")
+  identifier: {
+    type: String,
+    required: [true, 'El identificador del requisito es requerido'],
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre del requisito es requerido'],
+    trim: true,
+    maxlength: [500, 'El nombre no puede exceder 500 caracteres']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Requisito padre en el árbol del marco (null en el primer nivel)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FrameworkRequirement',
+    default: null
+  },
+  // Profundidad en el árbol; el nombre del nivel está en Framework.levels
+  level: {
+    type: Number,
+    default: 0
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Técnicas que aborda este requisito (relación muchos a muchos)
+  techniques: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Technique'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+frameworkRequirementSchema.index({ framework: 1, identifier: 1 }, { unique: true });
+frameworkRequirementSchema.index({ framework: 1, order: 1 });
+frameworkRequirementSchema.index({ parent: 1 });
+frameworkRequirementSchema.index({ techniques: 1 });
+
+// Virtual para contar técnicas abordadas
+frameworkRequirementSchema.virtual('techniquesCount').get(function() {
+  return (this.techniques || []).length;
+});
+
+// Método para vincular técnicas sin duplicados; devuelve los IDs añadidos
+frameworkRequirementSchema.methods.linkTechniques = function(techniqueIds) {
+  const current = new Set(this.techniques.map(id => id.toString()));
+  const added = techniqueIds.filter(id => !current.has(id.toString()));
+
+  this.techniques.push(...added);
+  return added;
+};
+
+// Método para desvincular una técnica; devuelve true si estaba vinculada
+frameworkRequirementSchema.methods.unlinkTechnique = function(techniqueId) {
+  const before = this.techniques.length;
+  this.techniques = this.techniques.filter(id => id.toString() !== techniqueId.toString());
+  return this.techniques.length < before;
+};
+
+module.exports = mongoose.model('FrameworkRequirement', frameworkRequirementSchema);
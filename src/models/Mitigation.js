@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const mitigationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la mitigación es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  mitreid: {
+    type: String,
+    unique: true,
+    sparse: true, // Permite mitigaciones propias sin ID de MITRE
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'La descripción es requerida'],
+    maxlength: [5000, 'La descripción no puede exceder 5000 caracteres']
+  },
+  // Técnicas que cubre esta mitigación (relación muchos a muchos)
+  techniques: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Technique'
+  }],
+  references: [{
+    name: { type: String },
+    url: { type: String },
+    description: { type: String, default: '' }
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  stixId: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+mitigationSchema.index({ name: 1 });
+mitigationSchema.index({ mitreid: 1 });
+mitigationSchema.index({ techniques: 1 });
+mitigationSchema.index({ isActive: 1 });
+mitigationSchema.index({ name: 'text', description: 'text', mitreid: 'text' });
+
+// Virtual para contar técnicas cubiertas
+mitigationSchema.virtual('techniquesCount').get(function() {
+  return (this.techniques || []).length;
+});
+
+// Método para vincular técnicas sin duplicados; devuelve los IDs añadidos
+mitigationSchema.methods.linkTechniques = function(techniqueIds) {
+  const current = new Set(this.techniques.map(id => id.toString()));
+  const added = techniqueIds.filter(id => !current.has(id.toString()));
+
+  this.techniques.push(...added);
+  return added;
+};
+
+// Método para desvincular una técnica; devuelve true si estaba vinculada
+mitigationSchema.methods.unlinkTechnique = function(techniqueId) {
+  const before = this.techniques.length;
+  this.techniques = this.techniques.filter(id => id.toString() !== techniqueId.toString());
+  return this.techniques.length < before;
+};
+
+module.exports = mongoose.model('Mitigation', mitigationSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const {
+  RISK_LEVELS,
+  RISK_TREATMENTS,
+  getRiskMatrix,
+  evaluateRisk
+} = require('../config/riskMatrix');
+
+// Probabilidad o impacto dentro de la escala configurada en la matriz de riesgos
+const scaleField = (axis, label) => ({
+  type: Number,
+  validate: {
+    validator: (value) => value === undefined || value === null ||
+      (Number.isInteger(value) && value >= 1 && value <= getRiskMatrix()[axis].length),
+    message: () => `${label} debe ser un entero entre 1 y ${getRiskMatrix()[axis].length}`
+  }
+});
+
+const ratingSchema = new mongoose.Schema({
+  likelihood: scaleField('likelihood', 'La probabilidad'),
+  impact: scaleField('impact', 'El impacto'),
+  // Calculados a partir de la matriz de riesgos; no se aceptan desde la API
+  score: { type: Number },
+  level: { type: String, enum: RISK_LEVELS }
+}, { _id: false });
+
+const riskAssessmentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'El título del riesgo es requerido'],
+    trim: true,
+    maxlength: [200, 'El título no puede exceder 200 caracteres']
+  },
+  // Riesgo asociado a una técnica o a un escenario sobre un activo (o ambos)
+  technique: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Technique'
+  },
+  asset: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El activo no puede exceder 200 caracteres']
+  },
+  scenario: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'El escenario no puede exceder 2000 caracteres']
+  },
+  inherent: {
+    type: ratingSchema,
+    required: [true, 'La evaluación del riesgo inherente es requerida']
+  },
+  // Riesgo residual tras las mitigaciones; si no se evalúa es igual al inherente
+  residual: {
+    type: ratingSchema
+  },
+  mitigations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mitigation'
+  }],
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El responsable del riesgo es requerido']
+  },
+  treatment: {
+    type: String,
+    enum: {
+      values: RISK_TREATMENTS,
+      message: `El tratamiento debe ser uno de: ${RISK_TREATMENTS.join(', ')}`
+    },
+    required: [true, 'La decisión de tratamiento es requerida']
+  },
+  treatmentNotes: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Las notas de tratamiento no pueden exceder 2000 caracteres']
+  },
+  dueDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'In Treatment', 'Closed'],
+    default: 'Open'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+riskAssessmentSchema.index({ technique: 1 });
+riskAssessmentSchema.index({ owner: 1 });
+riskAssessmentSchema.index({ 'residual.score': -1 });
+riskAssessmentSchema.index({ dueDate: 1 });
+riskAssessmentSchema.index({ isActive: 1 });
+
+// Virtual para saber si el tratamiento está vencido
+riskAssessmentSchema.virtual('isOverdue').get(function() {
+  return Boolean(this.dueDate && this.status !== 'Closed' && this.dueDate < new Date());
+});
+
+// Calcular puntuaciones y niveles desde la matriz antes de validar
+riskAssessmentSchema.pre('validate', function(next) {
+  if (!this.technique && !this.asset) {
+    this.invalidate('asset', 'Indica una técnica o un activo para el escenario de riesgo');
+  }
+
+  const matrix = getRiskMatrix();
+  const rate = (rating) => {
+    // Los valores fuera de escala los rechaza la validación de cada campo
+    const inScale = (value, axis) => Number.isInteger(value) && value >= 1 && value <= matrix[axis].length;
+    if (!rating || !inScale(rating.likelihood, 'likelihood') || !inScale(rating.impact, 'impact')) return;
+    const { score, level } = evaluateRisk(rating.likelihood, rating.impact, matrix);
+    rating.score = score;
+    rating.level = level;
+  };
+
+  if (this.inherent) {
+    if (!this.inherent.likelihood || !this.inherent.impact) {
+      this.invalidate('inherent', 'El riesgo inherente necesita probabilidad e impacto');
+    }
+    rate(this.inherent);
+  }
+
+  if (!this.residual || !this.residual.likelihood || !this.residual.impact) {
+    this.residual = this.inherent
+      ? { likelihood: this.inherent.likelihood, impact: this.inherent.impact }
+      : undefined;
+  }
+  rate(this.residual);
+
+  if (this.inherent && this.residual && this.residual.score > this.inherent.score) {
+    this.invalidate('residual', 'El riesgo residual no puede superar al inherente');
+  }
+
+  next();
+});
+
+// Nivel de riesgo más alto (residual) entre varias evaluaciones
+riskAssessmentSchema.statics.highestLevel = function(assessments) {
+  return assessments.reduce((highest, assessment) => {
+    const level = assessment.residual && assessment.residual.level;
+    return RISK_LEVELS.indexOf(level) > RISK_LEVELS.indexOf(highest) ? level : highest;
+  }, null);
+};
+
+module.exports = mongoose.model('RiskAssessment', riskAssessmentSchema);
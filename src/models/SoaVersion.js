@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Versión emitida de la Declaración de Aplicabilidad; no se modifica una vez guardada
+const soaVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  standard: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Las notas no pueden exceder 2000 caracteres']
+  },
+  summary: {
+    total: Number,
+    applicable: Number,
+    notApplicable: Number,
+    undecided: Number,
+    byImplementationStatus: { type: mongoose.Schema.Types.Mixed }
+  },
+  entries: [{
+    _id: false,
+    controlId: String,
+    name: String,
+    theme: String,
+    applicable: Boolean,
+    justification: String,
+    implementationStatus: String,
+    techniques: [{
+      _id: false,
+      mitreid: String,
+      name: String,
+      riskLevel: String,
+      status: String
+    }]
+  }]
+}, {
+  timestamps: true
+});
+
+// Índices
+soaVersionSchema.index({ issuedAt: -1 });
+
+module.exports = mongoose.model('SoaVersion', soaVersionSchema);
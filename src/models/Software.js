@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const usesTechniques = require('./plugins/usesTechniques');
+
+const softwareSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del software es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  mitreid: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  description: {
+    type: String,
+    required: [true, 'La descripción es requerida'],
+    maxlength: [5000, 'La descripción no puede exceder 5000 caracteres']
+  },
+  softwareType: {
+    type: String,
+    enum: ['malware', 'tool'],
+    default: 'tool'
+  },
+  platforms: [{
+    type: String,
+    trim: true
+  }],
+  references: [{
+    name: { type: String },
+    url: { type: String },
+    description: { type: String, default: '' }
+  }],
+  stixId: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Relación "uses" con técnicas
+softwareSchema.plugin(usesTechniques);
+
+// Índices
+softwareSchema.index({ name: 1 });
+softwareSchema.index({ mitreid: 1 });
+softwareSchema.index({ aliases: 1 });
+softwareSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('Software', softwareSchema);
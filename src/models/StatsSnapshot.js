@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Fotografía periódica de las estadísticas y la cobertura para mostrar su evolución
+const statsSnapshotSchema = new mongoose.Schema({
+  takenAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  totalTechniques: {
+    type: Number,
+    default: 0
+  },
+  platformDistribution: [{
+    _id: false,
+    name: String,
+    count: Number
+  }],
+  tacticDistribution: [{
+    _id: false,
+    name: String,
+    count: Number
+  }],
+  categoryDistribution: [{
+    _id: false,
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+    name: String,
+    count: Number
+  }],
+  // Salida de computeCoverageStats sin la lista de técnicas sin cubrir
+  coverage: {
+    overall: { type: mongoose.Schema.Types.Mixed },
+    byTactic: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    byRiskLevel: { type: [mongoose.Schema.Types.Mixed], default: [] }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+statsSnapshotSchema.index({ takenAt: -1 });
+
+module.exports = mongoose.model('StatsSnapshot', statsSnapshotSchema);
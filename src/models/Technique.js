@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normalizeValue, diffValues, setPath } = require('../utils/diff');
 
 const techniqueSchema = new mongoose.Schema({
   name: {
@@ -24,6 +25,12 @@ const techniqueSchema = new mongoose.Schema({
     ref: 'Category'
     // No requerido para mayor flexibilidad
   },
+  // Técnica padre para sub-técnicas (p.ej. T1059.001 bajo T1059)
+  parentTechnique: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Technique',
+    default: null
+  },
   fileLocation: {
     type: String,
     default: null,
@@ -48,6 +55,12 @@ const techniqueSchema = new mongoose.Schema({
     name: { type: String },
     description: { type: String, default: '' }
   }],
+  // Componentes del catálogo de fuentes de datos que permiten detectar la técnica
+  dataComponents: [{
+    _id: false,
+    dataSource: { type: mongoose.Schema.Types.ObjectId, ref: 'DataSource', required: true },
+    component: { type: mongoose.Schema.Types.ObjectId, required: true }
+  }],
   mitigation: {
     description: { type: String, default: '' },
     techniques: [{ type: String }]
@@ -57,7 +70,10 @@ const techniqueSchema = new mongoose.Schema({
     queries: [{ 
       platform: String, 
       query: String, 
-      description: String 
+      description: String,
+      // Consultas generadas desde una regla Sigma (se regeneran al cambiar la regla)
+      backend: String,
+      detectionRule: { type: mongoose.Schema.Types.ObjectId, ref: 'DetectionRule' }
     }]
   },
   references: [{
@@ -76,6 +92,14 @@ const techniqueSchema = new mongoose.Schema({
   revisionHistory: [{
     version: { type: String },
     changes: { type: String },
+    action: { type: String }, // Origen de la revisión (update, submit, restore, stix-import...)
+    comment: { type: String },
+    diff: [{
+      _id: false,
+      field: { type: String },
+      oldValue: { type: mongoose.Schema.Types.Mixed },
+      newValue: { type: mongoose.Schema.Types.Mixed }
+    }],
     changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     changedAt: { type: Date, default: Date.now }
   }],
@@ -83,6 +107,29 @@ const techniqueSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Papelera: fecha y usuario de la eliminación lógica
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Último resultado de las pruebas de detección contra logs de ejemplo
+  detectionVerification: {
+    status: { type: String, enum: ['passed', 'failed', 'outdated'] },
+    verifiedAt: { type: Date },
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    summary: {
+      queries: { type: Number, default: 0 },
+      evaluated: { type: Number, default: 0 },
+      passed: { type: Number, default: 0 },
+      unsupported: { type: Number, default: 0 },
+      fixtures: { type: Number, default: 0 }
+    },
+    results: [mongoose.Schema.Types.Mixed]
+  },
   version: {
     type: String,
     default: '1.0'
@@ -110,6 +157,21 @@ const techniqueSchema = new mongoose.Schema({
     type: String,
     enum: ['Draft', 'Review', 'Approved', 'Deprecated'],
     default: 'Draft'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  // Identificadores de origen para técnicas importadas desde STIX
+  stixId: {
+    type: String,
+    trim: true
+  },
+  stixModified: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -121,13 +183,17 @@ const techniqueSchema = new mongoose.Schema({
 techniqueSchema.index({ name: 1 });
 techniqueSchema.index({ mitreid: 1 });
 techniqueSchema.index({ category: 1 });
+techniqueSchema.index({ parentTechnique: 1 });
 techniqueSchema.index({ platforms: 1 });
 techniqueSchema.index({ tactics: 1 });
 techniqueSchema.index({ tags: 1 });
 techniqueSchema.index({ isActive: 1 });
+techniqueSchema.index({ deletedAt: 1 });
 techniqueSchema.index({ status: 1 });
 techniqueSchema.index({ riskLevel: 1 });
 techniqueSchema.index({ createdAt: -1 });
+techniqueSchema.index({ stixId: 1 }, { sparse: true });
+techniqueSchema.index({ 'dataComponents.dataSource': 1 });
 
 // Índice de texto para búsqueda (expandido)
 techniqueSchema.index({
@@ -152,6 +218,12 @@ techniqueSchema.pre('save', async function(next) {
     if (!this.isNew && this.modifiedBy) {
       this.lastModifiedBy = this.modifiedBy;
     }
+
+    // Una verificación deja de ser válida cuando cambian las consultas
+    if (!this.isNew && this.isModified('detection.queries') &&
+        this.detectionVerification && ['passed', 'failed'].includes(this.detectionVerification.status)) {
+      this.detectionVerification.status = 'outdated';
+    }
     
     next();
   } catch (error) {
@@ -159,6 +231,64 @@ techniqueSchema.pre('save', async function(next) {
   }
 });
 
+// Virtual para contar sub-técnicas activas
+techniqueSchema.virtual('subTechniquesCount', {
+  ref: 'Technique',
+  localField: '_id',
+  foreignField: 'parentTechnique',
+  count: true,
+  match: { isActive: true }
+});
+
+// Virtual para obtener las mitigaciones que cubren esta técnica
+techniqueSchema.virtual('mitigations', {
+  ref: 'Mitigation',
+  localField: '_id',
+  foreignField: 'techniques',
+  match: { isActive: true }
+});
+
+// Virtual para obtener los controles ISO 27001 que abordan esta técnica
+techniqueSchema.virtual('controls', {
+  ref: 'Control',
+  localField: '_id',
+  foreignField: 'techniques',
+  match: { isActive: true },
+  options: { sort: { order: 1 } }
+});
+
+// Virtual para obtener las evaluaciones de riesgo de esta técnica (derivan su riskLevel)
+techniqueSchema.virtual('riskAssessments', {
+  ref: 'RiskAssessment',
+  localField: '_id',
+  foreignField: 'technique',
+  match: { isActive: true },
+  options: { sort: { 'residual.score': -1 } }
+});
+
+// Virtual para obtener las evidencias de auditoría de esta técnica
+techniqueSchema.virtual('evidence', {
+  ref: 'Evidence',
+  localField: '_id',
+  foreignField: 'technique',
+  options: { sort: { collectedAt: -1 } }
+});
+
+// Virtuales para obtener los grupos y software que usan esta técnica
+techniqueSchema.virtual('usedByGroups', {
+  ref: 'Group',
+  localField: '_id',
+  foreignField: 'techniques.technique',
+  match: { isActive: true }
+});
+
+techniqueSchema.virtual('usedBySoftware', {
+  ref: 'Software',
+  localField: '_id',
+  foreignField: 'techniques.technique',
+  match: { isActive: true }
+});
+
 // Virtual para obtener URL completa de la imagen
 techniqueSchema.virtual('imageUrl').get(function() {
   if (this.image) {
@@ -177,9 +307,77 @@ techniqueSchema.virtual('fileUrl').get(function() {
   return null;
 });
 
-// Método para añadir una nueva revisión al historial (simplificado)
-techniqueSchema.methods.addRevision = function(changes, userId) {
+// Campos que no forman parte del contenido versionado
+const UNVERSIONED_FIELDS = [
+  '_id', '__v', 'id', 'revisionHistory', 'version',
+  'createdBy', 'lastModifiedBy', 'createdAt', 'updatedAt', 'detectionVerification'
+];
+
+// Campos que no se restauran desde versiones anteriores (flujo de revisión, papelera y archivos)
+const RESTORE_EXCLUDED_FIELDS = [
+  'status', 'approvedBy', 'approvedAt', 'isActive', 'deletedAt', 'deletedBy', 'image', 'fileLocation'
+];
+
+const getVersionedFields = (schema) => Array.from(new Set(
+  Object.keys(schema.paths).map(path => path.split('.')[0])
+)).filter(field => !UNVERSIONED_FIELDS.includes(field));
+
+// Campos de contenido editables directamente; el resto los gestionan el sistema, el flujo de revisión o la subida de archivos
+techniqueSchema.statics.getEditableFields = function() {
+  return getVersionedFields(this.schema).filter(field => !RESTORE_EXCLUDED_FIELDS.includes(field));
+};
+
+// Método para obtener los valores versionados normalizados
+techniqueSchema.methods.getVersionedValues = function() {
+  const data = this.toObject({ depopulate: true, virtuals: false, versionKey: false });
+
+  return getVersionedFields(this.schema).reduce((acc, field) => {
+    acc[field] = normalizeValue(data[field]);
+    return acc;
+  }, {});
+};
+
+// Método para obtener los valores versionados de la última carga o guardado
+// Al cargar solo se guarda el documento de MongoDB; los valores se calculan la primera vez que se necesitan
+techniqueSchema.methods.getOriginalValues = function() {
+  if (!this.$locals.originalValues && this.$locals.initData) {
+    this.$locals.originalValues = this.constructor.hydrate(this.$locals.initData, this.$__.selected).getVersionedValues();
+    this.$locals.initData = null;
+  }
+  return this.$locals.originalValues;
+};
+
+// Método para calcular los cambios pendientes desde la última carga o guardado
+techniqueSchema.methods.getPendingDiff = function() {
+  const originalValues = this.getOriginalValues();
+  if (!originalValues) return [];
+  return diffValues(originalValues, this.getVersionedValues());
+};
+
+// Conservar el documento tal como llega de MongoDB (mongoose no lo modifica al hidratar)
+techniqueSchema.pre('init', function(data) {
+  this.$locals.initData = data;
+});
+
+techniqueSchema.post('save', function() {
+  this.$locals.initData = null;
+  this.$locals.originalValues = this.getVersionedValues();
+});
+
+// Método para obtener el estado de detección de la técnica
+// none: sin información, documented: solo descripción, implemented: con consultas
+techniqueSchema.methods.getDetectionStatus = function() {
+  const detection = this.detection || {};
+  if ((detection.queries || []).some(q => q.query)) return 'implemented';
+  if (detection.description && detection.description.trim()) return 'documented';
+  return 'none';
+};
+
+// Método para añadir una nueva revisión al historial con el diff estructurado
+techniqueSchema.methods.addRevision = function(changes, userId, details = {}) {
   if (!this.version) this.version = '1.0';
+
+  const diff = this.getPendingDiff();
   
   const versionParts = this.version.split('.').map(Number);
   if (versionParts.length < 2) versionParts.push(0);
@@ -188,15 +386,256 @@ techniqueSchema.methods.addRevision = function(changes, userId) {
   
   this.revisionHistory.push({
     version: newVersion,
-    changes: changes || 'Cambios no especificados',
+    changes: changes || (diff.length > 0
+      ? `Campos modificados: ${diff.map(d => d.field).join(', ')}`
+      : 'Cambios no especificados'),
+    ...details,
+    diff,
     changedBy: userId,
     changedAt: new Date()
   });
   
   this.version = newVersion;
   if (userId) this.lastModifiedBy = userId;
+
+  // Las siguientes revisiones antes de guardar solo registran cambios nuevos
+  if (this.$locals.originalValues) {
+    this.$locals.originalValues = this.getVersionedValues();
+  }
+};
+
+// Método para reconstruir el contenido de la técnica en una versión dada
+// Se parte del estado actual y se deshacen los diffs de las revisiones posteriores
+techniqueSchema.methods.getSnapshot = function(version) {
+  const history = this.revisionHistory || [];
+  const index = history.findIndex(revision => revision.version === version);
+
+  // La versión 1.0 corresponde al estado anterior a la primera revisión
+  let later;
+  if (index !== -1) {
+    later = history.slice(index + 1);
+  } else if (version === '1.0') {
+    later = history;
+  } else {
+    return null;
+  }
+
+  const snapshot = this.getVersionedValues();
+  let complete = true;
+
+  later.slice().reverse().forEach(revision => {
+    // Las revisiones anteriores al historial estructurado no tienen acción ni diff
+    if (!revision.action) {
+      complete = false;
+      return;
+    }
+
+    (revision.diff || []).slice().reverse().forEach(change => {
+      setPath(snapshot, change.field, change.oldValue === undefined ? null : change.oldValue);
+    });
+  });
+
+  return {
+    version,
+    revision: index === -1 ? null : history[index],
+    complete,
+    snapshot
+  };
+};
+
+// Método para restaurar el contenido de una versión anterior
+// excludeFields: campos adicionales que se conservan con su valor actual (p.ej. riskLevel derivado)
+techniqueSchema.methods.restoreVersion = function(version, userId, { excludeFields = [] } = {}) {
+  const result = this.getSnapshot(version);
+  if (!result) return null;
+
+  const excluded = [...RESTORE_EXCLUDED_FIELDS, ...excludeFields];
+  const changes = diffValues(this.getVersionedValues(), result.snapshot)
+    .filter(change => !excluded.includes(change.field.split('.')[0]));
+
+  changes.forEach(change => {
+    this.set(change.field, change.newValue === null ? undefined : change.newValue);
+  });
+
+  let reopened = false;
+  if (changes.length > 0) {
+    reopened = this.reopenIfApproved();
+    this.addRevision(`Restaurado a la versión ${version}`, userId, { action: 'restore' });
+  }
+
+  return { ...result, restoredFields: changes.map(change => change.field), reopened };
+};
+
+// Método para mover la técnica a la papelera (eliminación lógica)
+techniqueSchema.methods.moveToTrash = function(userId) {
+  this.isActive = false;
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  this.addRevision('Movida a la papelera', userId, { action: 'trash' });
+};
+
+// Método para restaurar la técnica desde la papelera
+techniqueSchema.methods.restoreFromTrash = function(userId) {
+  this.isActive = true;
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  this.addRevision('Restaurada desde la papelera', userId, { action: 'untrash' });
+};
+
+// Flujo de revisión: acción -> estados de origen, estado destino y reglas
+const WORKFLOW_TRANSITIONS = {
+  submit: { from: ['Draft'], to: 'Review', label: 'enviar a revisión' },
+  approve: { from: ['Review'], to: 'Approved', label: 'aprobar' },
+  'request-changes': { from: ['Review'], to: 'Draft', label: 'solicitar cambios en', requiresComment: true },
+  deprecate: { from: ['Draft', 'Review', 'Approved'], to: 'Deprecated', label: 'deprecar', roles: ['admin'] }
+};
+
+const workflowError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.name = 'WorkflowError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Método para cambiar el estado según el flujo de revisión
+// context.hasValidEvidence lo calcula el controlador (requiere consultar las evidencias)
+techniqueSchema.methods.transitionStatus = function(action, user, comment, context = {}) {
+  const transition = WORKFLOW_TRANSITIONS[action];
+  if (!transition) {
+    throw workflowError(`Acción de flujo desconocida: ${action}`);
+  }
+
+  if (!transition.from.includes(this.status)) {
+    throw workflowError(`No se puede ${transition.label} una técnica en estado ${this.status}`, 409);
+  }
+
+  if (transition.roles && !transition.roles.includes(user.role)) {
+    throw workflowError(`Solo los roles ${transition.roles.join(', ')} pueden ${transition.label} técnicas`, 403);
+  }
+
+  const isAuthor = this.createdBy && this.createdBy.toString() === user._id.toString();
+
+  if (action === 'submit' && !isAuthor && user.role !== 'admin') {
+    throw workflowError('Solo el autor o un administrador pueden enviar la técnica a revisión', 403);
+  }
+
+  if (action === 'approve' && isAuthor) {
+    throw workflowError('El aprobador no puede ser el autor de la técnica', 403);
+  }
+
+  // Con REQUIRE_VERIFIED_DETECTION=true solo se aprueban técnicas con la detección verificada
+  if (action === 'approve' && process.env.REQUIRE_VERIFIED_DETECTION === 'true' &&
+      (!this.detectionVerification || this.detectionVerification.status !== 'passed')) {
+    throw workflowError('La detección debe estar verificada contra logs de ejemplo antes de aprobar la técnica', 409);
+  }
+
+  // Con REQUIRE_VALID_EVIDENCE=true solo se aprueban técnicas con al menos una evidencia válida
+  if (action === 'approve' && process.env.REQUIRE_VALID_EVIDENCE === 'true' && !context.hasValidEvidence) {
+    throw workflowError('La técnica necesita al menos una evidencia aceptada y vigente antes de aprobarla', 409);
+  }
+
+  const trimmedComment = comment ? String(comment).trim() : '';
+  if (transition.requiresComment && !trimmedComment) {
+    throw workflowError('Se requiere un comentario para esta acción');
+  }
+
+  const from = this.status;
+  this.status = transition.to;
+
+  if (action === 'approve') {
+    this.approvedBy = user._id;
+    this.approvedAt = new Date();
+  }
+
+  this.addRevision(
+    `status: ${from} → ${transition.to}${trimmedComment ? ` (${trimmedComment})` : ''}`,
+    user._id,
+    { action, ...(trimmedComment && { comment: trimmedComment }) }
+  );
+
+  return { from, to: transition.to };
+};
+
+// Método para devolver a borrador una técnica aprobada cuyo contenido cambia, que debe revisarse de nuevo
+// Se llama antes de addRevision para que el cambio de estado quede en el mismo diff
+techniqueSchema.methods.reopenIfApproved = function() {
+  if (this.status !== 'Approved') return false;
+
+  this.status = 'Draft';
+  this.approvedBy = undefined;
+  this.approvedAt = undefined;
+  return true;
+};
+
+techniqueSchema.statics.WORKFLOW_TRANSITIONS = WORKFLOW_TRANSITIONS;
+
+const parentTechniqueError = (message) => {
+  const error = new Error(message);
+  error.name = 'ParentTechniqueError';
+  return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Método para validar la técnica padre: existencia, MITRE ID coherente y sin ciclos
+techniqueSchema.methods.validateParentTechnique = async function() {
+  if (!this.parentTechnique) return true;
+
+  const parent = await this.constructor.findById(this.parentTechnique);
+  if (!parent) {
+    throw parentTechniqueError('La técnica padre especificada no existe');
+  }
+
+  if (parent.mitreid && this.mitreid && !this.mitreid.startsWith(`${parent.mitreid}.`)) {
+    throw parentTechniqueError(
+      `El MITRE ID ${this.mitreid} no corresponde a una sub-técnica de ${parent.mitreid} (se esperaba ${parent.mitreid}.XXX)`
+    );
+  }
+
+  let current = parent;
+  const visited = new Set([this._id.toString()]);
+
+  while (current) {
+    if (visited.has(current._id.toString())) {
+      throw parentTechniqueError('No se puede crear una referencia circular entre técnicas');
+    }
+
+    visited.add(current._id.toString());
+    current = current.parentTechnique ?
+      await this.constructor.findById(current.parentTechnique) :
+      null;
+  }
+
+  return true;
 };
 
+// Middleware pre-save para validar la relación con la técnica padre y las sub-técnicas
+techniqueSchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('parentTechnique') || this.isModified('mitreid')) {
+      await this.validateParentTechnique();
+    }
+
+    // Un cambio de MITRE ID no debe dejar sub-técnicas incoherentes
+    if (!this.isNew && this.isModified('mitreid') && this.mitreid) {
+      const inconsistent = await this.constructor.countDocuments({
+        parentTechnique: this._id,
+        mitreid: { $exists: true, $ne: null, $not: new RegExp(`^${escapeRegex(this.mitreid)}\\.`) }
+      });
+
+      if (inconsistent > 0) {
+        throw parentTechniqueError(
+          `Hay ${inconsistent} sub-técnicas cuyo MITRE ID no coincide con ${this.mitreid}`
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Método estático para búsqueda avanzada (mejorado y más flexible)
 techniqueSchema.statics.advancedSearch = function(searchParams) {
   const {
@@ -253,9 +692,11 @@ techniqueSchema.methods.duplicate = async function(userId) {
     name: `${this.name} (Copia)`,
     description: this.description,
     category: this.category,
+    parentTechnique: this.parentTechnique,
     tags: [...(this.tags || [])],
     platforms: [...(this.platforms || [])],
     datasources: [...(this.datasources || [])],
+    dataComponents: [...(this.dataComponents || [])],
     mitigation: this.mitigation || {},
     detection: this.detection || {},
     references: [...(this.references || [])],
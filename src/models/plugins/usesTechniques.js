@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Plugin para entidades que "usan" técnicas (grupos, software), con descripción del procedimiento
+const usesTechniques = (schema) => {
+  schema.add({
+    techniques: [{
+      technique: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Technique',
+        required: [true, 'La técnica es requerida']
+      },
+      procedure: {
+        type: String,
+        default: '',
+        maxlength: [5000, 'El procedimiento no puede exceder 5000 caracteres']
+      }
+    }]
+  });
+
+  schema.index({ 'techniques.technique': 1 });
+
+  // Virtual para contar técnicas usadas
+  schema.virtual('techniquesCount').get(function() {
+    return (this.techniques || []).length;
+  });
+
+  // Método para añadir o actualizar el uso de una técnica; devuelve true si es nuevo
+  schema.methods.useTechnique = function(techniqueId, procedure = '') {
+    const existing = this.techniques.find(use => use.technique.toString() === techniqueId.toString());
+
+    if (existing) {
+      existing.procedure = procedure;
+      return false;
+    }
+
+    this.techniques.push({ technique: techniqueId, procedure });
+    return true;
+  };
+
+  // Método para eliminar el uso de una técnica; devuelve true si existía
+  schema.methods.removeTechnique = function(techniqueId) {
+    const before = this.techniques.length;
+    this.techniques = this.techniques.filter(use => use.technique.toString() !== techniqueId.toString());
+    return this.techniques.length < before;
+  };
+};
+
+module.exports = usesTechniques;
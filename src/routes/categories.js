@@ -68,7 +68,7 @@ router.put('/:id',
 
 /**
  * @route   DELETE /api/categories/:id
- * @desc    Eliminar categoría
+ * @desc    Mover categoría a la papelera
  * @access  Private (Admin solamente)
  * @params  { id }
  */
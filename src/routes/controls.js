@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllControls,
+  getControlById,
+  getControlTechniques,
+  linkControlTechniques,
+  unlinkControlTechnique,
+  syncControlCatalogue
+} = require('../controllers/controlController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize,
+  optionalAuth
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/controls
+ * @desc    Obtener el catálogo de controles ISO 27001:2022 (Anexo A) con las técnicas que abordan
+ * @access  Public
+ * @query   { page?, limit?, search?, theme?, controlType?, securityProperty?, cybersecurityConcept?, mapped? }
+ */
+router.get('/', optionalAuth, getAllControls);
+
+/**
+ * @desc    Volver a sembrar el catálogo del Anexo A y añadir los vínculos citados en iso27001Reference (no elimina vínculos)
+ * @desc    Volver a sembrar el catálogo del Anexo A sin tocar los vínculos con técnicas
+ * @access  Private (Admin solamente)
+ */
+router.post('/sync',
+  authenticateToken,
+  authorize('admin'),
+  syncControlCatalogue
+);
+
+/**
+ * @route   GET /api/controls/:id
+ * @desc    Obtener control por ID o identificador del Anexo A (p.ej. A.8.15)
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, getControlById);
+
+/**
+ * @route   GET /api/controls/:id/techniques
+ * @desc    Obtener las técnicas que aborda el control
+ * @access  Public
+ * @query   { page?, limit? }
+ */
+router.get('/:id/techniques', optionalAuth, getControlTechniques);
+
+/**
+ * @route   POST /api/controls/:id/techniques
+ * @desc    Vincular técnicas al control
+ * @access  Private (Editor+)
+ * @body    { techniques }
+ */
+router.post('/:id/techniques',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  linkControlTechniques
+);
+
+/**
+ * @route   DELETE /api/controls/:id/techniques/:techniqueId
+ * @desc    Desvincular una técnica del control
+ * @access  Private (Editor+)
+ */
+router.delete('/:id/techniques/:techniqueId',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  unlinkControlTechnique
+);
+
+module.exports = router;
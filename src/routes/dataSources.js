@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllDataSources,
+  getDataSourceById,
+  getDataSourceCoverage,
+  createDataSource,
+  updateDataSource,
+  addDataComponent,
+  removeDataComponent,
+  deleteDataSource,
+  syncDataSourcesFromTechniques
+} = require('../controllers/dataSourceController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize,
+  optionalAuth
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/datasources
+ * @desc    Obtener el catálogo de fuentes de datos con sus componentes
+ * @access  Public
+ * @query   { page?, limit?, search?, platforms? }
+ */
+router.get('/', optionalAuth, getAllDataSources);
+
+/**
+ * @route   GET /api/datasources/coverage
+ * @desc    Técnicas detectables por cada fuente de datos y componente
+ * @access  Public
+ * @query   { platforms? }
+ */
+router.get('/coverage', optionalAuth, getDataSourceCoverage);
+
+/**
+ * @route   POST /api/datasources/sync
+ * @desc    Crear el catálogo desde el texto libre de las técnicas y vincular sus componentes
+ * @access  Private (Admin solamente)
+ * @body    { overwrite? }
+ */
+router.post('/sync',
+  authenticateToken,
+  authorize('admin'),
+  syncDataSourcesFromTechniques
+);
+
+/**
+ * @route   GET /api/datasources/:id
+ * @desc    Obtener fuente de datos específica por ID
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, getDataSourceById);
+
+/**
+ * @route   POST /api/datasources
+ * @desc    Crear nueva fuente de datos
+ * @access  Private (Editor+)
+ * @body    { name, mitreid?, description?, platforms?, collectionLayers?, components? }
+ */
+router.post('/',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  createDataSource
+);
+
+/**
+ * @route   PUT /api/datasources/:id
+ * @desc    Actualizar fuente de datos existente
+ * @access  Private (Editor+)
+ * @body    { name?, mitreid?, description?, platforms?, collectionLayers? }
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  updateDataSource
+);
+
+/**
+ * @route   POST /api/datasources/:id/components
+ * @desc    Añadir componente de datos a la fuente
+ * @access  Private (Editor+)
+ * @body    { name, description? }
+ */
+router.post('/:id/components',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  addDataComponent
+);
+
+/**
+ * @route   DELETE /api/datasources/:id/components/:componentId
+ * @desc    Eliminar componente de datos no referenciado por técnicas
+ * @access  Private (Editor+)
+ */
+router.delete('/:id/components/:componentId',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  removeDataComponent
+);
+
+/**
+ * @route   DELETE /api/datasources/:id
+ * @desc    Eliminar fuente de datos no referenciada por técnicas
+ * @access  Private (Admin solamente)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorize('admin'),
+  deleteDataSource
+);
+
+module.exports = router;
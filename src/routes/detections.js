@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllDetectionRules,
+  getDetectionRuleById,
+  validateDetectionRule,
+  createDetectionRule,
+  updateDetectionRule,
+  deleteDetectionRule,
+  getConversionBackends,
+  convertDetectionRule,
+  regenerateDetectionRule,
+  regenerateAllDetectionRules,
+  exportCategoryDetections
+} = require('../controllers/detectionRuleController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize,
+  optionalAuth
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/detections
+ * @desc    Obtener reglas de detección con filtros y paginación
+ * @access  Public
+ * @query   { page?, limit?, search?, status?, level?, technique?, product? }
+ */
+router.get('/', optionalAuth, getAllDetectionRules);
+
+/**
+ * @route   GET /api/detections/export
+ * @desc    Exportar las reglas de una categoría como zip de archivos .yml
+ * @access  Private (Viewer+)
+ * @query   { category, status?, includeSubcategories? }
+ */
+router.get('/export',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  exportCategoryDetections
+);
+
+/**
+ * @route   POST /api/detections/validate
+ * @desc    Validar una regla Sigma sin guardarla
+ * @access  Public
+ * @body    { content }
+ */
+router.post('/validate', optionalAuth, validateDetectionRule);
+
+/**
+ * @route   GET /api/detections/backends
+ * @desc    Listar backends de conversión (SPL, KQL, Lucene, EQL) y sus mapeos de campos
+ * @access  Public
+ */
+router.get('/backends', optionalAuth, getConversionBackends);
+
+/**
+ * @route   POST /api/detections/convert
+ * @desc    Convertir una regla Sigma a consultas sin guardarla
+ * @access  Public
+ * @body    { content, backends? (splunk|kql|lucene|eql) }
+ */
+router.post('/convert', optionalAuth, convertDetectionRule);
+
+/**
+ * @route   POST /api/detections/regenerate
+ * @desc    Regenerar las consultas de todas las reglas (tras cambiar SIGMA_FIELD_MAPPINGS)
+ * @access  Private (Admin solamente)
+ */
+router.post('/regenerate',
+  authenticateToken,
+  authorize('admin'),
+  regenerateAllDetectionRules
+);
+
+/**
+ * @route   GET /api/detections/:id
+ * @desc    Obtener regla de detección específica por ID
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, getDetectionRuleById);
+
+/**
+ * @route   POST /api/detections
+ * @desc    Crear regla de detección a partir de YAML Sigma
+ * @access  Private (Editor+)
+ * @body    { content, status? (experimental|test|stable), techniques? }
+ */
+router.post('/',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  createDetectionRule
+);
+
+/**
+ * @route   PUT /api/detections/:id
+ * @desc    Actualizar regla de detección, su estado o sus técnicas
+ * @access  Private (Editor+ o creador)
+ * @body    { content?, status?, techniques? }
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  updateDetectionRule
+);
+
+/**
+ * @route   POST /api/detections/:id/regenerate
+ * @desc    Regenerar las consultas de la regla en sus técnicas
+ * @access  Private (Editor+ o creador)
+ */
+router.post('/:id/regenerate',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  regenerateDetectionRule
+);
+
+/**
+ * @route   DELETE /api/detections/:id
+ * @desc    Eliminar regla de detección
+ * @access  Private (Editor+ o creador)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  deleteDetectionRule
+);
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllEvidence,
+  getExpiringEvidence,
+  getEvidenceById,
+  downloadEvidence,
+  uploadEvidence,
+  updateEvidence,
+  reviewEvidence,
+  deleteEvidence
+} = require('../controllers/evidenceController');
+
+const {
+  authenticateToken,
+  authorizeMinRole
+} = require('../middleware/auth');
+
+const {
+  uploadEvidence: uploadEvidenceFile,
+  handleUploadError,
+  processUploadedFiles
+} = require('../middleware/upload');
+
+/**
+ * @route   GET /api/evidence
+ * @desc    Obtener evidencias de técnicas y controles con filtros y paginación
+ * @access  Private (Viewer+)
+ * @query   { page?, limit?, search?, technique?, control? (ID o "A.5.7"), reviewStatus?, valid?, sortBy?, sortOrder? }
+ */
+router.get('/',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getAllEvidence
+);
+
+/**
+ * @route   GET /api/evidence/expiring
+ * @desc    Evidencias cuya validez termina en los próximos días
+ * @access  Private (Viewer+)
+ * @query   { days? (1-365, por defecto 30), includeExpired? }
+ */
+router.get('/expiring',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getExpiringEvidence
+);
+
+/**
+ * @route   GET /api/evidence/:id
+ * @desc    Obtener evidencia específica
+ * @access  Private (Viewer+)
+ */
+router.get('/:id',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getEvidenceById
+);
+
+/**
+ * @route   GET /api/evidence/:id/download
+ * @desc    Descargar el archivo de la evidencia
+ * @access  Private (Viewer+)
+ */
+router.get('/:id/download',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  downloadEvidence
+);
+
+/**
+ * @route   POST /api/evidence
+ * @desc    Subir evidencia para una técnica o un control
+ * @access  Private (Editor+)
+ * @body    { evidence (archivo), technique?, control? (ID o "A.5.7"), title?, description?, collectedBy?, collectedAt?, validFrom?, validUntil? }
+ */
+router.post('/',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  uploadEvidenceFile,
+  handleUploadError,
+  processUploadedFiles,
+  uploadEvidence
+);
+
+/**
+ * @route   PUT /api/evidence/:id
+ * @desc    Actualizar metadatos de la evidencia (cambiar las fechas reinicia la revisión)
+ * @access  Private (Editor+ que la subió o Admin)
+ * @body    { technique?, control?, title?, description?, collectedBy?, collectedAt?, validFrom?, validUntil? }
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  updateEvidence
+);
+
+/**
+ * @route   PUT /api/evidence/:id/review
+ * @desc    Revisar evidencia (quien la subió no puede aceptarla)
+ * @access  Private (Editor+)
+ * @body    { reviewStatus (Pending|Accepted|Rejected), reviewNotes? (requerido al rechazar) }
+ */
+router.put('/:id/review',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  reviewEvidence
+);
+
+/**
+ * @route   DELETE /api/evidence/:id
+ * @desc    Eliminar evidencia y su archivo (una evidencia aceptada solo la elimina un administrador)
+ * @access  Private (Editor+ que la subió o Admin)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  deleteEvidence
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllFrameworks,
+  getFrameworkById,
+  getFrameworkRequirement,
+  linkRequirementTechniques,
+  unlinkRequirementTechnique,
+  getControlCrosswalk,
+  syncFrameworkCatalogues
+} = require('../controllers/frameworkController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize,
+  optionalAuth
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/frameworks
+ * @desc    Listar marcos de referencia (NIST CSF 2.0, CIS Controls v8) con requisitos vinculados
+ * @access  Public
+ */
+router.get('/', optionalAuth, getAllFrameworks);
+
+/**
+ * @route   POST /api/frameworks/sync
+ * @desc    Volver a sembrar los marcos incluidos sin tocar los vínculos con técnicas
+ * @access  Private (Admin solamente)
+ */
+router.post('/sync',
+  authenticateToken,
+  authorize('admin'),
+  syncFrameworkCatalogues
+);
+
+/**
+ * @route   GET /api/frameworks/crosswalk/:controlId
+ * @desc    Equivalencias de un control ISO 27001 en otros marcos a través de técnicas compartidas
+ * @access  Public
+ * @query   { frameworks? (claves separadas por comas, p.ej. nist-csf,cis-controls) }
+ */
+router.get('/crosswalk/:controlId', optionalAuth, getControlCrosswalk);
+
+/**
+ * @route   GET /api/frameworks/:frameworkId
+ * @desc    Obtener marco por ID o clave con su árbol de requisitos
+ * @access  Public
+ * @query   { version?, flat?, mapped? (lista plana de requisitos con o sin técnicas) }
+ */
+router.get('/:frameworkId', optionalAuth, getFrameworkById);
+
+/**
+ * @route   GET /api/frameworks/:frameworkId/requirements/:requirementId
+ * @desc    Obtener requisito por su identificador (p.ej. PR.AA-05 o 6.3) con técnicas e hijos
+ * @access  Public
+ * @query   { version? }
+ */
+router.get('/:frameworkId/requirements/:requirementId', optionalAuth, getFrameworkRequirement);
+
+/**
+ * @route   POST /api/frameworks/:frameworkId/requirements/:requirementId/techniques
+ * @desc    Vincular técnicas al requisito
+ * @access  Private (Editor+)
+ * @query   { version? }
+ * @body    { techniques }
+ */
+router.post('/:frameworkId/requirements/:requirementId/techniques',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  linkRequirementTechniques
+);
+
+/**
+ * @route   DELETE /api/frameworks/:frameworkId/requirements/:requirementId/techniques/:techniqueId
+ * @desc    Desvincular una técnica del requisito
+ * @access  Private (Editor+)
+ * @query   { version? }
+ */
+router.delete('/:frameworkId/requirements/:requirementId/techniques/:techniqueId',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  unlinkRequirementTechnique
+);
+
+module.exports = router;
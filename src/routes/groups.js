@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllGroups,
+  getGroupById,
+  getGroupTechniques,
+  createGroup,
+  updateGroup,
+  addGroupTechnique,
+  removeGroupTechnique,
+  deleteGroup
+} = require('../controllers/groupController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize,
+  optionalAuth
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/groups
+ * @desc    Obtener todos los grupos de amenaza con paginación
+ * @access  Public
+ * @query   { page?, limit?, search? }
+ */
+router.get('/', optionalAuth, getAllGroups);
+
+/**
+ * @route   GET /api/groups/:id
+ * @desc    Obtener grupo específico por ID
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, getGroupById);
+
+/**
+ * @route   GET /api/groups/:id/techniques
+ * @desc    Técnicas usadas por el grupo con nivel de riesgo y estado de detección
+ * @access  Public
+ * @query   { detectionStatus? (implemented|documented|none), riskLevel? }
+ */
+router.get('/:id/techniques', optionalAuth, getGroupTechniques);
+
+/**
+ * @route   POST /api/groups
+ * @desc    Crear nuevo grupo de amenaza
+ * @access  Private (Editor+)
+ * @body    { name, description, mitreid?, aliases?, references?, techniques? }
+ */
+router.post('/',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  createGroup
+);
+
+/**
+ * @route   PUT /api/groups/:id
+ * @desc    Actualizar grupo existente
+ * @access  Private (Editor+ o creador)
+ * @body    { name?, description?, mitreid?, aliases?, references?, techniques? }
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  updateGroup
+);
+
+/**
+ * @route   POST /api/groups/:id/techniques
+ * @desc    Registrar o actualizar el uso de una técnica por el grupo
+ * @access  Private (Editor+)
+ * @body    { technique, procedure? }
+ */
+router.post('/:id/techniques',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  addGroupTechnique
+);
+
+/**
+ * @route   DELETE /api/groups/:id/techniques/:techniqueId
+ * @desc    Eliminar el uso de una técnica por el grupo
+ * @access  Private (Editor+)
+ */
+router.delete('/:id/techniques/:techniqueId',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  removeGroupTechnique
+);
+
+/**
+ * @route   DELETE /api/groups/:id
+ * @desc    Eliminar grupo
+ * @access  Private (Admin solamente)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorize('admin'),
+  deleteGroup
+);
+
+module.exports = router;
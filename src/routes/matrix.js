@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const { getMatrix } = require('../controllers/matrixController');
+
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/matrix
+ * @desc    Matriz ATT&CK: columnas de tácticas ordenadas con sus técnicas y subtécnicas (responde 304 si coincide If-None-Match)
+ * @access  Public
+ * @query   { platforms?, status?, tags? }
+ */
+router.get('/', optionalAuth, getMatrix);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllMitigations,
+  getMitigationById,
+  getMitigationTechniques,
+  getUnmitigatedTechniques,
+  createMitigation,
+  updateMitigation,
+  linkMitigationTechniques,
+  unlinkMitigationTechnique,
+  deleteMitigation
+} = require('../controllers/mitigationController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize,
+  optionalAuth
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/mitigations
+ * @desc    Obtener todas las mitigaciones con filtros y paginación
+ * @access  Public
+ * @query   { page?, limit?, search?, tags? }
+ */
+router.get('/', optionalAuth, getAllMitigations);
+
+/**
+ * @route   GET /api/mitigations/unmitigated
+ * @desc    Obtener técnicas que no tienen ninguna mitigación
+ * @access  Public
+ * @query   { page?, limit? }
+ */
+router.get('/unmitigated', optionalAuth, getUnmitigatedTechniques);
+
+/**
+ * @route   GET /api/mitigations/:id
+ * @desc    Obtener mitigación específica por ID
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, getMitigationById);
+
+/**
+ * @route   GET /api/mitigations/:id/techniques
+ * @desc    Obtener las técnicas que cubre una mitigación
+ * @access  Public
+ * @query   { page?, limit? }
+ */
+router.get('/:id/techniques', optionalAuth, getMitigationTechniques);
+
+/**
+ * @route   POST /api/mitigations
+ * @desc    Crear nueva mitigación
+ * @access  Private (Editor+)
+ * @body    { name, description, mitreid?, techniques?, references?, tags? }
+ */
+router.post('/',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  createMitigation
+);
+
+/**
+ * @route   PUT /api/mitigations/:id
+ * @desc    Actualizar mitigación existente
+ * @access  Private (Editor+ o creador)
+ * @body    { name?, description?, mitreid?, techniques?, references?, tags? }
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  updateMitigation
+);
+
+/**
+ * @route   POST /api/mitigations/:id/techniques
+ * @desc    Vincular técnicas a la mitigación
+ * @access  Private (Editor+)
+ * @body    { techniques }
+ */
+router.post('/:id/techniques',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  linkMitigationTechniques
+);
+
+/**
+ * @route   DELETE /api/mitigations/:id/techniques/:techniqueId
+ * @desc    Desvincular una técnica de la mitigación
+ * @access  Private (Editor+)
+ */
+router.delete('/:id/techniques/:techniqueId',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  unlinkMitigationTechnique
+);
+
+/**
+ * @route   DELETE /api/mitigations/:id
+ * @desc    Eliminar mitigación
+ * @access  Private (Admin solamente)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorize('admin'),
+  deleteMitigation
+);
+
+module.exports = router;
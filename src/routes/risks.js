@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllRisks,
+  getRiskMatrixView,
+  getRiskById,
+  createRisk,
+  updateRisk,
+  deleteRisk
+} = require('../controllers/riskController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/risks
+ * @desc    Obtener el registro de riesgos ordenado por riesgo residual
+ * @access  Private (Viewer+)
+ * @query   { page?, limit?, search?, technique?, owner? (id|me), treatment?, status?, level?, overdue?, sortBy?, sortOrder? }
+ */
+router.get('/',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getAllRisks
+);
+
+/**
+ * @route   GET /api/risks/matrix
+ * @desc    Matriz de probabilidad × impacto configurada con el número de riesgos por celda
+ * @access  Private (Viewer+)
+ * @query   { type? (inherent|residual) }
+ */
+router.get('/matrix',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getRiskMatrixView
+);
+
+/**
+ * @route   GET /api/risks/:id
+ * @desc    Obtener evaluación de riesgo específica
+ * @access  Private (Viewer+)
+ */
+router.get('/:id',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getRiskById
+);
+
+/**
+ * @route   POST /api/risks
+ * @desc    Crear evaluación de riesgo (deriva el riskLevel de la técnica vinculada)
+ * @access  Private (Editor+)
+ * @body    { title, technique?, asset?, scenario?, inherent: { likelihood, impact }, residual?, mitigations?, owner?, treatment, treatmentNotes?, dueDate?, status? }
+ */
+router.post('/',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  createRisk
+);
+
+/**
+ * @route   PUT /api/risks/:id
+ * @desc    Actualizar evaluación de riesgo
+ * @access  Private (Editor+; autor, responsable o admin)
+ * @body    { title?, technique?, asset?, scenario?, inherent?, residual?, mitigations?, owner?, treatment?, treatmentNotes?, dueDate?, status? }
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  updateRisk
+);
+
+/**
+ * @route   DELETE /api/risks/:id
+ * @desc    Eliminar evaluación de riesgo
+ * @access  Private (Admin solamente)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorize('admin'),
+  deleteRisk
+);
+
+module.exports = router;
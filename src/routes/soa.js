@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getSoa,
+  updateControlApplicability,
+  issueSoaVersion,
+  getSoaVersions,
+  getSoaVersion,
+  exportSoa
+} = require('../controllers/soaController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/soa
+ * @desc    Declaración de aplicabilidad en curso con los controles pendientes de decisión
+ * @access  Private (Viewer+)
+ */
+router.get('/',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getSoa
+);
+
+/**
+ * @route   GET /api/soa/export
+ * @desc    Exportar la declaración (versión emitida o borrador si no se indica versión)
+ * @access  Private (Viewer+)
+ * @query   { format? (csv|markdown|html), version? }
+ */
+router.get('/export',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  exportSoa
+);
+
+/**
+ * @route   PUT /api/soa/controls/:controlId
+ * @desc    Registrar la decisión de aplicabilidad de un control (ID o identificador A.x.y)
+ * @access  Private (Editor+)
+ * @body    { applicable, justification, implementationStatus? }
+ */
+router.put('/controls/:controlId',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  updateControlApplicability
+);
+
+/**
+ * @route   GET /api/soa/versions
+ * @desc    Listar las versiones emitidas de la declaración
+ * @access  Private (Viewer+)
+ */
+router.get('/versions',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getSoaVersions
+);
+
+/**
+ * @route   POST /api/soa/versions
+ * @desc    Emitir una nueva versión con las decisiones actuales (requiere todos los controles decididos)
+ * @access  Private (Admin solamente)
+ * @body    { notes? }
+ */
+router.post('/versions',
+  authenticateToken,
+  authorize('admin'),
+  issueSoaVersion
+);
+
+/**
+ * @route   GET /api/soa/versions/:version
+ * @desc    Obtener una versión emitida completa
+ * @access  Private (Viewer+)
+ */
+router.get('/versions/:version',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getSoaVersion
+);
+
+module.exports = router;
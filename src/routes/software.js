@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getAllSoftware,
+  getSoftwareById,
+  getSoftwareTechniques,
+  createSoftware,
+  updateSoftware,
+  addSoftwareTechnique,
+  removeSoftwareTechnique,
+  deleteSoftware
+} = require('../controllers/softwareController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize,
+  optionalAuth
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/software
+ * @desc    Obtener todo el software (malware y herramientas) con paginación
+ * @access  Public
+ * @query   { page?, limit?, search? }
+ */
+router.get('/', optionalAuth, getAllSoftware);
+
+/**
+ * @route   GET /api/software/:id
+ * @desc    Obtener software específico por ID
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, getSoftwareById);
+
+/**
+ * @route   GET /api/software/:id/techniques
+ * @desc    Técnicas usadas por el software con nivel de riesgo y estado de detección
+ * @access  Public
+ * @query   { detectionStatus? (implemented|documented|none), riskLevel? }
+ */
+router.get('/:id/techniques', optionalAuth, getSoftwareTechniques);
+
+/**
+ * @route   POST /api/software
+ * @desc    Crear nuevo software
+ * @access  Private (Editor+)
+ * @body    { name, description, mitreid?, aliases?, softwareType?, platforms?, references?, techniques? }
+ */
+router.post('/',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  createSoftware
+);
+
+/**
+ * @route   PUT /api/software/:id
+ * @desc    Actualizar software existente
+ * @access  Private (Editor+ o creador)
+ * @body    { name?, description?, mitreid?, aliases?, softwareType?, platforms?, references?, techniques? }
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  updateSoftware
+);
+
+/**
+ * @route   POST /api/software/:id/techniques
+ * @desc    Registrar o actualizar el uso de una técnica por el software
+ * @access  Private (Editor+)
+ * @body    { technique, procedure? }
+ */
+router.post('/:id/techniques',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  addSoftwareTechnique
+);
+
+/**
+ * @route   DELETE /api/software/:id/techniques/:techniqueId
+ * @desc    Eliminar el uso de una técnica por el software
+ * @access  Private (Editor+)
+ */
+router.delete('/:id/techniques/:techniqueId',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  removeSoftwareTechnique
+);
+
+/**
+ * @route   DELETE /api/software/:id
+ * @desc    Eliminar software
+ * @access  Private (Admin solamente)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorize('admin'),
+  deleteSoftware
+);
+
+module.exports = router;
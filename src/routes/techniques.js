@@ -11,10 +11,43 @@ const {
   duplicateTechnique,
   searchTechniques,
   getTechniqueStats,
+  getCoverageStats,
   getTechniquesByCategory,
-  exportTechniques
+  getSubTechniques,
+  exportTechniques,
+  importStixBundle,
+  importNavigatorLayer,
+  bulkImportTechniques,
+  submitTechniqueForReview,
+  approveTechnique,
+  requestTechniqueChanges,
+  deprecateTechnique,
+  getTechniqueRevision,
+  restoreTechniqueRevision,
+  compareTechniques
 } = require('../controllers/techniqueController');
 
+const {
+  getStatsHistory,
+  createStatsSnapshot
+} = require('../controllers/statsHistoryController');
+
+const {
+  getTechniqueDetections,
+  createTechniqueDetection
+} = require('../controllers/detectionRuleController');
+
+const {
+  getTechniqueFixtures,
+  uploadTechniqueFixture,
+  deleteTechniqueFixture,
+  runDetectionTests,
+  getDetectionVerification
+} = require('../controllers/detectionTestController');
+
+const { getTechniqueControls } = require('../controllers/controlController');
+const { getTechniqueFrameworks } = require('../controllers/frameworkController');
+
 const { 
   authenticateToken, 
   authorizeMinRole, 
@@ -24,6 +57,9 @@ const {
 
 const {
   uploadMultiple,
+  uploadDocument,
+  uploadStixBundle,
+  uploadFixture,
   handleUploadError,
   cleanupOnError,
   processUploadedFiles
@@ -45,10 +81,46 @@ router.get('/search', optionalAuth, searchTechniques);
  */
 router.get('/stats', optionalAuth, getTechniqueStats);
 
+/**
+ * @route   GET /api/techniques/stats/coverage
+ * @desc    Cobertura de detección, mitigación y aprobación por táctica y nivel de riesgo
+ * @access  Public
+ * @query   { platforms?, limit? }
+ */
+router.get('/stats/coverage', optionalAuth, getCoverageStats);
+
+/**
+ * @route   GET /api/techniques/stats/history
+ * @desc    Series temporales de métricas a partir de las fotografías periódicas de estadísticas
+ * @access  Public
+ * @query   { from?, to?, metric? (rutas separadas por comas, p.ej. coverage.byTactic.execution.detectionPercentage) }
+ */
+router.get('/stats/history', optionalAuth, getStatsHistory);
+
+/**
+ * @route   POST /api/techniques/stats/history
+ * @desc    Tomar una fotografía manual de las estadísticas
+ * @access  Private (Admin solamente)
+ */
+router.post('/stats/history',
+  authenticateToken,
+  authorize('admin'),
+  createStatsSnapshot
+);
+
+/**
+ * @route   GET /api/techniques/compare
+ * @desc    Comparar dos versiones de una técnica o dos técnicas (p.ej. original y copia)
+ * @access  Public
+ * @query   { left, right?, leftVersion?, rightVersion? }
+ */
+router.get('/compare', optionalAuth, compareTechniques);
+
 /**
  * @route   GET /api/techniques/export
- * @desc    Exportar técnicas en formato JSON
+ * @desc    Exportar técnicas en formato JSON, STIX 2.1, capa de ATT&CK Navigator, CSV o XLSX
  * @access  Private (Viewer+)
+ * @query   { format? (json|stix|navigator|csv|xlsx), scoreBy? (risk|coverage), category?, platforms?, tactics?, tags?, status?, usedBy? }
  */
 router.get('/export', 
   authenticateToken, 
@@ -56,6 +128,54 @@ router.get('/export',
   exportTechniques
 );
 
+/**
+ * @route   POST /api/techniques/import
+ * @desc    Importación masiva de técnicas desde CSV o JSON con reporte por fila (atomic requiere MongoDB en replica set)
+ * @access  Private (Editor+)
+ * @body    { document? (archivo .csv/.json), techniques?, atomic?, skipExisting? }
+ */
+router.post('/import',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  cleanupOnError,
+  uploadDocument,
+  handleUploadError,
+  processUploadedFiles,
+  bulkImportTechniques
+);
+
+/**
+ * @route   POST /api/techniques/import/stix
+ * @desc    Importar técnicas, tácticas y mitigaciones desde un bundle STIX 2.1 (hasta STIX_IMPORT_MAX_MB, 100MB por defecto)
+ * @access  Private (Editor+)
+ * @body    { document? (archivo .json), bundle?, dryRun?, overwrite?, includeRevoked? }
+ */
+router.post('/import/stix',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  cleanupOnError,
+  uploadStixBundle,
+  handleUploadError,
+  processUploadedFiles,
+  importStixBundle
+);
+
+/**
+ * @route   POST /api/techniques/import/navigator
+ * @desc    Aplicar tags, comentarios o nivel de riesgo desde una capa de ATT&CK Navigator (requiere replica set)
+ * @access  Private (Editor+)
+ * @body    { document? (archivo .json), layer?, tags?, riskLevel?, applyComments? }
+ */
+router.post('/import/navigator',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  cleanupOnError,
+  uploadDocument,
+  handleUploadError,
+  processUploadedFiles,
+  importNavigatorLayer
+);
+
 /**
  * @route   GET /api/techniques/category/:categoryId
  * @desc    Obtener técnicas por categoría específica
@@ -67,6 +187,7 @@ router.get('/category/:categoryId', optionalAuth, getTechniquesByCategory);
  * @route   GET /api/techniques
  * @desc    Obtener todas las técnicas con filtros y paginación
  * @access  Public
+ * @query   { page?, limit?, search?, category?, platforms?, tactics?, tags?, status?, parentTechnique?, usedBy? (ID de grupo o software), sortBy?, sortOrder? }
  */
 router.get('/', optionalAuth, getAllTechniques);
 
@@ -92,9 +213,105 @@ router.post('/',
  */
 router.get('/:id', optionalAuth, getTechniqueById);
 
+/**
+ * @route   GET /api/techniques/:id/subtechniques
+ * @desc    Obtener sub-técnicas de una técnica
+ * @access  Public
+ */
+router.get('/:id/subtechniques', optionalAuth, getSubTechniques);
+
+/**
+ * @route   GET /api/techniques/:id/controls
+ * @desc    Controles ISO 27001 del Anexo A que abordan la técnica
+ * @access  Public
+ */
+router.get('/:id/controls', optionalAuth, getTechniqueControls);
+
+/**
+ * @route   GET /api/techniques/:id/frameworks
+ * @desc    Requisitos de NIST CSF, CIS Controls y otros marcos que abordan la técnica
+ * @access  Public
+ */
+router.get('/:id/frameworks', optionalAuth, getTechniqueFrameworks);
+
+/**
+ * @route   GET /api/techniques/:id/detections
+ * @desc    Obtener las reglas de detección vinculadas a una técnica
+ * @access  Public
+ * @query   { status? (experimental|test|stable) }
+ */
+router.get('/:id/detections', optionalAuth, getTechniqueDetections);
+
+/**
+ * @route   POST /api/techniques/:id/detections
+ * @desc    Crear regla Sigma para la técnica y generar sus consultas SPL, KQL, Lucene y EQL
+ * @access  Private (Editor+)
+ * @body    { content, status? (experimental|test|stable) }
+ */
+router.post('/:id/detections',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  createTechniqueDetection
+);
+
+/**
+ * @route   GET /api/techniques/:id/fixtures
+ * @desc    Listar los logs de ejemplo usados para probar las detecciones
+ * @access  Private (Viewer+)
+ */
+router.get('/:id/fixtures',
+  authenticateToken,
+  authorizeMinRole('viewer'),
+  getTechniqueFixtures
+);
+
+/**
+ * @route   POST /api/techniques/:id/fixtures
+ * @desc    Subir log de ejemplo (JSON lines o JSON exportado de EVTX)
+ * @access  Private (Editor+)
+ * @body    { fixture (archivo .json/.jsonl/.ndjson), name?, description?, expectedResult? (match|no-match) }
+ */
+router.post('/:id/fixtures',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  uploadFixture,
+  handleUploadError,
+  processUploadedFiles,
+  uploadTechniqueFixture
+);
+
+/**
+ * @route   DELETE /api/techniques/:id/fixtures/:fixtureId
+ * @desc    Eliminar log de ejemplo
+ * @access  Private (Editor+)
+ */
+router.delete('/:id/fixtures/:fixtureId',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  deleteTechniqueFixture
+);
+
+/**
+ * @route   GET /api/techniques/:id/detection-tests
+ * @desc    Obtener el último resultado de verificación de la detección
+ * @access  Public
+ */
+router.get('/:id/detection-tests', optionalAuth, getDetectionVerification);
+
+/**
+ * @route   POST /api/techniques/:id/detection-tests
+ * @desc    Evaluar las consultas de detección contra los logs de ejemplo y guardar el resultado
+ * @access  Private (Editor+)
+ */
+router.post('/:id/detection-tests',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  runDetectionTests
+);
+
 /**
  * @route   PUT /api/techniques/:id
- * @desc    Actualizar técnica existente
+ * @desc    Actualizar técnica existente (solo campos de contenido; una técnica aprobada vuelve a borrador)
  * @access  Private (Editor+ o creador)
  */
 router.put('/:id', 
@@ -118,9 +335,74 @@ router.post('/:id/duplicate',
   duplicateTechnique
 );
 
+/**
+ * @route   GET /api/techniques/:id/revisions/:version
+ * @desc    Reconstruir el contenido de la técnica en una versión del historial
+ * @access  Public
+ */
+router.get('/:id/revisions/:version', optionalAuth, getTechniqueRevision);
+
+/**
+ * @route   POST /api/techniques/:id/revisions/:version/restore
+ * @desc    Restaurar la técnica al contenido de una versión anterior
+ * @access  Private (Editor+ o creador)
+ */
+router.post('/:id/revisions/:version/restore',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  restoreTechniqueRevision
+);
+
+/**
+ * @route   POST /api/techniques/:id/submit
+ * @desc    Enviar técnica a revisión (Draft → Review)
+ * @access  Private (Autor o Admin)
+ */
+router.post('/:id/submit',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  submitTechniqueForReview
+);
+
+/**
+ * @route   POST /api/techniques/:id/approve
+ * @desc    Aprobar técnica en revisión (Review → Approved)
+ * @access  Private (Editor+, distinto del autor)
+ * @body    { comment? }
+ */
+router.post('/:id/approve',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  approveTechnique
+);
+
+/**
+ * @route   POST /api/techniques/:id/request-changes
+ * @desc    Rechazar técnica en revisión solicitando cambios (Review → Draft)
+ * @access  Private (Editor+)
+ * @body    { comment }
+ */
+router.post('/:id/request-changes',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  requestTechniqueChanges
+);
+
+/**
+ * @route   POST /api/techniques/:id/deprecate
+ * @desc    Deprecar técnica
+ * @access  Private (Admin solamente)
+ * @body    { comment? }
+ */
+router.post('/:id/deprecate',
+  authenticateToken,
+  authorize('admin'),
+  deprecateTechnique
+);
+
 /**
  * @route   DELETE /api/techniques/:id
- * @desc    Eliminar técnica
+ * @desc    Mover técnica a la papelera
  * @access  Private (Admin o creador)
  */
 router.delete('/:id', 
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores y middleware
+const {
+  getTrash,
+  restoreTechnique,
+  restoreCategory,
+  purgeTechnique,
+  purgeCategory,
+  purgeTrash
+} = require('../controllers/trashController');
+
+const {
+  authenticateToken,
+  authorizeMinRole,
+  authorize
+} = require('../middleware/auth');
+
+/**
+ * @route   GET /api/trash
+ * @desc    Listar técnicas y categorías en la papelera
+ * @access  Private (Editor+; las categorías solo para Admin)
+ * @query   { type? (techniques|categories), page?, limit? }
+ */
+router.get('/',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  getTrash
+);
+
+/**
+ * @route   POST /api/trash/purge
+ * @desc    Purgar elementos que superan el periodo de retención
+ * @access  Private (Admin solamente)
+ * @body    { olderThanDays? }
+ */
+router.post('/purge',
+  authenticateToken,
+  authorize('admin'),
+  purgeTrash
+);
+
+/**
+ * @route   POST /api/trash/techniques/:id/restore
+ * @desc    Restaurar técnica desde la papelera
+ * @access  Private (Editor+ o creador)
+ */
+router.post('/techniques/:id/restore',
+  authenticateToken,
+  authorizeMinRole('editor'),
+  restoreTechnique
+);
+
+/**
+ * @route   POST /api/trash/categories/:id/restore
+ * @desc    Restaurar categoría desde la papelera
+ * @access  Private (Admin solamente)
+ */
+router.post('/categories/:id/restore',
+  authenticateToken,
+  authorize('admin'),
+  restoreCategory
+);
+
+/**
+ * @route   DELETE /api/trash/techniques/:id
+ * @desc    Eliminar definitivamente una técnica y sus archivos
+ * @access  Private (Admin solamente)
+ */
+router.delete('/techniques/:id',
+  authenticateToken,
+  authorize('admin'),
+  purgeTechnique
+);
+
+/**
+ * @route   DELETE /api/trash/categories/:id
+ * @desc    Eliminar definitivamente una categoría
+ * @access  Private (Admin solamente)
+ */
+router.delete('/categories/:id',
+  authenticateToken,
+  authorize('admin'),
+  purgeCategory
+);
+
+module.exports = router;
@@ -0,0 +1,310 @@
+const { parseWildcards } = require('./sigmaConverter');
+
+// Evaluación local de consultas de detección contra logs de ejemplo
+// Trabaja sobre el mismo árbol booleano neutro que genera sigmaConverter.buildQueryTree
+// y sobre un dialecto simple de coincidencia de campos (Campo=valor, campo:valor, AND/OR/NOT).
+
+const MAX_FIXTURE_EVENTS = 10000;
+
+class QueryEvaluationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryEvaluationError';
+  }
+}
+
+// Leer eventos desde JSON lines, un array JSON o un único objeto JSON
+const parseEvents = (text) => {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!content) {
+    throw new QueryEvaluationError('El archivo no contiene eventos');
+  }
+
+  let events;
+  if (content.startsWith('[')) {
+    events = JSON.parse(content);
+  } else {
+    try {
+      events = content.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (error) {
+      // Un único objeto JSON con formato de varias líneas
+      events = [JSON.parse(content)];
+    }
+  }
+
+  // Exportaciones que envuelven los eventos en { Events: [...] } o { records: [...] }
+  if (events.length === 1 && !Array.isArray(events[0])) {
+    const wrapped = events[0].Events || events[0].events || events[0].records;
+    if (Array.isArray(wrapped)) events = wrapped;
+  }
+
+  events = events.filter(event => event && typeof event === 'object' && !Array.isArray(event));
+  if (events.length === 0) {
+    throw new QueryEvaluationError('El archivo no contiene eventos con formato de objeto');
+  }
+  if (events.length > MAX_FIXTURE_EVENTS) {
+    throw new QueryEvaluationError(`El archivo supera el máximo de ${MAX_FIXTURE_EVENTS} eventos`);
+  }
+
+  return events;
+};
+
+// Obtener el texto de un nodo XML convertido a JSON ({ "#text": ... } o valor directo)
+const textOf = (value) => (value && typeof value === 'object' && '#text' in value ? value['#text'] : value);
+
+// Aplanar eventos exportados de EVTX (Event.System / Event.EventData) a campos de primer nivel
+const normalizeEvent = (raw) => {
+  const event = raw.Event && typeof raw.Event === 'object' ? raw.Event : raw;
+  const flat = { ...raw, ...event };
+
+  const system = event.System || {};
+  if (system.EventID !== undefined) flat.EventID = textOf(system.EventID);
+  if (system.Channel !== undefined) flat.Channel = textOf(system.Channel);
+  if (system.Computer !== undefined) flat.Computer = textOf(system.Computer);
+  if (system.Provider) {
+    flat.Provider_Name = system.Provider['@Name'] || system.Provider.Name || system.Provider['#attributes'];
+  }
+
+  [event.EventData, event.UserData].filter(Boolean).forEach(section => {
+    const data = section.Data !== undefined ? section.Data : section;
+
+    if (Array.isArray(data)) {
+      data.forEach(item => {
+        const name = item && (item['@Name'] || item.Name);
+        if (name) flat[name] = textOf(item.Value !== undefined ? item.Value : item);
+      });
+    } else if (data && typeof data === 'object') {
+      Object.entries(data).forEach(([key, value]) => {
+        if (!key.startsWith('@') && !key.startsWith('#')) flat[key] = textOf(value);
+      });
+    }
+  });
+
+  return flat;
+};
+
+// Obtener el valor de un campo por nombre exacto, ruta con puntos o nombre sin distinguir mayúsculas
+const getFieldValue = (event, field) => {
+  if (field in event) return event[field];
+
+  const byPath = field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), event);
+  if (byPath !== undefined) return byPath;
+
+  const lower = field.toLowerCase();
+  const key = Object.keys(event).find(name => name.toLowerCase() === lower);
+  return key !== undefined ? event[key] : undefined;
+};
+
+// Recoger todos los valores de texto de un evento (búsquedas por palabra clave)
+const collectStrings = (value, acc = []) => {
+  if (value === null || value === undefined) return acc;
+  if (typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, acc));
+  } else {
+    acc.push(String(value));
+  }
+  return acc;
+};
+
+// Convertir las partes de un valor en expresión regular insensible a mayúsculas
+const partsToRegex = (parts) => new RegExp(`^${parts.map(part => {
+  if (typeof part === 'string') return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return part.wildcard === '*' ? '[\\s\\S]*' : '[\\s\\S]';
+}).join('')}$`, 'i');
+
+// Compilar una expresión regular de la consulta; un patrón inválido hace la consulta no evaluable
+const compileRegex = (source) => {
+  try {
+    return new RegExp(source);
+  } catch (error) {
+    throw new QueryEvaluationError(`Expresión regular inválida: ${error.message}`);
+  }
+};
+
+const ipv4ToNumber = (ip) => {
+  const octets = String(ip).trim().split('.');
+  if (octets.length !== 4 || octets.some(octet => !/^\d{1,3}$/.test(octet) || Number(octet) > 255)) return null;
+  return octets.reduce((acc, octet) => acc * 256 + Number(octet), 0);
+};
+
+const matchesCidr = (value, cidr) => {
+  const [network, bits = '32'] = String(cidr).split('/');
+  const ip = ipv4ToNumber(value);
+  const base = ipv4ToNumber(network);
+  if (ip === null || base === null) return String(value) === String(cidr);
+
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(ip / size) === Math.floor(base / size);
+};
+
+// Evaluar una hoja contra cada valor del campo (los campos con listas coinciden si alguno coincide)
+const matchesLeaf = (node, event) => {
+  if (!node.field) {
+    const pattern = partsToRegex([{ wildcard: '*' }, ...node.value, { wildcard: '*' }]);
+    return collectStrings(event).some(text => pattern.test(text));
+  }
+
+  const raw = getFieldValue(event, node.field);
+  const values = (Array.isArray(raw) ? raw : [raw]).map(textOf);
+
+  switch (node.type) {
+    case 'null':
+      return values.every(value => value === undefined || value === null || value === '');
+    case 'regex':
+      return values.some(value => value !== undefined && value !== null && node.pattern.test(String(value)));
+    case 'cidr':
+      return values.some(value => value !== undefined && value !== null && matchesCidr(value, node.value));
+    default: {
+      const pattern = partsToRegex(node.value);
+      return values.some(value => value !== undefined && value !== null &&
+        (typeof value === 'object' ? collectStrings(value) : [String(value)]).some(text => pattern.test(text)));
+    }
+  }
+};
+
+// Evaluar el árbol booleano contra un evento normalizado
+const evaluateTree = (node, event) => {
+  switch (node.type) {
+    case 'and':
+      return node.items.every(item => evaluateTree(item, event));
+    case 'or':
+      return node.items.some(item => evaluateTree(item, event));
+    case 'not':
+      return !evaluateTree(node.item, event);
+    default:
+      return matchesLeaf(node, event);
+  }
+};
+
+// Compilar una vez las expresiones regulares de un árbol antes de evaluarlo contra los eventos
+const compileTree = (node) => {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      node.items.forEach(compileTree);
+      break;
+    case 'not':
+      compileTree(node.item);
+      break;
+    case 'regex':
+      if (!node.pattern) node.pattern = compileRegex(node.value);
+      break;
+    default:
+      break;
+  }
+  return node;
+};
+
+// Quitar escapes de un valor sin comillas conservando \* y \? como literales
+const unescapeBare = (value) => value.replace(/\\([^*?\\])/g, '$1');
+
+// Construir la hoja de una condición "campo=valor" o "campo:valor"
+const buildFieldMatch = (field, rawValue) => {
+  if (/^"[\s\S]*"$/.test(rawValue)) {
+    return { type: 'match', field, value: parseWildcards(rawValue.slice(1, -1).replace(/\\"/g, '"')) };
+  }
+  if (/^\/[\s\S]*\/$/.test(rawValue)) {
+    const value = rawValue.slice(1, -1).replace(/\\\//g, '/');
+    return { type: 'regex', field, value, pattern: compileRegex(value) };
+  }
+  return { type: 'match', field, value: parseWildcards(unescapeBare(rawValue)) };
+};
+
+// Analizar el dialecto simple: términos campo=valor / campo:valor, "palabra", AND/OR/NOT y paréntesis
+// Los términos contiguos sin operador se combinan con AND (como en SPL)
+const parseFieldMatchQuery = (query) => {
+  const pattern = /\s*(\(|\)|[^\s()=:"]+(?:=|:)"(?:[^"\\]|\\.)*"|"(?:[^"\\]|\\.)*"|(?:[^\s()\\]|\\.)+)/g;
+  const tokens = [];
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[1]) tokens.push(match[1]);
+  }
+
+  if (tokens.length === 0) {
+    throw new QueryEvaluationError('La consulta está vacía');
+  }
+  if (/^\w+\s+where$/i.test(tokens.slice(0, 2).join(' ')) || tokens[0] === '|' || tokens.includes('|')) {
+    throw new QueryEvaluationError('La consulta usa sintaxis de pipeline o EQL no soportada por el evaluador');
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOperator = (token, operator) => token !== undefined && token.toUpperCase() === operator;
+  const group = (type, items) => (items.length === 1 ? items[0] : { type, items });
+
+  let parseExpression;
+
+  const parseFactor = () => {
+    const token = tokens[position++];
+
+    if (token === undefined) {
+      throw new QueryEvaluationError('La consulta termina de forma inesperada');
+    }
+    if (isOperator(token, 'NOT')) {
+      return { type: 'not', item: parseFactor() };
+    }
+    if (token === '(') {
+      const item = parseExpression();
+      if (tokens[position++] !== ')') {
+        throw new QueryEvaluationError('Falta un paréntesis de cierre en la consulta');
+      }
+      return item;
+    }
+    if (token === ')' || isOperator(token, 'AND') || isOperator(token, 'OR')) {
+      throw new QueryEvaluationError(`Token inesperado "${token}" en la consulta`);
+    }
+
+    const term = token.match(/^([^\s=:"]+)(=|:)([\s\S]+)$/);
+    if (term) {
+      if (term[1] === '_exists_') {
+        return { type: 'match', field: term[3], value: [{ wildcard: '*' }] };
+      }
+      return buildFieldMatch(term[1], term[3]);
+    }
+
+    // Palabra clave libre
+    const keyword = /^"[\s\S]*"$/.test(token) ? token.slice(1, -1).replace(/\\"/g, '"') : unescapeBare(token);
+    return { type: 'match', field: null, value: parseWildcards(keyword) };
+  };
+
+  const parseTerm = () => {
+    const items = [parseFactor()];
+    while (position < tokens.length && peek() !== ')' && !isOperator(peek(), 'OR')) {
+      if (isOperator(peek(), 'AND')) position++;
+      items.push(parseFactor());
+    }
+    return group('and', items);
+  };
+
+  parseExpression = () => {
+    const items = [parseTerm()];
+    while (isOperator(peek(), 'OR')) {
+      position++;
+      items.push(parseTerm());
+    }
+    return group('or', items);
+  };
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new QueryEvaluationError(`Token inesperado "${peek()}" en la consulta`);
+  }
+
+  return tree;
+};
+
+// Contar los eventos que coinciden con un árbol
+const countMatches = (tree, events) => events.reduce((count, event) => count + (evaluateTree(tree, event) ? 1 : 0), 0);
+
+module.exports = {
+  MAX_FIXTURE_EVENTS,
+  QueryEvaluationError,
+  parseEvents,
+  normalizeEvent,
+  getFieldValue,
+  evaluateTree,
+  compileTree,
+  parseFieldMatchQuery,
+  countMatches
+};
@@ -0,0 +1,130 @@
+// Utilidades para calcular y aplicar diferencias entre versiones de documentos
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Normalizar un valor para compararlo: ObjectId y fechas a texto, sin _id de subdocumentos
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const plain = JSON.parse(JSON.stringify(value));
+
+  const strip = (item) => {
+    if (Array.isArray(item)) return item.map(strip);
+    if (isPlainObject(item)) {
+      return Object.keys(item).reduce((acc, key) => {
+        if (key !== '_id' && key !== 'id') acc[key] = strip(item[key]);
+        return acc;
+      }, {});
+    }
+    return item;
+  };
+
+  return strip(plain);
+};
+
+const isEqual = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+// Calcular diferencias campo a campo; los objetos anidados se comparan por ruta
+// (p.ej. "detection.description") y los arreglos como un único valor
+const diffValues = (oldValues = {}, newValues = {}, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(oldValues || {}), ...Object.keys(newValues || {})]);
+
+  keys.forEach(key => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const oldValue = normalizeValue(oldValues ? oldValues[key] : null);
+    const newValue = normalizeValue(newValues ? newValues[key] : null);
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      changes.push(...diffValues(oldValue, newValue, field));
+    } else if (!isEqual(oldValue, newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+  });
+
+  return changes;
+};
+
+// Asignar un valor en un objeto plano usando una ruta con puntos
+const setPath = (target, path, value) => {
+  const parts = path.split('.');
+  let current = target;
+
+  parts.slice(0, -1).forEach(part => {
+    if (!isPlainObject(current[part])) current[part] = {};
+    current = current[part];
+  });
+
+  current[parts[parts.length - 1]] = value;
+  return target;
+};
+
+// Límite de celdas de la tabla LCS antes de comparar por líneas en lugar de palabras
+const MAX_LCS_CELLS = 4000000;
+
+// Calcular la secuencia de operaciones entre dos listas de tokens (LCS)
+const diffTokens = (oldTokens, newTokens) => {
+  const rows = oldTokens.length;
+  const cols = newTokens.length;
+  const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[i][j] = oldTokens[i] === newTokens[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  const push = (type, value) => {
+    const last = operations[operations.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      operations.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('equal', oldTokens[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push('removed', oldTokens[i++]);
+    } else {
+      push('added', newTokens[j++]);
+    }
+  }
+  while (i < rows) push('removed', oldTokens[i++]);
+  while (j < cols) push('added', newTokens[j++]);
+
+  return operations;
+};
+
+// Diff de texto por palabras (conservando espacios); en textos muy largos se compara por líneas
+const diffText = (oldText, newText) => {
+  const tokenize = (text, byLine) => (text || '').match(byLine ? /[^\n]*\n|[^\n]+$/g : /\s+|[^\s]+/g) || [];
+
+  let oldTokens = tokenize(oldText, false);
+  let newTokens = tokenize(newText, false);
+
+  if (oldTokens.length * newTokens.length > MAX_LCS_CELLS) {
+    oldTokens = tokenize(oldText, true);
+    newTokens = tokenize(newText, true);
+  }
+
+  return diffTokens(oldTokens, newTokens);
+};
+
+module.exports = {
+  normalizeValue,
+  isEqual,
+  diffValues,
+  diffText,
+  setPath
+};
@@ -0,0 +1,98 @@
+// Utilidades para generar capas de ATT&CK Navigator
+
+const NAVIGATOR_VERSIONS = {
+  attack: '14',
+  navigator: '4.9.1',
+  layer: '4.5'
+};
+
+// Puntuación numérica para cada nivel de riesgo
+const RISK_SCORES = {
+  Low: 1,
+  Medium: 2,
+  High: 3,
+  Critical: 4
+};
+
+// Métodos de puntuación disponibles
+const SCORERS = {
+  risk: (technique) => RISK_SCORES[technique.riskLevel] || 0,
+  coverage: (technique) => ((technique.detection && technique.detection.queries) || []).length
+};
+
+// Construir una capa de Navigator a partir de técnicas con MITRE ID
+const buildLayer = ({
+  techniques,
+  scoreBy = 'risk',
+  name = 'Exportación de técnicas',
+  domain = 'enterprise-attack',
+  platforms = []
+}) => {
+  const scorer = SCORERS[scoreBy] || SCORERS.risk;
+  const legend = new Map();
+  let maxScore = 0;
+
+  const entries = techniques
+    .filter(technique => technique.mitreid)
+    .map(technique => {
+      const score = scorer(technique);
+      maxScore = Math.max(maxScore, score);
+
+      const category = technique.category;
+      if (category && category.color) {
+        legend.set(category.name, category.color);
+      }
+
+      return {
+        techniqueID: technique.mitreid,
+        score,
+        ...(category && category.color && { color: category.color }),
+        comment: technique.name,
+        enabled: technique.status !== 'Deprecated',
+        metadata: [
+          { name: 'riskLevel', value: technique.riskLevel || '' },
+          { name: 'status', value: technique.status || '' },
+          { name: 'detectionQueries', value: String(SCORERS.coverage(technique)) },
+          ...(category ? [{ name: 'category', value: category.name }] : [])
+        ],
+        showSubtechniques: false
+      };
+    });
+
+  return {
+    name,
+    versions: NAVIGATOR_VERSIONS,
+    domain,
+    description: `Generado el ${new Date().toISOString()} con puntuación por ${scoreBy === 'coverage' ? 'cobertura de detección' : 'nivel de riesgo'}`,
+    filters: {
+      platforms
+    },
+    sorting: 3,
+    layout: {
+      layout: 'side',
+      aggregateFunction: 'average',
+      showID: true,
+      showName: true,
+      showAggregateScores: false,
+      countUnscored: false
+    },
+    hideDisabled: false,
+    techniques: entries,
+    gradient: {
+      colors: ['#ffffff', '#ff6666'],
+      minValue: 0,
+      maxValue: Math.max(maxScore, 1)
+    },
+    legendItems: Array.from(legend.entries()).map(([label, color]) => ({ label, color })),
+    metadata: [],
+    showTacticRowBackground: false,
+    selectTechniquesAcrossTactics: true,
+    selectSubtechniquesWithParent: false
+  };
+};
+
+module.exports = {
+  RISK_SCORES,
+  SCORERS,
+  buildLayer
+};
@@ -0,0 +1,268 @@
+const yaml = require('js-yaml');
+
+// Utilidades para reglas de detección Sigma (https://sigmahq.io)
+
+const RULE_STATUSES = ['experimental', 'test', 'stable'];
+const RULE_LEVELS = ['informational', 'low', 'medium', 'high', 'critical'];
+const LOGSOURCE_FIELDS = ['product', 'category', 'service'];
+const DETECTION_RESERVED_KEYS = ['condition', 'timeframe'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ATTACK_TAG_PATTERN = /^attack\.(t\d{4}(?:\.\d{3})?)$/i;
+
+// Dividir una condición en tokens (paréntesis, palabras clave e identificadores)
+const tokenizeCondition = (condition) => {
+  const tokens = [];
+  const pattern = /\s*(\(|\)|\||[^\s()|]+)/g;
+  let match;
+
+  while ((match = pattern.exec(condition)) !== null) {
+    if (match[1]) tokens.push(match[1]);
+  }
+
+  return tokens;
+};
+
+// Convertir un identificador con comodines en expresión regular
+const wildcardToRegex = (identifier) => new RegExp(
+  `^${identifier.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`
+);
+
+// Analizar una condición y construir su árbol contra los identificadores de búsqueda definidos
+// Gramática: expr := term ('or' term)* ; term := factor ('and' factor)* ;
+// factor := 'not' factor | '(' expr ')' | ('1'|'all'|N) 'of' (patrón|'them') | identificador
+// Nodos: { type: 'or'|'and', items } | { type: 'not', item } | { type: 'id', name } |
+//        { type: 'of', quantifier, identifiers }
+const parseCondition = (condition, identifiers) => {
+  const tokens = tokenizeCondition(condition);
+  const errors = [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isKeyword = (token, keyword) => token !== undefined && token.toLowerCase() === keyword;
+
+  const fail = (message) => {
+    errors.push(message);
+    position = tokens.length;
+    return null;
+  };
+
+  // Reducir listas de un solo elemento al propio elemento
+  const group = (type, items) => (items.length === 1 ? items[0] : { type, items });
+
+  let parseExpression;
+
+  const parseFactor = () => {
+    const token = next();
+
+    if (token === undefined) {
+      return fail('La condición termina de forma inesperada');
+    }
+
+    if (isKeyword(token, 'not')) {
+      const item = parseFactor();
+      return item && { type: 'not', item };
+    }
+
+    if (token === '(') {
+      const item = parseExpression();
+      if (errors.length === 0 && next() !== ')') {
+        return fail('Falta un paréntesis de cierre en la condición');
+      }
+      return item;
+    }
+
+    if (token === ')' || token === '|' || ['and', 'or', 'of'].includes(token.toLowerCase())) {
+      return fail(`Token inesperado "${token}" en la condición`);
+    }
+
+    if (isKeyword(peek(), 'of')) {
+      if (!/^(\d+|all)$/i.test(token)) {
+        return fail(`Cuantificador inválido "${token}" (usa un número o "all")`);
+      }
+      next();
+      const target = next();
+      if (target === undefined) {
+        return fail(`Falta el objetivo después de "${token} of"`);
+      }
+      const matches = isKeyword(target, 'them')
+        ? identifiers
+        : identifiers.filter(id => wildcardToRegex(target).test(id));
+      if (matches.length === 0) {
+        return fail(`El patrón "${target}" no coincide con ningún identificador de búsqueda`);
+      }
+      return { type: 'of', quantifier: token.toLowerCase(), identifiers: matches };
+    }
+
+    if (!identifiers.includes(token)) {
+      return fail(`El identificador "${token}" no está definido en detection`);
+    }
+
+    return { type: 'id', name: token };
+  };
+
+  const parseTerm = () => {
+    const items = [parseFactor()];
+    while (errors.length === 0 && isKeyword(peek(), 'and')) {
+      next();
+      items.push(parseFactor());
+    }
+    return group('and', items);
+  };
+
+  parseExpression = () => {
+    const items = [parseTerm()];
+    while (errors.length === 0 && isKeyword(peek(), 'or')) {
+      next();
+      items.push(parseTerm());
+    }
+    return group('or', items);
+  };
+
+  if (tokens.length === 0) {
+    return { ast: null, errors: ['La condición está vacía'] };
+  }
+
+  const ast = parseExpression();
+
+  if (errors.length === 0 && position < tokens.length) {
+    const token = peek();
+    errors.push(token === '|'
+      ? 'Las agregaciones con "|" no están soportadas en la condición'
+      : `Token inesperado "${token}" en la condición`);
+  }
+
+  return { ast: errors.length === 0 ? ast : null, errors };
+};
+
+// Validar la sintaxis de una condición; devuelve la lista de errores
+const validateCondition = (condition, identifiers) => parseCondition(condition, identifiers).errors;
+
+// Analizar y validar una regla Sigma en YAML; devuelve { rule, errors }
+const parseSigmaRule = (content) => {
+  const errors = [];
+  let rule;
+
+  if (!content || typeof content !== 'string') {
+    return { rule: null, errors: ['El contenido YAML de la regla es requerido'] };
+  }
+
+  try {
+    rule = yaml.load(content);
+  } catch (error) {
+    return { rule: null, errors: [`YAML inválido: ${error.reason || error.message}`] };
+  }
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { rule: null, errors: ['La regla debe ser un documento YAML con formato de objeto'] };
+  }
+
+  // Campos requeridos
+  if (!rule.title || typeof rule.title !== 'string') {
+    errors.push('El campo "title" es requerido');
+  }
+
+  if (rule.id !== undefined && !UUID_PATTERN.test(String(rule.id))) {
+    errors.push('El campo "id" debe ser un UUID');
+  }
+
+  if (rule.status !== undefined && !RULE_STATUSES.includes(rule.status)) {
+    errors.push(`Estado inválido "${rule.status}". Valores permitidos: ${RULE_STATUSES.join(', ')}`);
+  }
+
+  if (rule.level !== undefined && !RULE_LEVELS.includes(rule.level)) {
+    errors.push(`Nivel inválido "${rule.level}". Valores permitidos: ${RULE_LEVELS.join(', ')}`);
+  }
+
+  if (rule.tags !== undefined && !Array.isArray(rule.tags)) {
+    errors.push('El campo "tags" debe ser una lista');
+  }
+
+  // logsource: al menos product, category o service
+  const { logsource } = rule;
+  if (!logsource || typeof logsource !== 'object' || Array.isArray(logsource)) {
+    errors.push('El campo "logsource" es requerido y debe ser un objeto');
+  } else {
+    const definedFields = LOGSOURCE_FIELDS.filter(field => logsource[field] !== undefined);
+    if (definedFields.length === 0) {
+      errors.push('logsource debe definir al menos uno de: product, category, service');
+    }
+    definedFields
+      .filter(field => typeof logsource[field] !== 'string' || !logsource[field].trim())
+      .forEach(field => errors.push(`logsource.${field} debe ser un texto no vacío`));
+  }
+
+  // detection: identificadores de búsqueda + condition
+  const { detection } = rule;
+  if (!detection || typeof detection !== 'object' || Array.isArray(detection)) {
+    errors.push('El campo "detection" es requerido y debe ser un objeto');
+  } else {
+    const identifiers = Object.keys(detection).filter(key => !DETECTION_RESERVED_KEYS.includes(key));
+
+    if (identifiers.length === 0) {
+      errors.push('detection debe definir al menos un identificador de búsqueda');
+    }
+
+    identifiers
+      .filter(key => !detection[key] || typeof detection[key] !== 'object')
+      .forEach(key => errors.push(`El identificador "${key}" debe ser un mapa o una lista`));
+
+    const conditions = Array.isArray(detection.condition) ? detection.condition : [detection.condition];
+    if (detection.condition === undefined) {
+      errors.push('detection.condition es requerido');
+    } else if (conditions.some(condition => typeof condition !== 'string')) {
+      errors.push('detection.condition debe ser un texto o una lista de textos');
+    } else {
+      conditions.forEach(condition => errors.push(...validateCondition(condition, identifiers)));
+    }
+  }
+
+  return { rule, errors };
+};
+
+// Extraer los MITRE ID de técnicas a partir de las etiquetas attack.tXXXX
+const extractAttackIds = (rule) => Array.from(new Set(
+  ((rule && Array.isArray(rule.tags)) ? rule.tags : [])
+    .map(tag => String(tag).match(ATTACK_TAG_PATTERN))
+    .filter(Boolean)
+    .map(match => match[1].toUpperCase())
+));
+
+// Actualizar la línea "status:" del YAML conservando el resto del documento
+const setRuleStatus = (content, status) => {
+  if (/^status:.*$/m.test(content)) {
+    return content.replace(/^status:.*$/m, `status: ${status}`);
+  }
+
+  // Sin estado previo: insertarlo después del título
+  if (/^title:.*$/m.test(content)) {
+    return content.replace(/^(title:.*)$/m, `$1\nstatus: ${status}`);
+  }
+
+  return `status: ${status}\n${content}`;
+};
+
+// Nombre de archivo seguro para exportar la regla
+const toRuleFilename = (title, suffix = '') => {
+  const base = String(title || 'rule')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80) || 'rule';
+
+  return `${base}${suffix ? `_${suffix}` : ''}.yml`;
+};
+
+module.exports = {
+  RULE_STATUSES,
+  RULE_LEVELS,
+  tokenizeCondition,
+  parseCondition,
+  validateCondition,
+  parseSigmaRule,
+  extractAttackIds,
+  setRuleStatus,
+  toRuleFilename
+};
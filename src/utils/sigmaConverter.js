@@ -0,0 +1,265 @@
+const { parseCondition } = require('./sigma');
+
+// Conversión de reglas Sigma a consultas de SIEM (SPL, KQL, Lucene, EQL)
+// Primero se construye un árbol booleano neutro y después cada backend lo serializa.
+
+const SUPPORTED_MODIFIERS = ['contains', 'startswith', 'endswith', 'all', 're', 'cidr'];
+
+// Comodines de Sigma dentro de los valores
+const WILDCARD_MULTI = { wildcard: '*' };
+const WILDCARD_SINGLE = { wildcard: '?' };
+
+class SigmaConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SigmaConversionError';
+  }
+}
+
+// Separar un valor de Sigma en texto literal y comodines (\* y \? son literales)
+const parseWildcards = (value) => {
+  const parts = [];
+  let text = '';
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && ['*', '?', '\\'].includes(value[i + 1])) {
+      text += value[++i];
+    } else if (char === '*' || char === '?') {
+      if (text) parts.push(text);
+      parts.push(char === '*' ? WILDCARD_MULTI : WILDCARD_SINGLE);
+      text = '';
+    } else {
+      text += char;
+    }
+  }
+
+  if (text) parts.push(text);
+  return parts;
+};
+
+// Construir una hoja de comparación para un campo y un valor con sus modificadores
+const buildMatch = (field, value, modifiers) => {
+  if (value === null) {
+    return { type: 'null', field };
+  }
+
+  if (modifiers.includes('re')) {
+    return { type: 'regex', field, value: String(value) };
+  }
+
+  if (modifiers.includes('cidr')) {
+    return { type: 'cidr', field, value: String(value) };
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return { type: 'match', field, value: [String(value)], numeric: true };
+  }
+
+  let parts = parseWildcards(String(value));
+  if (modifiers.includes('contains') || modifiers.includes('endswith')) {
+    parts = [WILDCARD_MULTI, ...parts];
+  }
+  if (modifiers.includes('contains') || modifiers.includes('startswith')) {
+    parts = [...parts, WILDCARD_MULTI];
+  }
+
+  return { type: 'match', field, value: parts };
+};
+
+// Agrupar nodos evitando grupos de un solo elemento y aplanando grupos del mismo tipo
+const group = (type, items) => {
+  const flat = items.reduce((acc, item) => acc.concat(item.type === type ? item.items : [item]), []);
+  return flat.length === 1 ? flat[0] : { type, items: flat };
+};
+
+// Convertir un identificador de búsqueda (mapa, lista de mapas o lista de palabras clave)
+const convertSearch = (definition, fieldMapping) => {
+  if (Array.isArray(definition)) {
+    return group('or', definition.map(item => (item !== null && typeof item === 'object'
+      ? convertSearch(item, fieldMapping)
+      : buildMatch(null, item, []))));
+  }
+
+  return group('and', Object.entries(definition).map(([key, rawValue]) => {
+    const [sigmaField, ...modifiers] = key.split('|');
+
+    const unsupported = modifiers.filter(modifier => !SUPPORTED_MODIFIERS.includes(modifier));
+    if (unsupported.length > 0) {
+      throw new SigmaConversionError(`Modificador no soportado: ${unsupported.join(', ')}`);
+    }
+
+    const field = fieldMapping[sigmaField] || sigmaField;
+    const values = Array.isArray(rawValue) ? rawValue : [rawValue];
+    return group(modifiers.includes('all') ? 'and' : 'or', values.map(value => buildMatch(field, value, modifiers)));
+  }));
+};
+
+// Construir el árbol booleano completo de la regla
+const buildQueryTree = (rule, fieldMapping) => {
+  const { detection } = rule;
+  const identifiers = Object.keys(detection).filter(key => !['condition', 'timeframe'].includes(key));
+  const conditions = Array.isArray(detection.condition) ? detection.condition : [detection.condition];
+
+  const convertNode = (node) => {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return group(node.type, node.items.map(convertNode));
+      case 'not':
+        return { type: 'not', item: convertNode(node.item) };
+      case 'of':
+        if (node.quantifier !== '1' && node.quantifier !== 'all') {
+          throw new SigmaConversionError(`El cuantificador "${node.quantifier} of" no se puede convertir`);
+        }
+        return group(node.quantifier === 'all' ? 'and' : 'or',
+          node.identifiers.map(id => convertSearch(detection[id], fieldMapping)));
+      default:
+        return convertSearch(detection[node.name], fieldMapping);
+    }
+  };
+
+  return group('or', conditions.map(condition => {
+    const { ast, errors } = parseCondition(condition, identifiers);
+    if (errors.length > 0) {
+      throw new SigmaConversionError(errors.join('; '));
+    }
+    return convertNode(ast);
+  }));
+};
+
+// Serializar el árbol con los operadores y la sintaxis de hojas de cada backend
+const serialize = (node, syntax, nested = false) => {
+  if (node.type === 'and' || node.type === 'or') {
+    const text = node.items.map(item => serialize(item, syntax, true)).join(` ${syntax[node.type]} `);
+    return nested ? `(${text})` : text;
+  }
+
+  if (node.type === 'not') {
+    return `${syntax.not} ${serialize(node.item, syntax, true)}`;
+  }
+
+  const renderer = syntax.leaf[node.type];
+  if (!renderer) {
+    throw new SigmaConversionError(`El backend ${syntax.name} no soporta comparaciones de tipo "${node.type}"`);
+  }
+  if (!node.field && !syntax.keywords) {
+    throw new SigmaConversionError(`El backend ${syntax.name} no soporta búsquedas por palabra clave`);
+  }
+
+  return renderer(node);
+};
+
+// Unir las partes de un valor con las funciones de escape y comodín de cada backend
+const joinParts = (parts, escape, wildcards) => parts.map(part => {
+  if (typeof part === 'string') return escape(part);
+  if (!wildcards[part.wildcard]) {
+    throw new SigmaConversionError(`El comodín "${part.wildcard}" no está soportado`);
+  }
+  return wildcards[part.wildcard];
+}).join('');
+
+const hasWildcards = (parts) => parts.some(part => typeof part !== 'string');
+
+const quoteEscape = (text) => text.replace(/[\\"]/g, '\\$&');
+const luceneEscape = (text) => text.replace(/[+\-=&|><!(){}[\]^"~*?:\\/\s]/g, '\\$&');
+const kqlEscape = (text) => text.replace(/[\\():<>"*{}\s]/g, '\\$&');
+
+const SYNTAXES = {
+  splunk: {
+    name: 'SPL',
+    and: 'AND',
+    or: 'OR',
+    not: 'NOT',
+    keywords: true,
+    leaf: {
+      match: ({ field, value, numeric }) => {
+        const text = numeric ? value[0] : `"${joinParts(value, quoteEscape, { '*': '*' })}"`;
+        return field ? `${field}=${text}` : text;
+      },
+      cidr: ({ field, value }) => `${field}="${value}"`,
+      null: ({ field }) => `NOT ${field}=*`
+    }
+  },
+  kql: {
+    name: 'KQL',
+    and: 'and',
+    or: 'or',
+    not: 'not',
+    keywords: true,
+    leaf: {
+      // En KQL los valores entre comillas no admiten comodines
+      match: ({ field, value, numeric }) => {
+        const text = numeric ? value[0]
+          : hasWildcards(value) ? joinParts(value, kqlEscape, { '*': '*' })
+            : `"${joinParts(value, quoteEscape, {})}"`;
+        return field ? `${field}:${text}` : text;
+      },
+      cidr: ({ field, value }) => `${field}:"${value}"`,
+      null: ({ field }) => `not ${field}:*`
+    }
+  },
+  lucene: {
+    name: 'Lucene',
+    and: 'AND',
+    or: 'OR',
+    not: 'NOT',
+    keywords: true,
+    leaf: {
+      match: ({ field, value, numeric }) => {
+        const text = numeric ? value[0] : joinParts(value, luceneEscape, { '*': '*', '?': '?' });
+        return field ? `${field}:${text}` : text;
+      },
+      regex: ({ field, value }) => `${field}:/${value.replace(/\//g, '\\/')}/`,
+      cidr: ({ field, value }) => `${field}:"${value}"`,
+      null: ({ field }) => `NOT _exists_:${field}`
+    }
+  },
+  eql: {
+    name: 'EQL',
+    and: 'and',
+    or: 'or',
+    not: 'not',
+    keywords: false,
+    leaf: {
+      // El operador ":" de EQL es insensible a mayúsculas y admite comodines
+      match: ({ field, value, numeric }) => (numeric
+        ? `${field} == ${value[0]}`
+        : `${field} : "${joinParts(value, quoteEscape, { '*': '*', '?': '?' })}"`),
+      regex: ({ field, value }) => `${field} regex~ "${quoteEscape(value)}"`,
+      cidr: ({ field, value }) => `cidrMatch(${field}, "${value}")`,
+      null: ({ field }) => `${field} == null`
+    }
+  }
+};
+
+// Categoría de evento de EQL según el logsource de Sigma
+const getEqlCategory = (logsource = {}) => {
+  const category = logsource.category || '';
+  if (category === 'process_creation') return 'process';
+  if (category === 'network_connection') return 'network';
+  if (category === 'image_load') return 'library';
+  if (category.startsWith('file_')) return 'file';
+  if (category.startsWith('registry_')) return 'registry';
+  if (category.startsWith('dns')) return 'dns';
+  return 'any';
+};
+
+// Convertir una regla Sigma ya analizada al lenguaje de consulta de un backend
+const convertRule = (rule, backend, fieldMapping = {}) => {
+  const syntax = SYNTAXES[backend];
+  if (!syntax) {
+    throw new SigmaConversionError(`Backend desconocido "${backend}". Disponibles: ${Object.keys(SYNTAXES).join(', ')}`);
+  }
+
+  const query = serialize(buildQueryTree(rule, fieldMapping), syntax);
+  return backend === 'eql' ? `${getEqlCategory(rule.logsource)} where ${query}` : query;
+};
+
+module.exports = {
+  SUPPORTED_BACKENDS: Object.keys(SYNTAXES),
+  SigmaConversionError,
+  parseWildcards,
+  buildQueryTree,
+  convertRule
+};
@@ -0,0 +1,225 @@
+// Utilidades para la Declaración de Aplicabilidad (SoA) de ISO/IEC 27001:2022
+const { toCsvLine, LIST_SEPARATOR } = require('./spreadsheet');
+
+const IMPLEMENTATION_STATUSES = ['Not Implemented', 'Planned', 'Partially Implemented', 'Implemented'];
+
+const IMPLEMENTATION_LABELS = {
+  'Not Implemented': 'No implementado',
+  Planned: 'Planificado',
+  'Partially Implemented': 'Parcialmente implementado',
+  Implemented: 'Implementado'
+};
+
+const SOA_COLUMNS = ['Control', 'Nombre', 'Tema', 'Aplicable', 'Justificación', 'Estado de implementación', 'Técnicas vinculadas'];
+
+// Construir las entradas de la SoA a partir de controles con sus técnicas pobladas
+const buildSoaEntries = (controls) => controls.map(control => {
+  const applicability = control.applicability || {};
+
+  return {
+    controlId: control.controlId,
+    name: control.name,
+    theme: control.theme,
+    applicable: typeof applicability.applicable === 'boolean' ? applicability.applicable : null,
+    justification: applicability.justification || '',
+    implementationStatus: applicability.applicable ? applicability.implementationStatus || null : null,
+    techniques: (control.techniques || []).filter(Boolean).map(technique => ({
+      mitreid: technique.mitreid,
+      name: technique.name,
+      riskLevel: technique.riskLevel,
+      status: technique.status
+    }))
+  };
+});
+
+// Controles sin decisión o sin justificación (impiden emitir la SoA)
+const findPendingEntries = (entries) => entries
+  .filter(entry => entry.applicable === null || !entry.justification.trim() ||
+    (entry.applicable && !entry.implementationStatus))
+  .map(entry => ({
+    controlId: entry.controlId,
+    name: entry.name,
+    reason: entry.applicable === null ? 'Sin decisión de aplicabilidad'
+      : !entry.justification.trim() ? 'Sin justificación'
+        : 'Sin estado de implementación'
+  }));
+
+// Resumen de aplicabilidad e implementación
+const summarizeSoa = (entries) => {
+  const applicable = entries.filter(entry => entry.applicable === true);
+
+  return {
+    total: entries.length,
+    applicable: applicable.length,
+    notApplicable: entries.filter(entry => entry.applicable === false).length,
+    undecided: entries.filter(entry => entry.applicable === null).length,
+    byImplementationStatus: IMPLEMENTATION_STATUSES.reduce((acc, status) => {
+      acc[status] = applicable.filter(entry => entry.implementationStatus === status).length;
+      return acc;
+    }, {})
+  };
+};
+
+const formatApplicable = (applicable) => {
+  if (applicable === null || applicable === undefined) return 'Pendiente';
+  return applicable ? 'Sí' : 'No';
+};
+
+const formatImplementation = (entry) => {
+  if (entry.applicable === false) return 'N/A';
+  return IMPLEMENTATION_LABELS[entry.implementationStatus] || 'Pendiente';
+};
+
+const formatTechnique = (technique) =>
+  `${technique.mitreid ? `${technique.mitreid} ` : ''}${technique.name} (${technique.riskLevel}, ${technique.status})`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const getTitle = (soa) => (soa.version
+  ? `Declaración de Aplicabilidad v${soa.version}`
+  : 'Declaración de Aplicabilidad (borrador)');
+
+// Fila de valores de texto común a todos los formatos
+const toRow = (entry) => [
+  entry.controlId,
+  entry.name,
+  entry.theme,
+  formatApplicable(entry.applicable),
+  entry.justification,
+  formatImplementation(entry),
+  entry.techniques.map(formatTechnique).join(LIST_SEPARATOR)
+];
+
+// Agrupar entradas por tema conservando el orden del Anexo A
+const groupByTheme = (entries) => entries.reduce((groups, entry) => {
+  const last = groups[groups.length - 1];
+  if (last && last.theme === entry.theme) {
+    last.entries.push(entry);
+  } else {
+    groups.push({ theme: entry.theme, entries: [entry] });
+  }
+  return groups;
+}, []);
+
+// CSV con BOM para que Excel detecte UTF-8
+const renderCsv = (soa) => `\uFEFF${toCsvLine(SOA_COLUMNS)}${soa.entries.map(entry => toCsvLine(toRow(entry))).join('')}`;
+
+const escapeMarkdown = (value) => String(value || '')
+  .replace(/\|/g, '\\|')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\r?\n/g, '<br>');
+
+const renderMarkdown = (soa) => {
+  const lines = [
+    `# ${getTitle(soa)}`,
+    '',
+    `- **Norma:** ${soa.standard}`,
+    `- **Versión:** ${soa.version || 'Borrador'}`,
+    `- **Fecha:** ${formatDate(soa.issuedAt)}`
+  ];
+
+  if (soa.issuedBy) lines.push(`- **Emitida por:** ${soa.issuedBy}`);
+  if (soa.notes) lines.push(`- **Notas:** ${escapeMarkdown(soa.notes)}`);
+
+  const { summary } = soa;
+  lines.push(
+    `- **Controles:** ${summary.total} (${summary.applicable} aplicables, ${summary.notApplicable} no aplicables)`,
+    ''
+  );
+
+  groupByTheme(soa.entries).forEach(group => {
+    lines.push(`## ${group.theme}`, '');
+    lines.push(`| ${SOA_COLUMNS.filter(column => column !== 'Tema').join(' | ')} |`);
+    lines.push(`|${SOA_COLUMNS.filter(column => column !== 'Tema').map(() => ' --- ').join('|')}|`);
+
+    group.entries.forEach(entry => {
+      const [controlId, name, , applicable, justification, implementation, techniques] = toRow(entry);
+      lines.push(`| ${[controlId, name, applicable, justification, implementation, techniques].map(escapeMarkdown).join(' | ')} |`);
+    });
+
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderHtml = (soa) => {
+  const title = escapeHtml(getTitle(soa));
+  const { summary } = soa;
+  const columns = SOA_COLUMNS.filter(column => column !== 'Tema');
+
+  const metadata = [
+    ['Norma', soa.standard],
+    ['Versión', soa.version || 'Borrador'],
+    ['Fecha', formatDate(soa.issuedAt)],
+    ['Emitida por', soa.issuedBy],
+    ['Notas', soa.notes],
+    ['Controles', `${summary.total} (${summary.applicable} aplicables, ${summary.notApplicable} no aplicables)`]
+  ].filter(([, value]) => value);
+
+  const body = groupByTheme(soa.entries).map(group => [
+    `<tr class="theme"><th colspan="${columns.length}">${escapeHtml(group.theme)}</th></tr>`,
+    ...group.entries.map(entry => {
+      const [controlId, name, , applicable, justification, implementation] = toRow(entry);
+      const techniques = entry.techniques.map(technique => `<li>${escapeHtml(formatTechnique(technique))}</li>`).join('');
+      return `<tr><td>${escapeHtml(controlId)}</td><td>${escapeHtml(name)}</td><td>${escapeHtml(applicable)}</td>` +
+        `<td>${escapeHtml(justification).replace(/\r?\n/g, '<br>')}</td><td>${escapeHtml(implementation)}</td>` +
+        `<td>${techniques ? `<ul>${techniques}</ul>` : ''}</td></tr>`;
+    })
+  ].join('\n')).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; margin: 24px; color: #222; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+thead th { background: #eee; }
+tr.theme th { background: #ddd; }
+ul { margin: 0; padding-left: 16px; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 2px 12px; }
+dt { font-weight: bold; }
+@media print { tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<dl>
+${metadata.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+</dl>
+<table>
+<thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+// Formatos de exportación admitidos
+const SOA_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: renderCsv },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHtml }
+};
+
+module.exports = {
+  IMPLEMENTATION_STATUSES,
+  SOA_FORMATS,
+  buildSoaEntries,
+  findPendingEntries,
+  summarizeSoa
+};
@@ -0,0 +1,200 @@
+// Utilidades para exportar e importar técnicas en formatos tabulares (CSV y XLSX)
+
+// Separador usado para aplanar listas dentro de una celda
+const LIST_SEPARATOR = ' | ';
+
+// Columnas exportadas: clave, encabezado y ancho sugerido para XLSX
+const TECHNIQUE_COLUMNS = [
+  { key: 'mitreid', header: 'mitreid', width: 14 },
+  { key: 'name', header: 'name', width: 40 },
+  { key: 'description', header: 'description', width: 80 },
+  { key: 'category', header: 'category', width: 25 },
+  { key: 'categoryPath', header: 'categoryPath', width: 40 },
+  { key: 'tactics', header: 'tactics', width: 30 },
+  { key: 'killChainPhases', header: 'killChainPhases', width: 35 },
+  { key: 'platforms', header: 'platforms', width: 30 },
+  { key: 'datasources', header: 'datasources', width: 40 },
+  { key: 'tags', header: 'tags', width: 25 },
+  { key: 'references', header: 'references', width: 60 },
+  { key: 'detectionDescription', header: 'detectionDescription', width: 60 },
+  { key: 'detectionQueries', header: 'detectionQueries', width: 60 },
+  { key: 'mitigationDescription', header: 'mitigationDescription', width: 60 },
+  { key: 'iso27001Reference', header: 'iso27001Reference', width: 20 },
+  { key: 'riskLevel', header: 'riskLevel', width: 12 },
+  { key: 'status', header: 'status', width: 12 },
+  { key: 'version', header: 'version', width: 10 },
+  { key: 'createdBy', header: 'createdBy', width: 18 },
+  { key: 'createdAt', header: 'createdAt', width: 24 },
+  { key: 'updatedAt', header: 'updatedAt', width: 24 }
+];
+
+const joinList = (items) => (items || []).filter(Boolean).join(LIST_SEPARATOR);
+
+const toIsoString = (date) => (date ? new Date(date).toISOString() : '');
+
+// Aplanar una técnica en una fila con valores de texto
+const flattenTechnique = (technique, categoryPath = '') => {
+  const detection = technique.detection || {};
+  const mitigation = technique.mitigation || {};
+
+  return {
+    mitreid: technique.mitreid || '',
+    name: technique.name,
+    description: technique.description,
+    category: technique.category ? technique.category.name : '',
+    categoryPath,
+    tactics: joinList(technique.tactics),
+    killChainPhases: joinList((technique.killChainPhases || [])
+      .map(phase => phase.phaseName && `${phase.killChainName}:${phase.phaseName}`)),
+    platforms: joinList(technique.platforms),
+    datasources: joinList((technique.datasources || []).map(source => source.name)),
+    tags: joinList(technique.tags),
+    references: joinList((technique.references || [])
+      .map(ref => (ref.url ? `${ref.name} (${ref.url})` : ref.name))),
+    detectionDescription: detection.description || '',
+    // Las consultas (SPL, KQL...) suelen contener "|", por eso se separan por línea
+    detectionQueries: (detection.queries || [])
+      .map(q => q.query && (q.platform ? `[${q.platform}] ${q.query}` : q.query))
+      .filter(Boolean)
+      .join('\n'),
+    mitigationDescription: mitigation.description || '',
+    iso27001Reference: technique.iso27001Reference || '',
+    riskLevel: technique.riskLevel || '',
+    status: technique.status || '',
+    version: technique.version || '',
+    createdBy: technique.createdBy ? technique.createdBy.username || '' : '',
+    createdAt: toIsoString(technique.createdAt),
+    updatedAt: toIsoString(technique.updatedAt)
+  };
+};
+
+// Caracteres iniciales que Excel y LibreOffice interpretan como fórmula
+// (también los valores que ya llevan ' delante, para que la reimportación no lo pierda)
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+// Escapar un valor según RFC 4180
+// Los valores que empiezan como una fórmula se prefijan con ' para que la hoja de cálculo no los ejecute
+const escapeCsvValue = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Quitar el prefijo ' que añade escapeCsvValue para que la exportación se pueda reimportar sin cambios
+const unescapeCsvValue = (text) => (/^'+[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// Convertir una lista de valores en una línea CSV
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+// Analizar texto CSV (RFC 4180) y devolver un objeto por fila usando la cabecera
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const content = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Descartar filas vacías
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return records.map(values => keys.reduce((acc, key, index) => {
+    acc[key] = values[index] !== undefined ? unescapeCsvValue(values[index].trim()) : '';
+    return acc;
+  }, {}));
+};
+
+const splitList = (value) => (value ? value.split('|').map(item => item.trim()).filter(Boolean) : []);
+
+// Lista de una celda; undefined si la celda está vacía para no vaciar el campo al actualizar
+const listOrUndefined = (value, mapItem = item => item) => {
+  const items = splitList(value);
+  return items.length > 0 ? items.map(mapItem) : undefined;
+};
+
+// Convertir una fila aplanada (mismas columnas que la exportación) en datos de Technique
+// Las celdas vacías no se incluyen: al actualizar solo cambian las columnas con valor
+// Los campos anidados usan rutas con punto para no reemplazar el objeto completo (p.ej. mitigation.techniques)
+const unflattenTechnique = (row) => {
+  const queries = (row.detectionQueries || '').split(/\r?\n/).map(q => q.trim()).filter(Boolean);
+
+  const data = {
+    mitreid: row.mitreid || undefined,
+    name: row.name || undefined,
+    description: row.description || undefined,
+    category: row.category || undefined,
+    tactics: listOrUndefined(row.tactics),
+    killChainPhases: listOrUndefined(row.killChainPhases, phase => {
+      const separator = phase.indexOf(':');
+      return separator === -1
+        ? { phaseName: phase }
+        : { killChainName: phase.slice(0, separator), phaseName: phase.slice(separator + 1) };
+    }),
+    platforms: listOrUndefined(row.platforms),
+    datasources: listOrUndefined(row.datasources, name => ({ name })),
+    tags: listOrUndefined(row.tags),
+    references: listOrUndefined(row.references, ref => {
+      const match = ref.match(/^(.*?)\s*\((https?:\/\/[^)]+)\)$/);
+      return match ? { name: match[1], url: match[2] } : { name: ref };
+    }),
+    'detection.description': row.detectionDescription || undefined,
+    'detection.queries': queries.length > 0
+      ? queries.map(query => {
+        const match = query.match(/^\[([^\]]+)\]\s*(.*)$/);
+        return match ? { platform: match[1], query: match[2] } : { query };
+      })
+      : undefined,
+    'mitigation.description': row.mitigationDescription || undefined,
+    iso27001Reference: row.iso27001Reference || undefined,
+    riskLevel: row.riskLevel || undefined,
+    status: row.status || undefined
+  };
+
+  // Eliminar campos sin valor para no sobrescribir con vacíos
+  Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+  return data;
+};
+
+module.exports = {
+  LIST_SEPARATOR,
+  TECHNIQUE_COLUMNS,
+  flattenTechnique,
+  unflattenTechnique,
+  escapeCsvValue,
+  toCsvLine,
+  parseCsv
+};
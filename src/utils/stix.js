@@ -0,0 +1,440 @@
+// Utilidades para mapear objetos STIX 2.1 (MITRE ATT&CK) a los modelos locales
+const crypto = require('crypto');
+
+// Longitudes máximas definidas en los esquemas de Technique y Category
+const MAX_TECHNIQUE_NAME = 500;
+const MAX_TECHNIQUE_DESCRIPTION = 5000;
+const MAX_CATEGORY_NAME = 100;
+const MAX_CATEGORY_DESCRIPTION = 500;
+const MAX_MITIGATION_NAME = 200;
+const MAX_MITIGATION_DESCRIPTION = 5000;
+
+// Fuentes de external_references que contienen el ID de MITRE
+const MITRE_SOURCES = ['mitre-attack', 'mitre-mobile-attack', 'mitre-ics-attack'];
+
+// Propiedad propia que marca los course-of-action exportados desde el texto libre technique.mitigation
+// (no son mitigaciones compartidas: al importarlos vuelven al texto libre de su técnica)
+const FREE_TEXT_MITIGATION_PROPERTY = 'x_technique_mitigation';
+
+// Recortar texto para respetar los límites del esquema
+const truncate = (text, max) => {
+  if (!text) return '';
+  const value = String(text).trim();
+  return value.length > max ? `${value.slice(0, max - 3)}...` : value;
+};
+
+// Obtener la referencia externa de MITRE de un objeto STIX
+const getMitreReference = (stixObject) => {
+  const references = stixObject.external_references || [];
+  return references.find(ref => MITRE_SOURCES.includes(ref.source_name) && ref.external_id);
+};
+
+// Obtener el MITRE ID (T1059, TA0002, ...) de un objeto STIX
+const getMitreId = (stixObject) => {
+  const reference = getMitreReference(stixObject);
+  return reference ? reference.external_id : undefined;
+};
+
+// Validar la estructura mínima de un bundle STIX 2.1
+const validateBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object') {
+    return 'El contenido no es un objeto JSON';
+  }
+  if (bundle.type !== 'bundle') {
+    return 'El objeto raíz debe ser de tipo "bundle"';
+  }
+  if (!Array.isArray(bundle.objects)) {
+    return 'El bundle no contiene un arreglo "objects"';
+  }
+  return null;
+};
+
+// Separar los objetos relevantes del bundle
+const parseBundle = (bundle, { includeRevoked = false } = {}) => {
+  const isUsable = (obj) => includeRevoked || !obj.revoked;
+
+  return {
+    tactics: bundle.objects.filter(obj => obj.type === 'x-mitre-tactic' && isUsable(obj)),
+    attackPatterns: bundle.objects.filter(obj => obj.type === 'attack-pattern' && isUsable(obj)),
+    ...collectMitigations(bundle.objects.filter(isUsable))
+  };
+};
+
+// Separar los course-of-action según sus relaciones "mitigates":
+// - mitigations: texto libre por attack-pattern (course-of-action marcados con FREE_TEXT_MITIGATION_PROPERTY)
+// - coursesOfAction: mitigaciones compartidas con los attack-patterns que mitigan (se importan como Mitigation)
+const collectMitigations = (objects) => {
+  const coursesOfAction = new Map();
+  objects
+    .filter(obj => obj.type === 'course-of-action')
+    .forEach(obj => coursesOfAction.set(obj.id, { courseOfAction: obj, targets: [] }));
+
+  const mitigations = new Map();
+  objects
+    .filter(obj => obj.type === 'relationship' && obj.relationship_type === 'mitigates')
+    .forEach(relationship => {
+      const item = coursesOfAction.get(relationship.source_ref);
+      if (!item) return;
+
+      const { courseOfAction } = item;
+      if (!courseOfAction[FREE_TEXT_MITIGATION_PROPERTY]) {
+        if (!item.targets.includes(relationship.target_ref)) item.targets.push(relationship.target_ref);
+        return;
+      }
+
+      const current = mitigations.get(relationship.target_ref) || { description: '', techniques: [] };
+      const text = courseOfAction.description || courseOfAction.name;
+      const mitreIds = (courseOfAction.external_references || [])
+        .filter(ref => MITRE_SOURCES.includes(ref.source_name) && ref.external_id)
+        .map(ref => ref.external_id);
+
+      current.description = current.description ? `${current.description}\n\n${text}` : text;
+      mitreIds
+        .filter(mitreid => !current.techniques.includes(mitreid))
+        .forEach(mitreid => current.techniques.push(mitreid));
+      mitigations.set(relationship.target_ref, current);
+    });
+
+  return {
+    mitigations,
+    coursesOfAction: Array.from(coursesOfAction.values())
+      .filter(({ courseOfAction }) => !courseOfAction[FREE_TEXT_MITIGATION_PROPERTY])
+  };
+};
+
+// Mapear un course-of-action a los datos de Mitigation
+const mapCourseOfActionToMitigation = (courseOfAction) => {
+  const mitreReference = getMitreReference(courseOfAction);
+
+  return {
+    data: {
+      name: truncate(courseOfAction.name, MAX_MITIGATION_NAME),
+      description: truncate(courseOfAction.description || courseOfAction.name, MAX_MITIGATION_DESCRIPTION),
+      mitreid: mitreReference ? mitreReference.external_id : undefined,
+      stixId: courseOfAction.id,
+      references: (courseOfAction.external_references || [])
+        .filter(ref => ref !== mitreReference && ref.source_name)
+        .map(ref => ({
+          name: ref.source_name,
+          url: ref.url,
+          description: ref.description || ''
+        }))
+    }
+  };
+};
+
+// Mapear un x-mitre-tactic a los datos de Category
+const mapTacticToCategory = (tactic) => {
+  const shortname = tactic.x_mitre_shortname ||
+    tactic.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+  return {
+    shortname,
+    mitreid: getMitreId(tactic),
+    data: {
+      name: truncate(tactic.name, MAX_CATEGORY_NAME),
+      description: truncate(tactic.description || tactic.name, MAX_CATEGORY_DESCRIPTION),
+      stixId: tactic.id,
+      metadata: {
+        tactics: [shortname],
+        killChainPhases: [shortname]
+      }
+    }
+  };
+};
+
+// Mapear un attack-pattern a los datos de Technique
+const mapAttackPatternToTechnique = (pattern) => {
+  const mitreReference = getMitreReference(pattern);
+  const killChainPhases = (pattern.kill_chain_phases || []).map(phase => ({
+    killChainName: phase.kill_chain_name || 'custom',
+    phaseName: phase.phase_name
+  }));
+
+  const references = (pattern.external_references || [])
+    .filter(ref => ref !== mitreReference && ref.url)
+    .map(ref => ({
+      name: ref.source_name,
+      url: ref.url,
+      description: ref.description || ''
+    }));
+
+  // La referencia principal de MITRE se conserva con su URL
+  if (mitreReference && mitreReference.url) {
+    references.unshift({
+      name: mitreReference.source_name,
+      url: mitreReference.url,
+      description: mitreReference.external_id
+    });
+  }
+
+  const deprecated = pattern.revoked || pattern.x_mitre_deprecated;
+
+  return {
+    data: {
+      name: truncate(pattern.name, MAX_TECHNIQUE_NAME),
+      description: truncate(pattern.description || pattern.name, MAX_TECHNIQUE_DESCRIPTION),
+      mitreid: mitreReference ? mitreReference.external_id : undefined,
+      stixId: pattern.id,
+      stixModified: pattern.modified ? new Date(pattern.modified) : undefined,
+      platforms: pattern.x_mitre_platforms || [],
+      datasources: (pattern.x_mitre_data_sources || []).map(source => ({
+        name: source,
+        description: ''
+      })),
+      detection: {
+        description: pattern.x_mitre_detection || ''
+      },
+      references,
+      tactics: killChainPhases.map(phase => phase.phaseName),
+      killChainPhases,
+      ...(deprecated && { status: 'Deprecated' })
+    }
+  };
+};
+
+// Generar un UUID con formato v4; si se indica una semilla el resultado es determinista
+const generateUuid = (seed) => {
+  const bytes = seed
+    ? crypto.createHash('sha1').update(String(seed)).digest().slice(0, 16)
+    : crypto.randomBytes(16);
+
+  bytes[6] = (bytes[6] & 0x0f) | (seed ? 0x50 : 0x40);
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// Identificador STIX estable para un documento local
+const stixIdFor = (type, doc) => {
+  if (doc.stixId && doc.stixId.startsWith(`${type}--`)) return doc.stixId;
+  return `${type}--${generateUuid(`${type}:${doc._id}`)}`;
+};
+
+// Nombre corto de táctica asociado a una categoría
+const getTacticShortname = (category) => {
+  const tactics = (category.metadata && category.metadata.tactics) || [];
+  return tactics[0] || category.slug;
+};
+
+const toTimestamp = (date) => new Date(date || Date.now()).toISOString();
+
+// Construir un bundle STIX 2.1 a partir de técnicas y categorías locales
+const buildBundle = ({ techniques, categories = [], mitigations = [] }) => {
+  const objects = [];
+  const identities = new Map();
+
+  // Identity para cada usuario creador
+  const identityRef = (user) => {
+    if (!user || !user._id) return undefined;
+    const key = user._id.toString();
+
+    if (!identities.has(key)) {
+      const identity = {
+        type: 'identity',
+        spec_version: '2.1',
+        id: stixIdFor('identity', user),
+        created: toTimestamp(user.createdAt),
+        modified: toTimestamp(user.updatedAt || user.createdAt),
+        name: user.username || key,
+        identity_class: 'individual'
+      };
+      identities.set(key, identity);
+      objects.push(identity);
+    }
+
+    return identities.get(key).id;
+  };
+
+  // Categorías como x-mitre-tactic
+  const tacticByCategory = new Map();
+  categories.forEach(category => {
+    const shortname = getTacticShortname(category);
+    tacticByCategory.set(category._id.toString(), shortname);
+
+    objects.push({
+      type: 'x-mitre-tactic',
+      spec_version: '2.1',
+      id: stixIdFor('x-mitre-tactic', category),
+      created: toTimestamp(category.createdAt),
+      modified: toTimestamp(category.updatedAt),
+      created_by_ref: identityRef(category.createdBy),
+      name: category.name,
+      description: category.description,
+      x_mitre_shortname: shortname
+    });
+  });
+
+  techniques.forEach(technique => {
+    const createdByRef = identityRef(technique.createdBy);
+    const attackPatternId = stixIdFor('attack-pattern', technique);
+
+    // Referencias externas: la de MITRE primero, luego las propias
+    const references = technique.references || [];
+    const mitreReference = references.find(ref => MITRE_SOURCES.includes(ref.name));
+    const externalReferences = [];
+
+    if (technique.mitreid) {
+      externalReferences.push({
+        source_name: mitreReference ? mitreReference.name : 'mitre-attack',
+        external_id: technique.mitreid,
+        ...(mitreReference && mitreReference.url && { url: mitreReference.url })
+      });
+    }
+
+    references
+      .filter(ref => ref !== mitreReference && ref.name)
+      .forEach(ref => {
+        externalReferences.push({
+          source_name: ref.name,
+          ...(ref.url && { url: ref.url }),
+          ...(ref.description && { description: ref.description })
+        });
+      });
+
+    // Fases de la kill chain; si no existen se derivan de las tácticas o la categoría
+    let killChainPhases = (technique.killChainPhases || [])
+      .filter(phase => phase.phaseName)
+      .map(phase => ({
+        kill_chain_name: phase.killChainName || 'mitre-attack',
+        phase_name: phase.phaseName
+      }));
+
+    if (killChainPhases.length === 0) {
+      const categoryId = technique.category && (technique.category._id || technique.category).toString();
+      const phases = (technique.tactics || []).length > 0
+        ? technique.tactics
+        : (tacticByCategory.has(categoryId) ? [tacticByCategory.get(categoryId)] : []);
+
+      killChainPhases = phases.map(phase => ({
+        kill_chain_name: 'mitre-attack',
+        phase_name: phase
+      }));
+    }
+
+    objects.push({
+      type: 'attack-pattern',
+      spec_version: '2.1',
+      id: attackPatternId,
+      created: toTimestamp(technique.createdAt),
+      modified: toTimestamp(technique.updatedAt),
+      created_by_ref: createdByRef,
+      name: technique.name,
+      description: technique.description,
+      kill_chain_phases: killChainPhases,
+      external_references: externalReferences,
+      x_mitre_platforms: technique.platforms || [],
+      x_mitre_data_sources: (technique.datasources || []).map(source => source.name).filter(Boolean),
+      x_mitre_detection: (technique.detection && technique.detection.description) || undefined,
+      x_mitre_version: technique.version,
+      ...(technique.status === 'Deprecated' && { x_mitre_deprecated: true })
+    });
+
+    // Mitigación como course-of-action con su relación "mitigates"
+    const mitigation = technique.mitigation || {};
+    if (mitigation.description) {
+      const courseOfActionId = `course-of-action--${generateUuid(`course-of-action:${technique._id}`)}`;
+
+      objects.push({
+        type: 'course-of-action',
+        spec_version: '2.1',
+        id: courseOfActionId,
+        created: toTimestamp(technique.createdAt),
+        modified: toTimestamp(technique.updatedAt),
+        created_by_ref: createdByRef,
+        name: `Mitigación de ${technique.mitreid || technique.name}`,
+        description: mitigation.description,
+        [FREE_TEXT_MITIGATION_PROPERTY]: true,
+        ...((mitigation.techniques || []).length > 0 && {
+          external_references: mitigation.techniques.map(id => ({
+            source_name: 'mitre-attack',
+            external_id: id
+          }))
+        })
+      });
+
+      objects.push({
+        type: 'relationship',
+        spec_version: '2.1',
+        id: `relationship--${generateUuid(`mitigates:${courseOfActionId}:${attackPatternId}`)}`,
+        created: toTimestamp(technique.createdAt),
+        modified: toTimestamp(technique.updatedAt),
+        created_by_ref: createdByRef,
+        relationship_type: 'mitigates',
+        source_ref: courseOfActionId,
+        target_ref: attackPatternId
+      });
+    }
+  });
+
+  // Mitigaciones gestionadas como course-of-action compartidos entre técnicas
+  const attackPatternIds = new Map(
+    techniques.map(technique => [technique._id.toString(), stixIdFor('attack-pattern', technique)])
+  );
+
+  mitigations.forEach(mitigation => {
+    const courseOfActionId = stixIdFor('course-of-action', mitigation);
+    const createdByRef = identityRef(mitigation.createdBy);
+
+    objects.push({
+      type: 'course-of-action',
+      spec_version: '2.1',
+      id: courseOfActionId,
+      created: toTimestamp(mitigation.createdAt),
+      modified: toTimestamp(mitigation.updatedAt),
+      created_by_ref: createdByRef,
+      name: mitigation.name,
+      description: mitigation.description,
+      external_references: [
+        ...(mitigation.mitreid ? [{ source_name: 'mitre-attack', external_id: mitigation.mitreid }] : []),
+        ...(mitigation.references || [])
+          .filter(ref => ref.name)
+          .map(ref => ({
+            source_name: ref.name,
+            ...(ref.url && { url: ref.url }),
+            ...(ref.description && { description: ref.description })
+          }))
+      ]
+    });
+
+    (mitigation.techniques || []).forEach(techniqueId => {
+      const attackPatternId = attackPatternIds.get(techniqueId.toString());
+      if (!attackPatternId) return;
+
+      objects.push({
+        type: 'relationship',
+        spec_version: '2.1',
+        id: `relationship--${generateUuid(`mitigates:${courseOfActionId}:${attackPatternId}`)}`,
+        created: toTimestamp(mitigation.createdAt),
+        modified: toTimestamp(mitigation.updatedAt),
+        created_by_ref: createdByRef,
+        relationship_type: 'mitigates',
+        source_ref: courseOfActionId,
+        target_ref: attackPatternId
+      });
+    });
+  });
+
+  // Eliminar propiedades sin valor para cumplir con el esquema STIX
+  const cleanObjects = objects.map(obj => JSON.parse(JSON.stringify(obj)));
+
+  return {
+    type: 'bundle',
+    id: `bundle--${generateUuid()}`,
+    objects: cleanObjects
+  };
+};
+
+module.exports = {
+  MITRE_SOURCES,
+  truncate,
+  getMitreId,
+  validateBundle,
+  parseBundle,
+  mapTacticToCategory,
+  mapAttackPatternToTechnique,
+  mapCourseOfActionToMitigation,
+  generateUuid,
+  buildBundle
+};